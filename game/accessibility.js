@@ -0,0 +1,272 @@
+/*
+ * Accessibility options for the Forge & Vapor mini‑game.
+ *
+ * Builds the Accessibility section of the settings panel: a colour‑blind
+ * safe palette, high contrast, distinct bar shapes and reduced motion, all
+ * handed to renderer.js through setRenderOptions() and kept in localStorage.
+ * Reduced motion follows the system setting until the player picks one.
+ * Screen readers hear score, error and level changes through an aria‑live
+ * region, and the overlays (start, help, pause and game over) work from the
+ * keyboard: focus moves into an overlay when it opens and Tab stays inside
+ * it. Loaded after renderer.js and themes.js and before script.js.
+ */
+
+const ACCESSIBILITY_STORAGE_KEY = 'forgeVaporAccessibility';
+
+// On/off options, in the order they appear in the panel and named
+// 'accessibility.<key>' in the message catalogues
+const ACCESSIBILITY_TOGGLES = [{ key: 'highContrast' }, { key: 'shapes' }, { key: 'reducedMotion' }];
+
+// Changes are collected for this long (ms) and then read out together, so a
+// burst of catches doesn't flood the screen reader
+const ANNOUNCE_DELAY = 1000;
+
+// Everything in an overlay that Tab can reach
+const FOCUSABLE_SELECTOR = 'button, input, select, textarea, a[href], [tabindex]:not([tabindex="-1"])';
+
+const paletteSelect = document.getElementById('palette-select');
+const accessibilityFieldsEl = document.getElementById('accessibility-fields');
+const announcerEl = document.getElementById('announcer');
+const overlayEls = Array.from(document.querySelectorAll('#ui .overlay'));
+
+let accessibilitySettings = loadAccessibilitySettings();
+
+// The game being announced, what was last read out and the pending timer
+let announcedGame = null;
+let announcedValues = null;
+let announceTimerId = null;
+
+/**
+ * Whether the system asks for as little animation as possible.
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+  return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Read the saved accessibility settings, falling back to the defaults.
+ * @returns {{palette: string, highContrast: boolean, shapes: boolean, reducedMotion: boolean}}
+ */
+function loadAccessibilitySettings() {
+  const result = { palette: 'standard', highContrast: false, shapes: false, reducedMotion: prefersReducedMotion() };
+  try {
+    const stored = JSON.parse(localStorage.getItem(ACCESSIBILITY_STORAGE_KEY));
+    if (stored && typeof stored === 'object') {
+      if (Object.prototype.hasOwnProperty.call(PALETTES, stored.palette)) result.palette = stored.palette;
+      ACCESSIBILITY_TOGGLES.forEach(({ key }) => {
+        if (typeof stored[key] === 'boolean') result[key] = stored[key];
+      });
+    }
+  } catch (err) {
+    // Keep the defaults
+  }
+  return result;
+}
+
+/**
+ * Persist the accessibility settings to localStorage.
+ */
+function saveAccessibilitySettings() {
+  localStorage.setItem(ACCESSIBILITY_STORAGE_KEY, JSON.stringify(accessibilitySettings));
+}
+
+/**
+ * Hand the settings to the renderer and to the stylesheet, which uses the
+ * body classes for the overlays and HUD.
+ */
+function applyAccessibilitySettings() {
+  setRenderOptions(accessibilitySettings);
+  document.body.classList.toggle('high-contrast', accessibilitySettings.highContrast);
+  document.body.classList.toggle('reduced-motion', accessibilitySettings.reducedMotion);
+}
+
+/**
+ * Read a message out through the aria‑live region.
+ * @param {string} text
+ */
+function announce(text) {
+  // Clearing first makes a repeated message count as a change
+  announcerEl.textContent = '';
+  announcerEl.textContent = text;
+}
+
+/**
+ * The values of a game that are read out when they change.
+ * @param {object} state - game state from ForgeVaporCore
+ * @returns {{level: number, score: string, lives: string}}
+ */
+function announcedGameValues(state) {
+  // In versus every player has their own stars and errors
+  const versus = state.lives === null;
+  return {
+    level: state.level,
+    score: versus
+      ? state.players.map((player) => `${player.name} ${formatNumber(player.score)}`).join(', ')
+      : formatNumber(state.score),
+    lives: versus
+      ? state.players.map((player) => `${player.name} ${player.out ? t('hud.out') : formatNumber(player.lives)}`).join(', ')
+      : formatNumber(state.lives),
+  };
+}
+
+/**
+ * Note the latest state of the game for the screen reader. Called with
+ * every HUD update; changes are read out together once ANNOUNCE_DELAY has
+ * passed. A new game is taken as it is, without an announcement.
+ * @param {object} state - game state from ForgeVaporCore
+ */
+function announceGameState(state) {
+  if (state !== announcedGame) {
+    announcedGame = state;
+    announcedValues = announcedGameValues(state);
+    clearTimeout(announceTimerId);
+    announceTimerId = null;
+    return;
+  }
+  if (announceTimerId !== null) return;
+  const values = announcedGameValues(state);
+  if (values.level === announcedValues.level && values.score === announcedValues.score && values.lives === announcedValues.lives) {
+    return;
+  }
+  announceTimerId = setTimeout(() => {
+    announceTimerId = null;
+    const latest = announcedGameValues(announcedGame);
+    const parts = [];
+    if (latest.level !== announcedValues.level) parts.push(t('announce.level', { level: latest.level }));
+    if (latest.score !== announcedValues.score) parts.push(t('announce.score', { score: latest.score }));
+    if (latest.lives !== announcedValues.lives) parts.push(t('announce.lives', { lives: latest.lives }));
+    announcedValues = latest;
+    if (parts.length > 0) announce(parts.join(' '));
+  }, ANNOUNCE_DELAY);
+}
+
+/**
+ * The overlay currently on screen, if any.
+ * @returns {HTMLElement|null}
+ */
+function visibleOverlay() {
+  return overlayEls.find((overlay) => !overlay.classList.contains('hidden')) || null;
+}
+
+/**
+ * The controls in an overlay that can take focus right now.
+ * @param {HTMLElement} overlay
+ * @returns {HTMLElement[]}
+ */
+function focusableIn(overlay) {
+  return Array.from(overlay.querySelectorAll(FOCUSABLE_SELECTOR))
+    .filter((el) => !el.disabled && !el.closest('.hidden'));
+}
+
+/**
+ * Move focus into an overlay: to its main button (marked data-autofocus)
+ * or else its first control.
+ * @param {HTMLElement} overlay
+ */
+function focusOverlay(overlay) {
+  const controls = focusableIn(overlay);
+  const target = controls.find((el) => el.hasAttribute('data-autofocus')) || controls[0];
+  if (target) target.focus();
+}
+
+/**
+ * Keep Tab and Shift+Tab cycling through the open overlay's controls.
+ * @param {KeyboardEvent} e
+ */
+function trapOverlayFocus(e) {
+  if (e.key !== 'Tab') return;
+  const overlay = visibleOverlay();
+  if (!overlay) return;
+  const controls = focusableIn(overlay);
+  if (controls.length === 0) return;
+  const first = controls[0];
+  const last = controls[controls.length - 1];
+  const inside = overlay.contains(document.activeElement);
+  if (!inside || (e.shiftKey && document.activeElement === first)) {
+    e.preventDefault();
+    (e.shiftKey ? last : first).focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Name the palettes and toggles in the current language.
+ */
+function labelAccessibilityControls() {
+  Array.from(paletteSelect.options).forEach((option) => {
+    option.textContent = t(`palette.${option.value}`);
+  });
+  // A theme with colours of its own replaces the standard ones
+  if (activeTheme().palette) {
+    paletteSelect.querySelector('option[value="standard"]').textContent = t('palette.themed', { name: activeTheme().name });
+  }
+  ACCESSIBILITY_TOGGLES.forEach(({ key }) => {
+    document.getElementById(`accessibility-${key}-label`).textContent = t(`accessibility.${key}`);
+  });
+}
+
+/**
+ * Build the Accessibility section of the settings panel and make the
+ * overlays keyboard friendly.
+ */
+function initAccessibility() {
+  Object.keys(PALETTES).forEach((key) => {
+    const option = document.createElement('option');
+    option.value = key;
+    paletteSelect.appendChild(option);
+  });
+  paletteSelect.value = accessibilitySettings.palette;
+  paletteSelect.addEventListener('change', () => {
+    accessibilitySettings.palette = paletteSelect.value;
+    saveAccessibilitySettings();
+    applyAccessibilitySettings();
+  });
+  ACCESSIBILITY_TOGGLES.forEach((toggle) => {
+    const row = document.createElement('label');
+    row.className = 'setting-row';
+    const name = document.createElement('span');
+    name.id = `accessibility-${toggle.key}-label`;
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `accessibility-${toggle.key}`;
+    checkbox.checked = accessibilitySettings[toggle.key];
+    checkbox.addEventListener('change', () => {
+      accessibilitySettings[toggle.key] = checkbox.checked;
+      saveAccessibilitySettings();
+      applyAccessibilitySettings();
+    });
+    row.appendChild(name);
+    row.appendChild(checkbox);
+    accessibilityFieldsEl.appendChild(row);
+  });
+
+  // Focus follows the overlays: into one as it opens, and off one as it
+  // closes so a later spacebar press doesn't click a button nobody can see
+  const observer = new MutationObserver((mutations) => {
+    mutations.forEach(({ target, oldValue }) => {
+      const wasHidden = /\bhidden\b/.test(oldValue || '');
+      const hidden = target.classList.contains('hidden');
+      if (wasHidden && !hidden) {
+        focusOverlay(target);
+      } else if (!wasHidden && hidden && target.contains(document.activeElement)) {
+        document.activeElement.blur();
+      }
+    });
+  });
+  overlayEls.forEach((overlay) => {
+    observer.observe(overlay, { attributes: true, attributeFilter: ['class'], attributeOldValue: true });
+  });
+  window.addEventListener('keydown', trapOverlayFocus);
+  onLocaleChange(labelAccessibilityControls);
+  onThemeChange(labelAccessibilityControls);
+
+  labelAccessibilityControls();
+  applyAccessibilitySettings();
+  const overlay = visibleOverlay();
+  if (overlay) focusOverlay(overlay);
+}
+
+initAccessibility();
@@ -0,0 +1,273 @@
+/*
+ * Achievements for the Forge & Vapor mini‑game.
+ *
+ * Lifetime statistics (bugs killed, stars collected, best kill streak, wins
+ * of various kinds, …) are gathered from the events returned by
+ * ForgeVaporCore.step() and kept in localStorage. Every achievement unlocks
+ * once one of those statistics reaches its goal; the unlock pops up as a
+ * toast on the canvas (see showToast() in renderer.js) and is listed on the
+ * game over screen. The achievements screen shows all of them with their
+ * progress. Replays never count. Names and descriptions are in the message
+ * catalogues as 'achievement.<id>.name' and '.description'. Loaded after
+ * highscores.js and before script.js.
+ */
+
+const ACHIEVEMENTS_STORAGE_KEY = 'forgeVaporAchievements';
+const ACHIEVEMENTS_VERSION = 1;
+
+// Each achievement unlocks when the statistic reaches the goal
+const ACHIEVEMENTS = [
+  { id: 'firstWin', stat: 'wins', goal: 1 },
+  { id: 'flawless', stat: 'flawlessWins', goal: 1 },
+  { id: 'pacifist', stat: 'pacifistWins', goal: 1 },
+  { id: 'killStreak', stat: 'bestKillStreak', goal: 10 },
+  { id: 'level5', stat: 'highestLevel', goal: 5 },
+  { id: 'bossSlayer', stat: 'bossesDefeated', goal: 1 },
+  { id: 'bugHunter', stat: 'bugsKilled', goal: 100 },
+  { id: 'stargazer', stat: 'starsCollected', goal: 500 },
+];
+
+// Lifetime statistics, all counting from zero
+const ACHIEVEMENT_STATS = [
+  'wins',
+  'flawlessWins',
+  'pacifistWins',
+  'bestKillStreak',
+  'highestLevel',
+  'bossesDefeated',
+  'bugsKilled',
+  'starsCollected',
+];
+
+const achievementsBtn = document.getElementById('achievements-btn');
+const achievementsScreen = document.getElementById('achievements-screen');
+const achievementsListEl = document.getElementById('achievements-list');
+const achievementsSummaryEl = document.getElementById('achievements-summary');
+const closeAchievementsBtn = document.getElementById('close-achievements-btn');
+const runAchievementsEl = document.getElementById('run-achievements');
+const startScreenEl = document.getElementById('start-screen');
+
+let achievementData = loadAchievements();
+
+// The game being tracked: null while watching a replay. Errors and shots
+// decide the special wins; the kill streak ends with any bug not shot down.
+let achievementRun = null;
+
+/**
+ * Read the saved statistics and unlocks, starting from scratch when there
+ * are none (or they are unusable).
+ * @returns {{stats: Object<string, number>, unlocked: Object<string, string>}}
+ *   unlocked maps an achievement id to the ISO date it was unlocked
+ */
+function loadAchievements() {
+  const result = { stats: {}, unlocked: {} };
+  ACHIEVEMENT_STATS.forEach((stat) => {
+    result.stats[stat] = 0;
+  });
+  try {
+    const stored = JSON.parse(localStorage.getItem(ACHIEVEMENTS_STORAGE_KEY));
+    if (stored && stored.version === ACHIEVEMENTS_VERSION) {
+      ACHIEVEMENT_STATS.forEach((stat) => {
+        const value = stored.stats && stored.stats[stat];
+        if (Number.isInteger(value) && value > 0) result.stats[stat] = value;
+      });
+      ACHIEVEMENTS.forEach(({ id }) => {
+        const date = stored.unlocked && stored.unlocked[id];
+        if (typeof date === 'string') result.unlocked[id] = date;
+      });
+    }
+  } catch (err) {
+    // Start from scratch
+  }
+  return result;
+}
+
+/**
+ * Persist the statistics and unlocks to localStorage.
+ */
+function saveAchievements() {
+  localStorage.setItem(ACHIEVEMENTS_STORAGE_KEY, JSON.stringify({
+    version: ACHIEVEMENTS_VERSION,
+    stats: achievementData.stats,
+    unlocked: achievementData.unlocked,
+  }));
+}
+
+/**
+ * Start tracking a new game, or carry on tracking a resumed one.
+ * @param {object} state - the game state from ForgeVaporCore
+ * @param {boolean} live - false while watching a replay, which never counts
+ * @param {object|null} [saved] - achievementRun as saved with a resumed
+ *   game (see savegame.js); a fresh run if missing or malformed
+ */
+function startAchievementRun(state, live, saved = null) {
+  runAchievementsEl.textContent = '';
+  runAchievementsEl.classList.add('hidden');
+  if (!live) {
+    achievementRun = null;
+    return;
+  }
+  const resumed = saved && typeof saved === 'object' &&
+    ['errors', 'shots', 'killStreak'].every((key) => Number.isFinite(saved[key])) &&
+    Array.isArray(saved.unlocked);
+  achievementRun = resumed ? saved : { errors: 0, shots: 0, killStreak: 0, unlocked: [] };
+  raiseStat('highestLevel', state.level);
+  unlockAchievements();
+  saveAchievements();
+}
+
+/**
+ * Raise a statistic that holds a best value.
+ * @param {string} stat
+ * @param {number} value
+ */
+function raiseStat(stat, value) {
+  achievementData.stats[stat] = Math.max(achievementData.stats[stat], value);
+}
+
+/**
+ * Update the statistics from one step's events and unlock whatever they
+ * earn.
+ * @param {object[]} events - events returned by ForgeVaporCore.step()
+ */
+function handleAchievementEvents(events) {
+  if (!achievementRun || events.length === 0) return;
+  const stats = achievementData.stats;
+  const run = achievementRun;
+  let changed = false;
+  events.forEach((event) => {
+    switch (event.type) {
+      case 'shot':
+        run.shots++;
+        break;
+      case 'bugKilled':
+        stats.bugsKilled++;
+        run.killStreak++;
+        raiseStat('bestKillStreak', run.killStreak);
+        changed = true;
+        break;
+      case 'bugCaught':
+        run.errors++;
+        run.killStreak = 0;
+        break;
+      case 'shieldBlocked':
+        run.killStreak = 0;
+        break;
+      case 'barMissed':
+        run.errors++;
+        if (event.bar.type === 'bad') run.killStreak = 0;
+        break;
+      case 'bossEscaped':
+        run.errors++;
+        break;
+      case 'bossDefeated':
+        stats.bossesDefeated++;
+        changed = true;
+        break;
+      case 'barCaught':
+        stats.starsCollected++;
+        changed = true;
+        break;
+      case 'levelUp':
+        raiseStat('highestLevel', event.level);
+        changed = true;
+        break;
+      case 'gameEnded':
+        if (event.outcome === 'won') {
+          stats.wins++;
+          if (run.errors === 0) stats.flawlessWins++;
+          if (run.shots === 0) stats.pacifistWins++;
+          changed = true;
+        }
+        break;
+    }
+  });
+  if (!changed) return;
+  unlockAchievements();
+  saveAchievements();
+}
+
+/**
+ * Unlock every achievement whose goal has been reached, with a toast and a
+ * line on the game over screen for each.
+ */
+function unlockAchievements() {
+  ACHIEVEMENTS.forEach((achievement) => {
+    if (achievementData.unlocked[achievement.id]) return;
+    if (achievementData.stats[achievement.stat] < achievement.goal) return;
+    achievementData.unlocked[achievement.id] = new Date().toISOString();
+    achievementRun.unlocked.push(achievement.id);
+    showToast(t('achievements.toast'), t(`achievement.${achievement.id}.name`));
+  });
+  if (achievementRun.unlocked.length > 0) {
+    runAchievementsEl.textContent = t('achievements.runUnlocked', {
+      names: achievementRun.unlocked.map((id) => t(`achievement.${id}.name`)).join(', '),
+    });
+    runAchievementsEl.classList.remove('hidden');
+  }
+}
+
+/**
+ * List every achievement with its description and either the date it was
+ * unlocked or the progress towards it.
+ */
+function renderAchievements() {
+  const unlockedCount = ACHIEVEMENTS.filter(({ id }) => achievementData.unlocked[id]).length;
+  achievementsSummaryEl.textContent = t('achievements.summary', { count: unlockedCount, total: ACHIEVEMENTS.length });
+  achievementsListEl.innerHTML = '';
+  ACHIEVEMENTS.forEach((achievement) => {
+    const unlocked = achievementData.unlocked[achievement.id];
+    const progress = Math.min(achievementData.stats[achievement.stat], achievement.goal);
+    const li = document.createElement('li');
+    li.classList.toggle('unlocked', !!unlocked);
+    const name = document.createElement('strong');
+    name.textContent = `${unlocked ? '🏆' : '🔒'} ${t(`achievement.${achievement.id}.name`)}`;
+    const description = document.createElement('span');
+    description.className = 'achievement-description';
+    description.textContent = t(`achievement.${achievement.id}.description`);
+    const meter = document.createElement('progress');
+    meter.max = achievement.goal;
+    meter.value = progress;
+    const status = document.createElement('span');
+    status.className = 'achievement-status';
+    status.textContent = unlocked
+      ? t('achievements.unlockedOn', {
+        date: new Date(unlocked).toLocaleDateString(currentLocale(), { day: 'numeric', month: 'short', year: 'numeric' }),
+      })
+      : t('achievements.progress', { value: progress, goal: achievement.goal });
+    li.appendChild(name);
+    li.appendChild(description);
+    li.appendChild(meter);
+    li.appendChild(status);
+    achievementsListEl.appendChild(li);
+  });
+}
+
+/**
+ * Leave the achievements screen for the start screen.
+ */
+function closeAchievements() {
+  achievementsScreen.classList.add('hidden');
+  startScreenEl.classList.remove('hidden');
+}
+
+/**
+ * Wire up the achievements screen.
+ */
+function initAchievements() {
+  achievementsBtn.addEventListener('click', () => {
+    renderAchievements();
+    startScreenEl.classList.add('hidden');
+    achievementsScreen.classList.remove('hidden');
+  });
+  closeAchievementsBtn.addEventListener('click', () => {
+    closeAchievements();
+  });
+  // Escape leaves the screen, as it does the help screen
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !achievementsScreen.classList.contains('hidden')) closeAchievements();
+  });
+  onLocaleChange(renderAchievements);
+}
+
+initAchievements();
@@ -0,0 +1,244 @@
+/*
+ * Asset loading for the Forge & Vapor mini‑game.
+ *
+ * Everything a game needs before it can start (the theme's images and
+ * sprite sheets, levels.json) is loaded through trackAsset(), which counts
+ * what is still on its way. A progress bar on the start screen follows the
+ * count, the Start button waits until nothing is left (see script.js) and
+ * whatever failed to load is listed there instead of silently missing from
+ * the playfield. Sprite sheets cut an image into equal frames that play as
+ * named animations (see createSprite()); a still image is given a small
+ * sheet of poses so it animates all the same. Loaded after i18n.js and
+ * before renderer.js.
+ */
+
+// A still image is turned into a sheet of these poses (see
+// buildPoseSheet()), played by these animations
+const POSE_FRAMES = ['idle', 'bob', 'lean', 'hit', 'jump'];
+const POSE_ANIMATIONS = Object.freeze({
+  idle: { frames: [0, 1], fps: 2, loop: true },
+  move: { frames: [2], fps: 1, loop: true },
+  hit: { frames: [3, 0], fps: 10, loop: true },
+  celebrate: { frames: [4, 0], fps: 6, loop: true },
+});
+// Margin around the figure in a pose frame, as a fraction of its size on
+// each side, so leaning and jumping don't cut it off
+const POSE_PADDING = 0.1;
+// Pose frames are never taller than this (px), which keeps a sheet built
+// from a large photo small
+const POSE_MAX_HEIGHT = 240;
+
+const assetStatusEl = document.getElementById('asset-status');
+const assetProgressEl = document.getElementById('asset-progress');
+const assetProgressTextEl = document.getElementById('asset-progress-text');
+const assetErrorsEl = document.getElementById('asset-errors');
+
+// Assets of the current batch: how many were asked for, how many have
+// loaded or failed, and what failed ({name, reason})
+let assetsRequested = 0;
+let assetsSettled = 0;
+const assetErrors = [];
+
+// Called whenever an asset is requested or settles
+const assetListeners = [];
+
+/**
+ * Count an asset as loading until its promise settles. A request made once
+ * everything has settled starts a new batch, with a fresh progress bar and
+ * error list.
+ * @param {Promise<*>} promise
+ * @param {string|null} name - what is loaded, e.g. a file name, for the
+ *   error list; null when the caller reports problems itself
+ * @returns {Promise<*>} settles like the promise
+ */
+function trackAsset(promise, name) {
+  if (assetsReady()) {
+    assetsRequested = 0;
+    assetsSettled = 0;
+    assetErrors.length = 0;
+  }
+  assetsRequested++;
+  assetsChanged();
+  return promise.then(
+    (value) => {
+      assetsSettled++;
+      assetsChanged();
+      return value;
+    },
+    (err) => {
+      assetsSettled++;
+      if (name !== null) assetErrors.push({ name: name, reason: err.message });
+      assetsChanged();
+      throw err;
+    }
+  );
+}
+
+/**
+ * Load an image. Pass the promise to trackAsset() so it is waited for.
+ * @param {string} src - a URL or data URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(t('assets.imageFailed')));
+    image.src = src;
+  });
+}
+
+/**
+ * Whether nothing is loading any more. Failed assets count as done.
+ * @returns {boolean}
+ */
+function assetsReady() {
+  return assetsSettled === assetsRequested;
+}
+
+/**
+ * Register a function to call whenever loading progresses.
+ * @param {() => void} listener
+ */
+function onAssetsChange(listener) {
+  assetListeners.push(listener);
+}
+
+/**
+ * Redraw the loading status and tell the listeners.
+ */
+function assetsChanged() {
+  renderAssetStatus();
+  assetListeners.forEach((listener) => listener());
+}
+
+/**
+ * Show the progress of the current batch and what failed. Once everything
+ * has loaded the status disappears.
+ */
+function renderAssetStatus() {
+  const loading = !assetsReady();
+  assetStatusEl.classList.toggle('hidden', !loading && assetErrors.length === 0);
+  assetProgressEl.classList.toggle('hidden', !loading);
+  assetProgressEl.max = Math.max(1, assetsRequested);
+  assetProgressEl.value = assetsSettled;
+  assetProgressTextEl.textContent = loading ? t('assets.loading', { loaded: assetsSettled, total: assetsRequested }) : '';
+  renderProblemList(assetErrorsEl, assetErrors.map((error) => t('assets.failed', { name: error.name, reason: error.reason })));
+}
+
+/**
+ * List problems under the status line that sums them up, replacing those
+ * listed before. The theme and levels.json report theirs this way too.
+ * @param {HTMLElement} listEl - a list element
+ * @param {string[]} problems - none empties the list
+ */
+function renderProblemList(listEl, problems) {
+  listEl.textContent = '';
+  problems.forEach((problem) => {
+    const item = document.createElement('li');
+    item.textContent = problem;
+    listEl.appendChild(item);
+  });
+}
+
+/**
+ * Cut a sprite sheet into frames. Frames are numbered left to right, top to
+ * bottom. Every sheet has an 'idle' animation, which also stands in for any
+ * animation it lacks.
+ * @param {CanvasImageSource} image - the loaded sheet
+ * @param {object} sheet
+ * @param {number} sheet.frameWidth - px
+ * @param {number} sheet.frameHeight - px
+ * @param {Object<string, {frames: number[], fps: number, loop: boolean}>} sheet.animations
+ * @param {number} [sheet.padding=0] - margin around the figure in each
+ *   frame, as a fraction of its size on each side
+ * @returns {object} the sprite, for spriteFrame()
+ * @throws {Error} if an animation uses a frame the image doesn't have
+ */
+function createSprite(image, sheet) {
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const columns = Math.floor(width / sheet.frameWidth);
+  const frameCount = columns * Math.floor(height / sheet.frameHeight);
+  Object.keys(sheet.animations).forEach((name) => {
+    const outside = sheet.animations[name].frames.find((frame) => frame >= frameCount);
+    if (outside !== undefined) throw new Error(t('assets.frameMissing', { animation: name, frame: outside, count: frameCount }));
+  });
+  return {
+    image: image,
+    frameWidth: sheet.frameWidth,
+    frameHeight: sheet.frameHeight,
+    columns: columns,
+    animations: sheet.animations,
+    padding: sheet.padding || 0,
+  };
+}
+
+/**
+ * Where in its sheet a sprite's frame is after an animation has played for
+ * a while. Animations that don't loop stop on their last frame.
+ * @param {object} sprite - from createSprite()
+ * @param {string} animation - e.g. 'idle'; 'idle' if the sprite lacks it
+ * @param {number} time - seconds since the animation started
+ * @returns {{sx: number, sy: number}} top left corner of the frame, px
+ */
+function spriteFrame(sprite, animation, time) {
+  const playing = sprite.animations[animation] || sprite.animations.idle;
+  const step = Math.floor(time * playing.fps);
+  const index = playing.loop ? step % playing.frames.length : Math.min(step, playing.frames.length - 1);
+  const frame = playing.frames[index];
+  return {
+    sx: (frame % sprite.columns) * sprite.frameWidth,
+    sy: Math.floor(frame / sprite.columns) * sprite.frameHeight,
+  };
+}
+
+/**
+ * Turn a still image into a sprite of simple poses: standing, a breathing
+ * bob, a lean for moving, a red flash for being hit and a jump for
+ * celebrating (see POSE_ANIMATIONS).
+ * @param {HTMLImageElement} image - loaded
+ * @returns {object} the sprite, for spriteFrame()
+ */
+function buildPoseSheet(image) {
+  const height = Math.min(POSE_MAX_HEIGHT, image.naturalHeight);
+  const width = Math.round((image.naturalWidth * height) / image.naturalHeight);
+  const frameWidth = Math.round(width * (1 + 2 * POSE_PADDING));
+  const frameHeight = Math.round(height * (1 + 2 * POSE_PADDING));
+  const sheet = document.createElement('canvas');
+  sheet.width = frameWidth * POSE_FRAMES.length;
+  sheet.height = frameHeight;
+  const sheetCtx = sheet.getContext('2d');
+  POSE_FRAMES.forEach((pose, index) => {
+    const left = index * frameWidth;
+    sheetCtx.save();
+    sheetCtx.beginPath();
+    sheetCtx.rect(left, 0, frameWidth, frameHeight);
+    sheetCtx.clip();
+    // Poses pivot on the middle of the figure's feet
+    sheetCtx.translate(left + frameWidth / 2, frameHeight - height * POSE_PADDING);
+    if (pose === 'bob') sheetCtx.scale(1.03, 0.96);
+    if (pose === 'lean') sheetCtx.rotate(0.08);
+    if (pose === 'jump') {
+      sheetCtx.translate(0, -height * 0.08);
+      sheetCtx.scale(0.96, 1.04);
+    }
+    sheetCtx.drawImage(image, -width / 2, -height, width, height);
+    if (pose === 'hit') {
+      // Tint only what was drawn
+      sheetCtx.globalCompositeOperation = 'source-atop';
+      sheetCtx.fillStyle = 'rgba(231, 76, 60, 0.55)';
+      sheetCtx.fillRect(-width / 2, -height, width, height);
+    }
+    sheetCtx.restore();
+  });
+  return createSprite(sheet, {
+    frameWidth: frameWidth,
+    frameHeight: frameHeight,
+    animations: POSE_ANIMATIONS,
+    padding: POSE_PADDING,
+  });
+}
+
+onLocaleChange(renderAssetStatus);
+renderAssetStatus();
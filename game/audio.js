@@ -0,0 +1,426 @@
+/*
+ * Sound for the Forge & Vapor mini‑game.
+ *
+ * Everything is synthesised with the Web Audio API, so there are no sound
+ * files to download. Sound effects are triggered from the events returned by
+ * ForgeVaporCore.step(); the background track is a small step sequencer whose
+ * tempo rises with the level. Master, effects and music volume plus a mute
+ * toggle are kept in localStorage. Loaded after i18n.js and before script.js.
+ */
+
+const AUDIO_STORAGE_KEY = 'forgeVaporAudio';
+
+const DEFAULT_AUDIO_SETTINGS = {
+  master: 0.8,
+  sfx: 0.8,
+  music: 0.5,
+  muted: false,
+};
+
+// One volume slider per channel, in the order they appear in the panel and
+// named 'audio.<key>' in the message catalogues
+const AUDIO_FIELDS = [{ key: 'master' }, { key: 'sfx' }, { key: 'music' }];
+
+// Music tempo in beats per minute at level 1, the gain per level and the cap
+const MUSIC_BASE_TEMPO = 110;
+const MUSIC_TEMPO_PER_LEVEL = 8;
+const MUSIC_MAX_TEMPO = 180;
+// The sequencer wakes up this often (ms) and schedules notes this far ahead
+// (seconds), so timing stays tight even if a frame is late
+const MUSIC_TIMER_INTERVAL = 25;
+const MUSIC_LOOKAHEAD = 0.1;
+// A one bar loop in sixteenth notes: bass line (Hz) and lead line (Hz or 0
+// for a rest)
+const MUSIC_BASS = [110, 0, 110, 0, 131, 0, 110, 0, 98, 0, 98, 0, 131, 0, 147, 0];
+const MUSIC_LEAD = [440, 0, 523, 0, 659, 0, 523, 0, 392, 0, 494, 0, 587, 0, 494, 0];
+
+const muteBtn = document.getElementById('mute-btn');
+const audioMutedCheckbox = document.getElementById('audio-muted');
+const audioFieldsEl = document.getElementById('audio-fields');
+
+let audioSettings = loadAudioSettings();
+
+// Web Audio graph, created on the first user gesture (browsers refuse to
+// start audio before one). Effects and music have their own gain nodes that
+// feed a master gain.
+let audioCtx = null;
+let masterGain = null;
+let sfxGain = null;
+let musicGain = null;
+let noiseBuffer = null;
+
+// Sequencer state for the background track
+let musicTimerId = null;
+let musicTempo = MUSIC_BASE_TEMPO;
+let musicStep = 0;
+let nextMusicNoteTime = 0;
+
+/**
+ * Read the saved audio settings, falling back to the defaults.
+ * @returns {{master: number, sfx: number, music: number, muted: boolean}}
+ */
+function loadAudioSettings() {
+  const result = Object.assign({}, DEFAULT_AUDIO_SETTINGS);
+  try {
+    const stored = JSON.parse(localStorage.getItem(AUDIO_STORAGE_KEY));
+    if (stored && typeof stored === 'object') {
+      AUDIO_FIELDS.forEach(({ key }) => {
+        const value = Number(stored[key]);
+        if (Number.isFinite(value)) result[key] = Math.min(1, Math.max(0, value));
+      });
+      result.muted = stored.muted === true;
+    }
+  } catch (err) {
+    // Keep the defaults
+  }
+  return result;
+}
+
+/**
+ * Persist the audio settings to localStorage.
+ */
+function saveAudioSettings() {
+  localStorage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(audioSettings));
+}
+
+/**
+ * Create the audio graph if needed and make sure it is running. Must be
+ * called from a user gesture (such as the Start button) the first time.
+ * Does nothing in browsers without Web Audio.
+ */
+function ensureAudio() {
+  if (!audioCtx) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    audioCtx = new AudioContextClass();
+    masterGain = audioCtx.createGain();
+    masterGain.connect(audioCtx.destination);
+    sfxGain = audioCtx.createGain();
+    sfxGain.connect(masterGain);
+    musicGain = audioCtx.createGain();
+    musicGain.connect(masterGain);
+    // One second of white noise, reused for every percussive sound
+    noiseBuffer = audioCtx.createBuffer(1, audioCtx.sampleRate, audioCtx.sampleRate);
+    const data = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    applyAudioSettings();
+  }
+  if (audioCtx.state === 'suspended') audioCtx.resume();
+}
+
+/**
+ * Push the current volumes and mute state into the audio graph.
+ */
+function applyAudioSettings() {
+  if (!audioCtx) return;
+  masterGain.gain.value = audioSettings.muted ? 0 : audioSettings.master;
+  sfxGain.gain.value = audioSettings.sfx;
+  musicGain.gain.value = audioSettings.music;
+}
+
+/**
+ * Play a single synthesised note with a quick attack and exponential decay,
+ * optionally sliding in pitch.
+ * @param {object} options
+ * @param {number} options.freq - start frequency (Hz)
+ * @param {number} [options.endFreq] - frequency to slide to by the end
+ * @param {number} options.duration - seconds
+ * @param {OscillatorType} [options.type='sine']
+ * @param {number} [options.volume=0.2]
+ * @param {number} [options.delay=0] - seconds from now (or from options.at)
+ * @param {number} [options.at] - absolute AudioContext time to start at
+ * @param {AudioNode} [options.output=sfxGain]
+ */
+function playTone(options) {
+  const start = (options.at !== undefined ? options.at : audioCtx.currentTime) + (options.delay || 0);
+  const end = start + options.duration;
+  const osc = audioCtx.createOscillator();
+  const gain = audioCtx.createGain();
+  osc.type = options.type || 'sine';
+  osc.frequency.setValueAtTime(options.freq, start);
+  if (options.endFreq) osc.frequency.exponentialRampToValueAtTime(options.endFreq, end);
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(options.volume || 0.2, start + 0.01);
+  gain.gain.exponentialRampToValueAtTime(0.0001, end);
+  osc.connect(gain);
+  gain.connect(options.output || sfxGain);
+  osc.start(start);
+  osc.stop(end + 0.02);
+}
+
+/**
+ * Play a short burst of filtered noise.
+ * @param {object} options
+ * @param {number} options.duration - seconds
+ * @param {number} [options.volume=0.2]
+ * @param {number} [options.filterFreq=2000] - high‑pass cutoff (Hz)
+ * @param {number} [options.at] - absolute AudioContext time to start at
+ * @param {AudioNode} [options.output=sfxGain]
+ */
+function playNoise(options) {
+  const start = options.at !== undefined ? options.at : audioCtx.currentTime;
+  const source = audioCtx.createBufferSource();
+  source.buffer = noiseBuffer;
+  const filter = audioCtx.createBiquadFilter();
+  filter.type = 'highpass';
+  filter.frequency.value = options.filterFreq || 2000;
+  const gain = audioCtx.createGain();
+  gain.gain.setValueAtTime(options.volume || 0.2, start);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + options.duration);
+  source.connect(filter);
+  filter.connect(gain);
+  gain.connect(options.output || sfxGain);
+  source.start(start);
+  source.stop(start + options.duration + 0.02);
+}
+
+/**
+ * Play a sequence of notes one after another.
+ * @param {number[]} freqs - frequencies (Hz)
+ * @param {number} noteLength - seconds per note
+ * @param {OscillatorType} type
+ * @param {number} volume
+ */
+function playArpeggio(freqs, noteLength, type, volume) {
+  freqs.forEach((freq, i) => {
+    playTone({ freq: freq, duration: noteLength * 1.5, type: type, volume: volume, delay: i * noteLength });
+  });
+}
+
+// Recipes for every sound effect, by name
+const SOUND_EFFECTS = {
+  shoot: () => playTone({ freq: 880, endFreq: 440, duration: 0.08, type: 'square', volume: 0.08 }),
+  chargedShot: () => {
+    playNoise({ duration: 0.15, volume: 0.15 });
+    playTone({ freq: 330, endFreq: 110, duration: 0.25, type: 'square', volume: 0.15 });
+  },
+  overheated: () => playNoise({ duration: 0.5, volume: 0.2 }),
+  weaponCooled: () => playTone({ freq: 440, endFreq: 880, duration: 0.1, type: 'triangle', volume: 0.12 }),
+  catch: () => playArpeggio([660, 990], 0.06, 'triangle', 0.25),
+  bugCaught: () => playTone({ freq: 220, endFreq: 90, duration: 0.3, type: 'sawtooth', volume: 0.2 }),
+  bugKilled: () => {
+    playNoise({ duration: 0.12, volume: 0.25 });
+    playTone({ freq: 1200, endFreq: 300, duration: 0.15, type: 'square', volume: 0.1 });
+  },
+  miss: () => playTone({ freq: 300, endFreq: 150, duration: 0.3, type: 'sine', volume: 0.25 }),
+  levelUp: () => playArpeggio([523, 659, 784, 1047], 0.08, 'triangle', 0.25),
+  bossSpawned: () => playArpeggio([196, 185, 175, 165], 0.15, 'sawtooth', 0.2),
+  bossHit: () => playNoise({ duration: 0.06, volume: 0.2 }),
+  bossDefeated: () => {
+    playNoise({ duration: 0.3, volume: 0.3 });
+    playArpeggio([392, 523, 659, 784], 0.07, 'square', 0.15);
+  },
+  powerUp: () => playArpeggio([784, 988, 1175, 1568], 0.05, 'sine', 0.25),
+  powerUpExpired: () => playTone({ freq: 660, endFreq: 330, duration: 0.2, type: 'sine', volume: 0.12 }),
+  shieldBlocked: () => {
+    playNoise({ duration: 0.08, volume: 0.2 });
+    playTone({ freq: 440, endFreq: 660, duration: 0.12, type: 'triangle', volume: 0.2 });
+  },
+  win: () => playArpeggio([523, 659, 784, 1047, 784, 1047], 0.12, 'square', 0.15),
+  lose: () => playArpeggio([392, 330, 262, 196], 0.2, 'sawtooth', 0.15),
+};
+
+/**
+ * Play a sound effect by name, if audio is available.
+ * @param {string} name - a key of SOUND_EFFECTS
+ */
+function playSound(name) {
+  if (!audioCtx) return;
+  SOUND_EFFECTS[name]();
+}
+
+/**
+ * Play the sound effects for the events of one simulation step and keep the
+ * music tempo in line with the level.
+ * @param {object[]} events - events returned by ForgeVaporCore.step()
+ */
+function handleAudioEvents(events) {
+  events.forEach((event) => {
+    switch (event.type) {
+      case 'shot':
+        playSound(event.bullet.charged ? 'chargedShot' : 'shoot');
+        break;
+      case 'overheated':
+        playSound('overheated');
+        break;
+      case 'weaponCooled':
+        playSound('weaponCooled');
+        break;
+      case 'barCaught':
+        playSound('catch');
+        break;
+      case 'bugCaught':
+        playSound('bugCaught');
+        break;
+      case 'bugKilled':
+        playSound('bugKilled');
+        break;
+      case 'barMissed':
+        playSound('miss');
+        break;
+      case 'powerUpCaught':
+        playSound('powerUp');
+        break;
+      case 'powerUpExpired':
+        playSound('powerUpExpired');
+        break;
+      case 'shieldBlocked':
+        playSound('shieldBlocked');
+        break;
+      case 'bossSpawned':
+        playSound('bossSpawned');
+        break;
+      case 'bossHit':
+        playSound('bossHit');
+        break;
+      case 'bossDefeated':
+        playSound('bossDefeated');
+        break;
+      case 'bossEscaped':
+        playSound('bugCaught');
+        break;
+      case 'playerOut':
+        playSound('lose');
+        break;
+      case 'levelUp':
+        playSound('levelUp');
+        setMusicLevel(event.level);
+        break;
+      case 'gameEnded':
+        stopMusic();
+        // A Time Attack game that runs its course is a success too
+        playSound(event.outcome === 'lost' ? 'lose' : 'win');
+        break;
+    }
+  });
+}
+
+/**
+ * Start (or restart) the background track at the tempo for a level.
+ * @param {number} level
+ */
+function startMusic(level) {
+  if (!audioCtx) return;
+  stopMusic();
+  setMusicLevel(level);
+  musicStep = 0;
+  nextMusicNoteTime = audioCtx.currentTime + 0.05;
+  scheduleMusic();
+  musicTimerId = setInterval(scheduleMusic, MUSIC_TIMER_INTERVAL);
+}
+
+/**
+ * Stop the background track. Notes already scheduled finish on their own.
+ */
+function stopMusic() {
+  if (musicTimerId !== null) {
+    clearInterval(musicTimerId);
+    musicTimerId = null;
+  }
+}
+
+/**
+ * Set the music tempo for a level.
+ * @param {number} level
+ */
+function setMusicLevel(level) {
+  musicTempo = Math.min(MUSIC_MAX_TEMPO, MUSIC_BASE_TEMPO + (level - 1) * MUSIC_TEMPO_PER_LEVEL);
+}
+
+/**
+ * Schedule every sixteenth note that falls inside the lookahead window.
+ */
+function scheduleMusic() {
+  const sixteenth = 60 / musicTempo / 4;
+  while (nextMusicNoteTime < audioCtx.currentTime + MUSIC_LOOKAHEAD) {
+    const at = nextMusicNoteTime;
+    const bass = MUSIC_BASS[musicStep];
+    const lead = MUSIC_LEAD[musicStep];
+    if (bass) playTone({ freq: bass, duration: sixteenth * 1.8, type: 'triangle', volume: 0.3, at: at, output: musicGain });
+    if (lead) playTone({ freq: lead, duration: sixteenth * 0.9, type: 'square', volume: 0.05, at: at, output: musicGain });
+    // Hi‑hat on every off beat
+    if (musicStep % 4 === 2) playNoise({ duration: 0.04, volume: 0.08, filterFreq: 7000, at: at, output: musicGain });
+    nextMusicNoteTime += sixteenth;
+    musicStep = (musicStep + 1) % MUSIC_BASS.length;
+  }
+}
+
+/**
+ * Toggle mute on or off and remember the choice.
+ */
+function toggleMute() {
+  audioSettings.muted = !audioSettings.muted;
+  saveAudioSettings();
+  applyAudioSettings();
+  renderAudioControls();
+}
+
+/**
+ * Build the volume sliders in the settings panel and wire up the mute
+ * controls.
+ */
+function initAudioControls() {
+  AUDIO_FIELDS.forEach((field) => {
+    const row = document.createElement('label');
+    row.className = 'setting-row';
+    const name = document.createElement('span');
+    name.id = `audio-${field.key}-label`;
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.id = `audio-${field.key}`;
+    slider.min = 0;
+    slider.max = 1;
+    slider.step = 0.05;
+    const value = document.createElement('output');
+    value.id = `audio-${field.key}-value`;
+    slider.addEventListener('input', () => {
+      audioSettings[field.key] = Number(slider.value);
+      saveAudioSettings();
+      applyAudioSettings();
+      renderAudioControls();
+    });
+    row.appendChild(name);
+    row.appendChild(slider);
+    row.appendChild(value);
+    audioFieldsEl.appendChild(row);
+  });
+
+  audioMutedCheckbox.addEventListener('change', () => {
+    if (audioMutedCheckbox.checked !== audioSettings.muted) toggleMute();
+  });
+  muteBtn.addEventListener('click', () => {
+    // Drop focus so a later spacebar press shoots instead of re-clicking
+    muteBtn.blur();
+    toggleMute();
+  });
+  // M toggles mute anywhere, except while typing into a form field; Ctrl+M,
+  // Alt+M and the like are left to the browser
+  window.addEventListener('keydown', (e) => {
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if ((e.key === 'm' || e.key === 'M') && !e.repeat) toggleMute();
+  });
+  onLocaleChange(renderAudioControls);
+
+  renderAudioControls();
+}
+
+/**
+ * Show the current audio settings in the sliders and mute controls, named
+ * in the current language.
+ */
+function renderAudioControls() {
+  AUDIO_FIELDS.forEach((field) => {
+    const value = audioSettings[field.key];
+    document.getElementById(`audio-${field.key}-label`).textContent = t(`audio.${field.key}`);
+    document.getElementById(`audio-${field.key}`).value = value;
+    document.getElementById(`audio-${field.key}-value`).textContent = formatNumber(value, { style: 'percent' });
+  });
+  audioMutedCheckbox.checked = audioSettings.muted;
+  muteBtn.textContent = audioSettings.muted ? '🔇' : '🔊';
+  muteBtn.title = audioSettings.muted ? t('audio.unmute') : t('audio.mute');
+}
+
+initAudioControls();
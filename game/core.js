@@ -0,0 +1,1890 @@
+/*
+ * Rules of the Forge & Vapor mini‑game, free of any DOM or canvas access.
+ *
+ * A game is a plain state object created by createGame() and advanced one
+ * fixed step at a time with step(state, input, dt). Each step returns a list
+ * of events describing what happened (a bar was caught, a bug was shot, the
+ * game was won…), which the browser renderer and HUD react to. Because
+ * nothing here touches the browser, the same rules can be required from
+ * Node to simulate thousands of games or to test individual rules.
+ *
+ * How levels play out can be described with level definitions (see
+ * validateLevels() and game/levels.json); without them the classic
+ * progression is used. Two players can share a game, either as a team or
+ * against each other (see PLAYER_MODES).
+ *
+ * In the browser this file is loaded before script.js and exposes its API as
+ * the global ForgeVaporCore; in Node it is a CommonJS module.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ForgeVaporCore = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Size of the playfield in world units. The renderer scales these to
+  // whatever size the canvas is shown at.
+  const WORLD_WIDTH = 1000;
+  const WORLD_HEIGHT = 750;
+
+  // Length of one simulation step in milliseconds. The browser loop always
+  // advances the game in steps of this size, regardless of refresh rate.
+  const FIXED_STEP = 1000 / 60;
+
+  // Tunable rules of a game. createGame() accepts overrides for any of these.
+  const DEFAULT_CONFIG = Object.freeze({
+    gameDuration: 60, // seconds
+    initialLives: 3,
+    // Score threshold required to win the game. If the player collects this
+    // many git stars before time runs out, the game ends in victory.
+    winScore: 20,
+    // Probability that a falling bar is "bad". Bad bars grant an extra life
+    // when shot with a phpstan bullet, but consume a life if caught.
+    badBarProbability: 0.2,
+    barSpawnInterval: 1000, // base spawn interval in ms
+    bulletSpeed: 600, // pixels per second
+    // Probability that a bar which is not a bug drops a power‑up instead of
+    // a git star. The kind of power‑up is picked with POWER_UP_WEIGHTS.
+    powerUpProbability: 0.08,
+  });
+
+  // Named difficulty levels. Normal is the classic game.
+  const DIFFICULTY_PRESETS = Object.freeze({
+    easy: Object.freeze({
+      gameDuration: 90,
+      initialLives: 5,
+      winScore: 15,
+      badBarProbability: 0.15,
+      barSpawnInterval: 1200,
+      bulletSpeed: 700,
+      powerUpProbability: 0.12,
+    }),
+    normal: DEFAULT_CONFIG,
+    hard: Object.freeze({
+      gameDuration: 60,
+      initialLives: 2,
+      winScore: 25,
+      badBarProbability: 0.3,
+      barSpawnInterval: 800,
+      bulletSpeed: 550,
+      powerUpProbability: 0.06,
+    }),
+    insane: Object.freeze({
+      gameDuration: 45,
+      initialLives: 1,
+      winScore: 30,
+      badBarProbability: 0.4,
+      barSpawnInterval: 600,
+      bulletSpeed: 500,
+      powerUpProbability: 0.04,
+    }),
+  });
+
+  // Sensible range for each config value, used to validate custom settings
+  const CONFIG_LIMITS = Object.freeze({
+    gameDuration: Object.freeze({ min: 15, max: 180, step: 5 }),
+    initialLives: Object.freeze({ min: 1, max: 10, step: 1 }),
+    winScore: Object.freeze({ min: 5, max: 100, step: 1 }),
+    badBarProbability: Object.freeze({ min: 0, max: 0.8, step: 0.05 }),
+    barSpawnInterval: Object.freeze({ min: 300, max: 2000, step: 50 }),
+    bulletSpeed: Object.freeze({ min: 200, max: 1200, step: 50 }),
+    powerUpProbability: Object.freeze({ min: 0, max: 0.3, step: 0.02 }),
+  });
+
+  // Power‑ups a bar can drop. Timed ones last `duration` ms from the moment
+  // they are caught (catching another restarts the timer); the shield lasts
+  // until it has absorbed a bug, and a time bonus applies at once.
+  const POWER_UPS = Object.freeze({
+    shield: Object.freeze({ duration: 0 }),
+    slowMo: Object.freeze({ duration: 5000 }),
+    multiShot: Object.freeze({ duration: 8000 }),
+    magnet: Object.freeze({ duration: 6000 }),
+    timeBonus: Object.freeze({ duration: 0 }),
+  });
+
+  // Relative chance of each power‑up, by level. Each row applies from its
+  // level until the next row's; weights are relative within a row.
+  const POWER_UP_WEIGHTS = Object.freeze([
+    Object.freeze({ level: 1, weights: Object.freeze({ shield: 3, slowMo: 2, multiShot: 1, magnet: 2, timeBonus: 3 }) }),
+    Object.freeze({ level: 3, weights: Object.freeze({ shield: 3, slowMo: 3, multiShot: 2, magnet: 2, timeBonus: 2 }) }),
+    Object.freeze({ level: 5, weights: Object.freeze({ shield: 4, slowMo: 3, multiShot: 3, magnet: 1, timeBonus: 1 }) }),
+  ]);
+
+  // Game modes and how their rules differ:
+  //  - timed: the game ends when the uptime runs out
+  //  - winScore: reaching config.winScore wins the game
+  //  - extraLives: shooting bugs and bosses earns extra lives
+  //  - lives: fixed number of lives, instead of config.initialLives
+  //  - ramp: after the last defined level, every level spawns faster still
+  //  - fixedWaves: every wave of bars is drawn from the seed and the wave's
+  //    number alone, and the waves keep a pace of their own (see waveStars()),
+  //    so games with the same seed drop the same bars at the same moments and
+  //    speeds however differently they were played (see dailySeed())
+  // A game that ends on time without a win condition is 'finished'.
+  const GAME_MODES = Object.freeze({
+    classic: Object.freeze({ timed: true, winScore: true, extraLives: true }),
+    endless: Object.freeze({ timed: false, winScore: false, extraLives: true, ramp: true }),
+    timeAttack: Object.freeze({ timed: true, winScore: false, extraLives: true }),
+    suddenDeath: Object.freeze({ timed: true, winScore: true, extraLives: false, lives: 1 }),
+    daily: Object.freeze({ timed: true, winScore: false, extraLives: true, fixedWaves: true }),
+  });
+
+  // How many Vapors are on the field and whether they play as one team:
+  //  - count: number of players
+  //  - shared: stars and lives are pooled in state.score and state.lives;
+  //    otherwise every player has lives of their own, a player whose lives
+  //    run out is knocked out and the best player wins
+  const PLAYER_MODES = Object.freeze({
+    single: Object.freeze({ count: 1, shared: true }),
+    coop: Object.freeze({ count: 2, shared: true }),
+    versus: Object.freeze({ count: 2, shared: false }),
+  });
+
+  // Version of the level definition format understood by validateLevels()
+  const LEVELS_VERSION = 1;
+  // Formations a level can drop bars in, and the ways a bar can move
+  const LEVEL_PATTERNS = ['single', 'row', 'zigzag', 'rain'];
+  const LEVEL_MOTIONS = ['straight', 'drift', 'sine'];
+
+  // Player dimensions scaled for the larger canvas (approximately 1.25×)
+  const PLAYER_WIDTH = 90;
+  const PLAYER_HEIGHT = 112;
+  const PLAYER_SPEED = 480; // pixels per second
+  // Bar dimensions scaled up for improved visibility
+  const BAR_WIDTH = 50;
+  const BAR_HEIGHT = 20;
+  // Bar falling speed in pixels per second. Bars start at the base speed and
+  // gain a little per star collected, up to the bonus cap.
+  const BAR_BASE_SPEED = 120;
+  const BAR_SPEED_PER_STAR = 6;
+  const BAR_MAX_SPEED_BONUS = 300;
+  const BULLET_WIDTH = 15;
+  const BULLET_HEIGHT = 15;
+  // While multi‑shot is active every shot fires three bullets this far
+  // apart, each this much faster than usual
+  const MULTI_SHOT_SPREAD = 30;
+  const MULTI_SHOT_SPEED_FACTOR = 1.5;
+  // The PHPStan rule level of the weapon, and with it its shot pattern,
+  // rises with the game level. Each row applies from its level until the
+  // next row's.
+  const WEAPON_LEVELS = Object.freeze([
+    Object.freeze({ level: 1, ruleLevel: 0, pattern: 'single' }),
+    Object.freeze({ level: 2, ruleLevel: 3, pattern: 'double' }),
+    Object.freeze({ level: 4, ruleLevel: 6, pattern: 'spread' }),
+    Object.freeze({ level: 6, ruleLevel: 9, pattern: 'piercing' }),
+  ]);
+  // The bullets a shot of each pattern fires: where they start relative to
+  // the player's centre (px), how fast they drift sideways (px per second)
+  // and how many bars each can destroy before it is spent
+  const WEAPON_PATTERNS = Object.freeze({
+    single: Object.freeze([{ offset: 0, drift: 0, hits: 1 }]),
+    double: Object.freeze([{ offset: -12, drift: 0, hits: 1 }, { offset: 12, drift: 0, hits: 1 }]),
+    spread: Object.freeze([
+      { offset: -10, drift: -150, hits: 1 },
+      { offset: 0, drift: 0, hits: 1 },
+      { offset: 10, drift: 150, hits: 1 },
+    ]),
+    piercing: Object.freeze([{ offset: 0, drift: 0, hits: 3 }]),
+  });
+  // A weapon fires at most once per cooldown. Every shot heats it up; it
+  // cools down steadily, and once the heat reaches the top it overheats and
+  // won't fire again until it has cooled down to OVERHEAT_RECOVERY. Firing
+  // as fast as possible overheats it within a few seconds.
+  const FIRE_COOLDOWN = 200; // ms
+  const HEAT_PER_SHOT = 0.15; // of a full meter
+  const HEAT_COOLING = 0.4; // of a full meter per second
+  const OVERHEAT_RECOVERY = 0.25;
+  // Holding fire this long charges a shot that goes off on release: one
+  // big bullet that breaks through several bars, takes several hits off a
+  // boss and heats the weapon more than a normal shot
+  const CHARGE_TIME = 800; // ms
+  const CHARGED_SHOT_SIZE = 2; // times a normal bullet
+  const CHARGED_SHOT_HITS = 5;
+  const CHARGED_SHOT_DAMAGE = 3;
+  const CHARGED_SHOT_HEAT = 0.35;
+  // Slow‑motion multiplies the falling speed of every bar by this
+  const SLOW_MO_FACTOR = 0.5;
+  // Horizontal speed at which the magnet pulls good bars towards the player
+  const MAGNET_SPEED = 240; // pixels per second
+  // Uptime added by a time bonus, never beyond the game's full duration
+  const TIME_BONUS_SECONDS = 10;
+  // Classic level progression, used when no level definitions are given:
+  // every STARS_PER_LEVEL stars the level rises and the spawn interval
+  // shrinks, but never below MIN_SPAWN_INTERVAL (which also applies to
+  // defined levels).
+  const STARS_PER_LEVEL = 5;
+  const SPAWN_INTERVAL_STEP = 100; // ms faster per level
+  const MIN_SPAWN_INTERVAL = 300;
+  // After a formation the next spawn waits this many extra spawn intervals
+  // for every bar beyond the first, so big formations don't flood the screen
+  const FORMATION_PAUSE = 0.5;
+  // In Endless mode each level past the last defined one spawns this much
+  // faster than the one before
+  const ENDLESS_RAMP = 0.92;
+  // Modes with fixed waves speed up as if this many stars were caught per
+  // wave, whatever the players actually catch
+  const FIXED_WAVE_STARS = 0.5;
+  // Number of entries kept in a high score table
+  const HIGH_SCORE_LIMIT = 10;
+  // Side of a cell of the collision grids (see createGrid()), a little more
+  // than the widest regular bar
+  const GRID_CELL_SIZE = 100;
+
+  // Possible Laravel‑related player names. These are all inspired by official
+  // tools or famous concepts from the Laravel ecosystem.
+  const PLAYER_NAMES = [
+    'Taylor',    // after Taylor Otwell, creator of Laravel
+    'Artisan',   // Laravel’s CLI tool
+    'Lambo',     // a tool for rapid Laravel project creation
+    'Eloquent',  // the ORM
+    'Nova',      // administration panel
+    'Sail',      // Docker environment
+    'Jetstream', // application starter kit
+    'Breeze',    // lightweight auth scaffolding
+    'Valet'      // local development environment
+  ];
+
+  // Bars and bullets that have left the playfield, kept for reuse so a busy
+  // game doesn't allocate an object for every spawn and shot (see
+  // createPool()). Shared by all games, like the collision grids, which are
+  // rebuilt every step and never part of a game's state.
+  const barPool = createPool();
+  const bulletPool = createPool();
+  const playerGrid = createGrid(GRID_CELL_SIZE);
+  const barGrid = createGrid(GRID_CELL_SIZE);
+
+  /**
+   * Advance a mulberry32 generator whose 32‑bit state lives in
+   * holder.rngState and return the next float in [0, 1). Keeping the state
+   * as a plain number means a game state stays serialisable.
+   * @param {{rngState: number}} holder
+   * @returns {number}
+   */
+  function nextRandom(holder) {
+    holder.rngState = (holder.rngState + 0x6d2b79f5) >>> 0;
+    let t = holder.rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Create a standalone seeded pseudo‑random number generator. Given the same
+   * seed it always yields the same sequence.
+   * @param {number} seed - 32‑bit unsigned integer seed
+   * @returns {() => number} function returning floats in [0, 1)
+   */
+  function createRng(seed) {
+    const holder = { rngState: seed >>> 0 };
+    return function () {
+      return nextRandom(holder);
+    };
+  }
+
+  /**
+   * Pick a fresh seed for a new game. This is the only place the rules are
+   * allowed to touch Math.random().
+   * @returns {number}
+   */
+  function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  /**
+   * The seed of a day's challenge, the same for everyone who plays it.
+   * @param {string} day - the date as YYYY-MM-DD
+   * @returns {number}
+   */
+  function dailySeed(day) {
+    // FNV-1a, so neighbouring days get unrelated seeds
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < day.length; i++) {
+      hash = Math.imul(hash ^ day.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+
+  /**
+   * Turn untrusted config (from storage, a file or a form) into a complete,
+   * valid config: unknown keys are dropped, missing or non‑numeric values
+   * fall back to the defaults and everything is clamped to CONFIG_LIMITS and
+   * snapped to its step.
+   * @param {object} [config]
+   * @returns {object}
+   */
+  function normalizeConfig(config) {
+    const source = config && typeof config === 'object' ? config : {};
+    const result = {};
+    Object.keys(CONFIG_LIMITS).forEach((key) => {
+      const limits = CONFIG_LIMITS[key];
+      let value = source[key] === null || source[key] === '' ? NaN : Number(source[key]);
+      if (!Number.isFinite(value)) value = DEFAULT_CONFIG[key];
+      value = Math.min(limits.max, Math.max(limits.min, value));
+      // Snap to the step, then trim floating point noise (0.30000000000000004)
+      value = limits.min + Math.round((value - limits.min) / limits.step) * limits.step;
+      result[key] = Number(value.toFixed(4));
+    });
+    return result;
+  }
+
+  /**
+   * Find the preset a config matches exactly, if any.
+   * @param {object} config
+   * @returns {string|null} preset name such as 'normal', or null for a custom config
+   */
+  function findPreset(config) {
+    const names = Object.keys(DIFFICULTY_PRESETS);
+    for (let i = 0; i < names.length; i++) {
+      const preset = DIFFICULTY_PRESETS[names[i]];
+      const matches = Object.keys(CONFIG_LIMITS).every((key) => preset[key] === config[key]);
+      if (matches) return names[i];
+    }
+    return null;
+  }
+
+  /**
+   * Check level definitions (as found in levels.json) and fill in defaults.
+   *
+   * The data is `{ version: 1, levels: [level, …] }`. Each level has a
+   * `name` and the number of `stars` that completes it, plus optionally:
+   *  - spawnIntervalFactor / bugChanceFactor: multipliers for the difficulty's
+   *    barSpawnInterval and badBarProbability (default 1)
+   *  - barSpeed: { base, perStar, max } falling speed in px/s, growing with
+   *    every star collected in the game
+   *  - patterns: weighted formations, [{ type, weight, count, spacing, width, spread }]
+   *  - motions: weighted bar motions, [{ type, weight, speed, amplitude, period }]
+   *  - powerUpWeights: replaces POWER_UP_WEIGHTS while the level is played;
+   *    at least one weight has to be above 0
+   *  - boss: { name, hits, speed, drift, width, height, damage }, a big bug
+   *    that appears once the stars are collected and must be shot `hits`
+   *    times before the next level starts
+   * After the last level the game carries on with it.
+   * @param {*} data
+   * @returns {{levels: object[]|null, errors: string[]}} the completed levels,
+   *   or null with a list of problems
+   */
+  function validateLevels(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') {
+      return { levels: null, errors: ['The level data must be a JSON object.'] };
+    }
+    if (data.version !== LEVELS_VERSION) errors.push(`Unsupported level format version ${data.version}; expected ${LEVELS_VERSION}.`);
+    if (!Array.isArray(data.levels) || data.levels.length === 0) {
+      errors.push('levels must be a non‑empty array.');
+      return { levels: null, errors: errors };
+    }
+    const levels = data.levels.map((level, i) => validateLevel(level, `levels[${i}]`, errors));
+    return errors.length > 0 ? { levels: null, errors: errors } : { levels: levels, errors: [] };
+  }
+
+  /**
+   * Check one level definition.
+   * @param {*} level
+   * @param {string} path - where the level is, for error messages
+   * @param {string[]} errors - problems are appended here
+   * @returns {object} the level with defaults filled in
+   */
+  function validateLevel(level, path, errors) {
+    if (!level || typeof level !== 'object') {
+      errors.push(`${path} must be an object.`);
+      return null;
+    }
+    const result = {};
+    if (typeof level.name !== 'string' || !level.name.trim() || level.name.length > 40) {
+      errors.push(`${path}.name must be a text of 1 to 40 characters.`);
+    }
+    result.name = String(level.name);
+    result.stars = checkNumber(level.stars, `${path}.stars`, { min: 1, max: 100, integer: true }, errors);
+    result.spawnIntervalFactor = checkNumber(level.spawnIntervalFactor, `${path}.spawnIntervalFactor`, { min: 0.2, max: 5, fallback: 1 }, errors);
+    result.bugChanceFactor = checkNumber(level.bugChanceFactor, `${path}.bugChanceFactor`, { min: 0, max: 5, fallback: 1 }, errors);
+    const speed = level.barSpeed || {};
+    const base = checkNumber(speed.base, `${path}.barSpeed.base`, { min: 20, max: 1000, fallback: BAR_BASE_SPEED }, errors);
+    result.barSpeed = {
+      base: base,
+      perStar: checkNumber(speed.perStar, `${path}.barSpeed.perStar`, { min: 0, max: 50, fallback: BAR_SPEED_PER_STAR }, errors),
+      max: checkNumber(speed.max, `${path}.barSpeed.max`, { min: base, max: 1500, fallback: base + BAR_MAX_SPEED_BONUS }, errors),
+    };
+    result.patterns = checkWeightedList(level.patterns, `${path}.patterns`, LEVEL_PATTERNS, errors, (pattern, itemPath) => ({
+      type: pattern.type,
+      weight: pattern.weight,
+      count: pattern.type === 'single' ? 1 : checkNumber(pattern.count, `${itemPath}.count`, { min: 1, max: 12, integer: true, fallback: 4 }, errors),
+      spacing: checkNumber(pattern.spacing, `${itemPath}.spacing`, { min: 0, max: 400, fallback: pattern.type === 'row' ? 80 : 60 }, errors),
+      width: checkNumber(pattern.width, `${itemPath}.width`, { min: 0, max: 400, fallback: 120 }, errors),
+      spread: checkNumber(pattern.spread, `${itemPath}.spread`, { min: 0, max: 1000, fallback: 300 }, errors),
+    }));
+    result.motions = checkWeightedList(level.motions, `${path}.motions`, LEVEL_MOTIONS, errors, (motion, itemPath) => ({
+      type: motion.type,
+      weight: motion.weight,
+      speed: checkNumber(motion.speed, `${itemPath}.speed`, { min: 0, max: 400, fallback: 80 }, errors),
+      amplitude: checkNumber(motion.amplitude, `${itemPath}.amplitude`, { min: 0, max: 300, fallback: 60 }, errors),
+      period: checkNumber(motion.period, `${itemPath}.period`, { min: 0.2, max: 10, fallback: 2 }, errors),
+    }));
+    if (level.powerUpWeights !== undefined) {
+      const weights = level.powerUpWeights;
+      if (!weights || typeof weights !== 'object' || Object.keys(weights).length === 0) {
+        errors.push(`${path}.powerUpWeights must be an object of power‑up weights.`);
+      } else {
+        result.powerUpWeights = {};
+        Object.keys(weights).forEach((name) => {
+          if (!POWER_UPS[name]) errors.push(`${path}.powerUpWeights.${name} is not a power‑up.`);
+          result.powerUpWeights[name] = checkNumber(weights[name], `${path}.powerUpWeights.${name}`, { min: 0, max: 100 }, errors);
+        });
+        const total = Object.keys(result.powerUpWeights).reduce((sum, name) => sum + result.powerUpWeights[name], 0);
+        if (total <= 0) errors.push(`${path}.powerUpWeights needs a weight above 0.`);
+      }
+    }
+    if (level.boss !== undefined) {
+      const boss = level.boss || {};
+      const bossPath = `${path}.boss`;
+      result.boss = {
+        name: typeof boss.name === 'string' && boss.name.trim() ? boss.name.slice(0, 40) : 'Boss bug',
+        hits: checkNumber(boss.hits, `${bossPath}.hits`, { min: 1, max: 50, integer: true, fallback: 5 }, errors),
+        speed: checkNumber(boss.speed, `${bossPath}.speed`, { min: 10, max: 400, fallback: 50 }, errors),
+        drift: checkNumber(boss.drift, `${bossPath}.drift`, { min: 0, max: 400, fallback: 120 }, errors),
+        width: checkNumber(boss.width, `${bossPath}.width`, { min: 60, max: 400, fallback: 150 }, errors),
+        height: checkNumber(boss.height, `${bossPath}.height`, { min: 20, max: 120, fallback: 40 }, errors),
+        damage: checkNumber(boss.damage, `${bossPath}.damage`, { min: 1, max: 10, integer: true, fallback: 2 }, errors),
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Check a number in a level definition.
+   * @param {*} value
+   * @param {string} path - for error messages
+   * @param {{min: number, max: number, integer?: boolean, fallback?: number}} rule -
+   *   without a fallback the value is required
+   * @param {string[]} errors
+   * @returns {number}
+   */
+  function checkNumber(value, path, rule, errors) {
+    if (value === undefined && rule.fallback !== undefined) return rule.fallback;
+    const valid = typeof value === 'number' && Number.isFinite(value) && value >= rule.min && value <= rule.max &&
+      (!rule.integer || Number.isInteger(value));
+    if (!valid) {
+      errors.push(`${path} must be ${rule.integer ? 'a whole number' : 'a number'} from ${rule.min} to ${rule.max}.`);
+      return rule.fallback !== undefined ? rule.fallback : rule.min;
+    }
+    return value;
+  }
+
+  /**
+   * Check a weighted list of patterns or motions. A missing list means a
+   * single entry of the first type.
+   * @param {*} list
+   * @param {string} path - for error messages
+   * @param {string[]} types - allowed `type` values
+   * @param {string[]} errors
+   * @param {(item: object, path: string) => object} complete - fills in the
+   *   type specific fields of an item whose type and weight are valid
+   * @returns {object[]}
+   */
+  function checkWeightedList(list, path, types, errors, complete) {
+    if (list === undefined) list = [{ type: types[0] }];
+    if (!Array.isArray(list) || list.length === 0) {
+      errors.push(`${path} must be a non‑empty array.`);
+      return [];
+    }
+    return list.map((item, i) => {
+      const itemPath = `${path}[${i}]`;
+      if (!item || types.indexOf(item.type) === -1) {
+        errors.push(`${itemPath}.type must be one of: ${types.join(', ')}.`);
+        return null;
+      }
+      const weight = checkNumber(item.weight, `${itemPath}.weight`, { min: 0.01, max: 100, fallback: 1 }, errors);
+      return complete(Object.assign({}, item, { weight: weight }), itemPath);
+    });
+  }
+
+  /**
+   * Create the state for a new game.
+   * @param {object} [options]
+   * @param {number} [options.seed] - seed for every random decision; random if omitted
+   * @param {object} [options.config] - overrides for DEFAULT_CONFIG
+   * @param {string} [options.playerName] - name to play as; a random one if omitted
+   * @param {string[]} [options.playerNames] - names the random ones are
+   *   picked from; PLAYER_NAMES if omitted
+   * @param {object[]|null} [options.levels] - level definitions checked by
+   *   validateLevels(); the classic progression if omitted
+   * @param {string} [options.mode='classic'] - a key of GAME_MODES
+   * @param {string} [options.playerMode='single'] - a key of PLAYER_MODES
+   * @param {boolean} [options.weaponSystem=true] - false for the classic
+   *   weapon: every shot fires a single bullet at once, with no rule levels,
+   *   cooldown, heat or charged shots
+   * @param {string|null} [options.day] - the day (YYYY-MM-DD) of a Daily
+   *   Challenge game, kept on the state; the seed has to match it (see
+   *   dailySeed())
+   * @returns {object} game state, advanced with step()
+   */
+  function createGame(options = {}) {
+    const config = Object.assign({}, DEFAULT_CONFIG, options.config);
+    const seed = options.seed === undefined ? randomSeed() : options.seed >>> 0;
+    const mode = GAME_MODES[options.mode] ? options.mode : 'classic';
+    const playerMode = PLAYER_MODES[options.playerMode] ? options.playerMode : 'single';
+    const { count, shared } = PLAYER_MODES[playerMode];
+    const lives = GAME_MODES[mode].lives || config.initialLives;
+    const players = [];
+    for (let i = 0; i < count; i++) {
+      // Players start evenly spread across the playfield
+      players.push(createPlayer(((i + 1) * WORLD_WIDTH) / (count + 1) - PLAYER_WIDTH / 2, shared ? null : lives));
+    }
+    const state = {
+      config: config,
+      seed: seed,
+      rngState: seed,
+      mode: mode,
+      playerMode: playerMode,
+      weaponSystem: options.weaponSystem !== false,
+      // Day of a Daily Challenge game, or null
+      day: typeof options.day === 'string' ? options.day : null,
+      // 'running' until the game is decided, then 'won', 'lost' or 'finished'
+      status: 'running',
+      // Versus only: index of the winning player once the game is decided,
+      // or null for a draw
+      winner: null,
+      // Number of steps simulated so far, and the time they covered
+      steps: 0,
+      elapsed: 0, // seconds
+      playerName: '',
+      // Stars of all players together
+      score: 0,
+      // Lives shared by all players; null in versus, where each has their own
+      lives: shared ? lives : null,
+      // Stays at the full duration in untimed modes
+      timeLeft: config.gameDuration, // seconds
+      level: 1,
+      // Level definitions in play, or null for the classic progression
+      levels: options.levels || null,
+      // Stars collected since the current level started
+      levelStars: 0,
+      // While a boss is on screen no other bars spawn
+      bossActive: false,
+      // Set by the debug console: no lives are lost while it is on
+      invincible: false,
+      spawnInterval: 0,
+      spawnTimer: 0,
+      // Waves of bars dropped so far
+      waves: 0,
+      players: players,
+      bars: [],
+      bullets: [],
+    };
+    // Pick a random name for this session. The draw happens even when a name
+    // is supplied, so the rest of the random sequence never depends on it,
+    // nor on how many names there are to pick from.
+    const names = Array.isArray(options.playerNames) && options.playerNames.length > 0 ? options.playerNames : PLAYER_NAMES;
+    const nameIndex = Math.floor(nextRandom(state) * names.length);
+    state.playerName = options.playerName || names[nameIndex];
+    players[0].name = state.playerName;
+    if (count > 1) {
+      // The second player gets a different random name, if there is one
+      const offset = 1 + Math.floor(nextRandom(state) * (names.length - 1));
+      players[1].name = names[(nameIndex + offset) % names.length];
+    }
+    state.spawnInterval = levelSpawnInterval(state);
+    return state;
+  }
+
+  /**
+   * Check a game state that was saved as JSON, e.g. to carry on with it
+   * after a reload, and make it playable again. Every field the rules and
+   * the renderer rely on is checked, down to each bar's kind and the fields
+   * a boss needs, but only for its shape: states saved by a different
+   * version of the rules have to be turned away by the caller.
+   * @param {*} data - a state from createGame(), after a trip through JSON
+   * @returns {object|null} the game state, or null if data isn't a game in
+   *   progress
+   */
+  function restoreGame(data) {
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const isObject = (value) => !!value && typeof value === 'object';
+    const hasNumbers = (item, keys) => isObject(item) && keys.every((key) => isNumber(item[key]));
+    if (!isObject(data) || data.status !== 'running' || !isObject(data.config)) return null;
+    if (!GAME_MODES[data.mode] || !PLAYER_MODES[data.playerMode]) return null;
+    const numbers = ['seed', 'rngState', 'steps', 'elapsed', 'score', 'timeLeft', 'level', 'levelStars', 'spawnInterval', 'spawnTimer', 'waves'];
+    if (!hasNumbers(data, numbers) || typeof data.playerName !== 'string') return null;
+    if (data.day !== null && typeof data.day !== 'string') return null;
+    const { count, shared } = PLAYER_MODES[data.playerMode];
+    if (shared ? !isNumber(data.lives) : data.lives !== null) return null;
+    if (!Array.isArray(data.players) || data.players.length !== count) return null;
+    const isFlag = (value) => typeof value === 'boolean';
+    if (![data.weaponSystem, data.bossActive, data.invincible].every(isFlag) || data.winner !== null) return null;
+    const playersOk = data.players.every((player) => (
+      hasNumbers(player, ['x', 'y', 'prevX', 'width', 'height', 'score']) &&
+      typeof player.name === 'string' && isFlag(player.out) &&
+      hasNumbers(player.powerUps, ['shield', 'slowMo', 'multiShot', 'magnet']) &&
+      hasNumbers(player.weapon, ['cooldown', 'heat', 'charge']) && isFlag(player.weapon.overheated) &&
+      (shared ? player.lives === null : isNumber(player.lives))
+    ));
+    if (!playersOk) return null;
+    const box = ['x', 'y', 'prevX', 'prevY', 'width', 'height', 'speed'];
+    // Every bar has the fields of a boss; only bosses have a name and hits
+    const barOk = (bar) => (
+      hasNumbers(bar, box.concat(['baseX', 'vx', 'amplitude', 'period', 'phase', 'age', 'hits', 'maxHits', 'damage'])) &&
+      (bar.type === 'boss'
+        ? typeof bar.name === 'string' && bar.hits > 0 && bar.maxHits >= bar.hits
+        : bar.name === null && (bar.type === 'good' || bar.type === 'bad' || Object.prototype.hasOwnProperty.call(POWER_UPS, bar.type)))
+    );
+    const bulletOk = (bullet) => (
+      hasNumbers(bullet, box.concat(['drift', 'hits', 'damage'])) &&
+      isFlag(bullet.charged) && Number.isInteger(bullet.owner) && bullet.owner >= 0 && bullet.owner < count
+    );
+    if (!Array.isArray(data.bars) || !data.bars.every(barOk)) return null;
+    if (!Array.isArray(data.bullets) || !data.bullets.every(bulletOk)) return null;
+    if (data.levels !== null && validateLevels({ version: LEVELS_VERSION, levels: data.levels }).errors.length > 0) return null;
+    data.config = normalizeConfig(data.config);
+    return data;
+  }
+
+  /**
+   * A Vapor standing at the bottom of the playfield.
+   * @param {number} x
+   * @param {number|null} lives - the player's own lives, or null when shared
+   * @returns {object}
+   */
+  function createPlayer(x, lives) {
+    return {
+      name: '',
+      x: x,
+      y: WORLD_HEIGHT - PLAYER_HEIGHT - 20,
+      // Position at the start of the latest step, for render interpolation
+      prevX: x,
+      width: PLAYER_WIDTH,
+      height: PLAYER_HEIGHT,
+      // Stars this player caught
+      score: 0,
+      lives: lives,
+      // Versus only: set once the player's lives have run out
+      out: false,
+      // Active power‑ups: shield charges, and ms left for the timed ones
+      powerUps: { shield: 0, slowMo: 0, multiShot: 0, magnet: 0 },
+      // ms until the weapon can fire again, its heat (0–1), whether it has
+      // overheated and for how many ms fire has been held to charge a shot
+      weapon: { cooldown: 0, heat: 0, overheated: false, charge: 0 },
+    };
+  }
+
+  /**
+   * Input for a single step when the player does nothing.
+   * @returns {{pointerX: null, left: boolean, right: boolean, shots: number, firing: boolean}}
+   */
+  function emptyInput() {
+    return { pointerX: null, left: false, right: false, shots: 0, firing: false };
+  }
+
+  /**
+   * Advance a game by one step and report what happened.
+   *
+   * Events are plain objects with a `type` of: 'shot', 'barSpawned',
+   * 'barCaught', 'bugCaught', 'barMissed', 'bugKilled', 'goodBarShot',
+   * 'powerUpCaught' and 'powerUpExpired' (with `powerUp`), 'shieldBlocked',
+   * 'bossSpawned', 'bossHit', 'bossDefeated', 'bossEscaped', 'playerOut',
+   * 'overheated', 'weaponCooled', 'weaponUpgraded' (with `ruleLevel` and
+   * `pattern`), 'levelUp' (with `level` and the level's `name`, if defined) or
+   * 'gameEnded' (with `outcome` 'won', 'lost' or 'finished', and in versus
+   * the `winner`). Events that concern one player carry its index as
+   * `player`. The bars and bullets events point at are reused by later
+   * steps once they have left the game, so copy anything that must outlast
+   * the step.
+   *
+   * @param {object} state - game state from createGame(); mutated in place
+   * @param {object|object[]} input - one input per player, or a single input
+   *   for the first player. Inputs look like
+   *   {pointerX: number|null, left: boolean, right: boolean, shots: number, firing: boolean}:
+   *   pointerX centres the player on that x; left/right are held movement keys;
+   *   shots is how many times fire was pressed this step and firing whether
+   *   it is held down
+   * @param {number} [dt=FIXED_STEP] - step length in milliseconds
+   * @returns {object[]} events produced during the step
+   */
+  function step(state, input, dt = FIXED_STEP) {
+    const events = [];
+    if (state.status !== 'running') return events;
+    const seconds = dt / 1000;
+    state.steps++;
+    state.elapsed += seconds;
+    // Last step's events are handled by now, so its leftovers can be reused
+    recycle(barPool);
+    recycle(bulletPool);
+    savePreviousPositions(state);
+    updatePowerUps(state, dt, events);
+    if (state.weaponSystem) updateWeapons(state, dt, events);
+    const inputs = Array.isArray(input) ? input : [input];
+    state.players.forEach((player, index) => {
+      if (!player.out) applyInput(state, index, inputs[index] || emptyInput(), dt, events);
+    });
+
+    // Spawn new bars at an interval that decreases with level, except while
+    // a boss is being fought
+    if (!state.bossActive) {
+      state.spawnTimer += dt;
+      if (state.spawnTimer >= state.spawnInterval) {
+        const spawned = spawnWave(state, events);
+        state.spawnTimer = -(spawned - 1) * state.spawnInterval * FORMATION_PAUSE;
+      }
+    }
+
+    updateBars(state, seconds, events);
+    if (state.status === 'running') updateBullets(state, seconds, events);
+    removeDead(state.bars);
+    removeDead(state.bullets);
+    if (state.status !== 'running') return events;
+
+    // Decrease the timer. Running out of time loses the game, unless the
+    // mode has no win condition: then the run is simply over. A versus
+    // game goes to whoever has the most stars.
+    if (GAME_MODES[state.mode].timed) {
+      state.timeLeft -= seconds;
+      if (state.timeLeft <= 0) {
+        state.timeLeft = 0;
+        if (!PLAYER_MODES[state.playerMode].shared) {
+          finishVersus(state, leadingPlayer(state), events);
+        } else {
+          finishGame(state, GAME_MODES[state.mode].winScore ? 'lost' : 'finished', events);
+        }
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Record the current position of every moving object as its previous
+   * position, so a renderer can interpolate between steps.
+   * @param {object} state
+   */
+  function savePreviousPositions(state) {
+    state.players.forEach((player) => {
+      player.prevX = player.x;
+    });
+    state.bars.forEach((bar) => {
+      bar.prevX = bar.x;
+      bar.prevY = bar.y;
+    });
+    state.bullets.forEach((bullet) => {
+      bullet.prevX = bullet.x;
+      bullet.prevY = bullet.y;
+    });
+  }
+
+  /**
+   * Count down the timed power‑ups, reporting the ones that run out.
+   * @param {object} state
+   * @param {number} dt - step length in milliseconds
+   * @param {object[]} events
+   */
+  function updatePowerUps(state, dt, events) {
+    state.players.forEach((player, index) => {
+      ['slowMo', 'multiShot', 'magnet'].forEach((name) => {
+        if (player.powerUps[name] <= 0) return;
+        player.powerUps[name] = Math.max(0, player.powerUps[name] - dt);
+        if (player.powerUps[name] === 0) events.push({ type: 'powerUpExpired', powerUp: name, player: index });
+      });
+    });
+  }
+
+  /**
+   * Let every weapon's cooldown run out and its heat drop, reporting the
+   * ones that have cooled down enough to fire again after overheating.
+   * @param {object} state
+   * @param {number} dt - step length in milliseconds
+   * @param {object[]} events
+   */
+  function updateWeapons(state, dt, events) {
+    state.players.forEach((player, index) => {
+      const weapon = player.weapon;
+      weapon.cooldown = Math.max(0, weapon.cooldown - dt);
+      weapon.heat = Math.max(0, weapon.heat - (HEAT_COOLING * dt) / 1000);
+      if (weapon.overheated && weapon.heat <= OVERHEAT_RECOVERY) {
+        weapon.overheated = false;
+        events.push({ type: 'weaponCooled', player: index });
+      }
+    });
+  }
+
+  /**
+   * The weapon row of WEAPON_LEVELS for the current level.
+   * @param {object} state
+   * @returns {{level: number, ruleLevel: number, pattern: string}}
+   */
+  function weaponLevel(state) {
+    let row = WEAPON_LEVELS[0];
+    WEAPON_LEVELS.forEach((candidate) => {
+      if (state.level >= candidate.level) row = candidate;
+    });
+    return row;
+  }
+
+  /**
+   * Move a player and fire bullets according to this step's input.
+   * @param {object} state
+   * @param {number} index - which player
+   * @param {object} input
+   * @param {number} dt - step length in milliseconds
+   * @param {object[]} events
+   */
+  function applyInput(state, index, input, dt, events) {
+    const seconds = dt / 1000;
+    const player = state.players[index];
+    if (input.pointerX !== null && input.pointerX !== undefined) {
+      // Center the player under the cursor. The pointer is authoritative, so
+      // do not interpolate towards it.
+      player.x = input.pointerX - player.width / 2;
+      player.prevX = player.x;
+    }
+    // Move player based on key presses
+    if (input.left) {
+      player.x -= PLAYER_SPEED * seconds;
+    }
+    if (input.right) {
+      player.x += PLAYER_SPEED * seconds;
+    }
+    // Keep player within the playfield
+    if (player.x < 0) player.x = 0;
+    if (player.x + player.width > WORLD_WIDTH) player.x = WORLD_WIDTH - player.width;
+    if (!state.weaponSystem) {
+      for (let i = 0; i < input.shots; i++) {
+        shootBullet(state, index, 'single', events);
+      }
+      return;
+    }
+    fireWeapon(state, index, input, dt, events);
+  }
+
+  /**
+   * Fire a player's weapon according to this step's input. A press fires
+   * once, unless the weapon is still cooling down from the last shot or has
+   * overheated. Holding fire charges a shot, which goes off when fire is
+   * released after CHARGE_TIME; overheating loses the charge.
+   * @param {object} state
+   * @param {number} index - which player
+   * @param {object} input
+   * @param {number} dt - step length in milliseconds
+   * @param {object[]} events
+   */
+  function fireWeapon(state, index, input, dt, events) {
+    const weapon = state.players[index].weapon;
+    if (input.shots > 0 && weapon.cooldown === 0 && !weapon.overheated) {
+      shootBullet(state, index, weaponLevel(state).pattern, events);
+    }
+    if (input.firing && !weapon.overheated) {
+      weapon.charge = Math.min(CHARGE_TIME, weapon.charge + dt);
+      return;
+    }
+    if (weapon.charge === CHARGE_TIME && !weapon.overheated) {
+      shootBullet(state, index, 'charged', events);
+    }
+    weapon.charge = 0;
+  }
+
+  /**
+   * The definition of the level being played, or of another one.
+   * @param {object} state
+   * @param {number} [number=state.level]
+   * @returns {object|null} null with the classic progression
+   */
+  function currentLevel(state, number = state.level) {
+    if (!state.levels) return null;
+    return state.levels[Math.min(number, state.levels.length) - 1];
+  }
+
+  /**
+   * The stars that set how fast bars fall: the score, or in modes with fixed
+   * waves a count that follows the waves dropped so far.
+   * @param {object} state
+   * @returns {number}
+   */
+  function waveStars(state) {
+    return GAME_MODES[state.mode].fixedWaves ? Math.floor(state.waves * FIXED_WAVE_STARS) : state.score;
+  }
+
+  /**
+   * The level whose rules drop the next wave: the one being played, or in
+   * modes with fixed waves the one waveStars() would have reached.
+   * @param {object} state
+   * @returns {number}
+   */
+  function waveLevel(state) {
+    return GAME_MODES[state.mode].fixedWaves ? 1 + Math.floor(waveStars(state) / STARS_PER_LEVEL) : state.level;
+  }
+
+  /**
+   * Time between two spawns on the current level (see waveLevel()).
+   * @param {object} state
+   * @returns {number} ms
+   */
+  function levelSpawnInterval(state) {
+    const number = waveLevel(state);
+    const level = currentLevel(state, number);
+    let interval = level
+      ? Math.round(state.config.barSpawnInterval * level.spawnIntervalFactor)
+      : state.config.barSpawnInterval - (number - 1) * SPAWN_INTERVAL_STEP;
+    if (level && GAME_MODES[state.mode].ramp && number > state.levels.length) {
+      interval = Math.round(interval * Math.pow(ENDLESS_RAMP, number - state.levels.length));
+    }
+    return Math.max(MIN_SPAWN_INTERVAL, interval);
+  }
+
+  /**
+   * Drop the next bar, or the next formation of bars on a defined level.
+   * @param {object} state
+   * @param {object[]} events
+   * @returns {number} how many bars were dropped
+   */
+  function spawnWave(state, events) {
+    const level = currentLevel(state, waveLevel(state));
+    if (GAME_MODES[state.mode].fixedWaves) {
+      // Start the wave's draws afresh, whatever the game drew before it
+      state.rngState = (state.seed ^ Math.imul(state.waves + 1, 0x9e3779b9)) >>> 0;
+    }
+    state.waves++;
+    // Waves of their own keep their own pace, whatever level was reached
+    if (GAME_MODES[state.mode].fixedWaves) state.spawnInterval = levelSpawnInterval(state);
+    if (!level) {
+      spawnBar(state, events, nextRandom(state) * (WORLD_WIDTH - BAR_WIDTH), 0, null);
+      return 1;
+    }
+    const pattern = pickWeighted(state, level.patterns);
+    const positions = formationPositions(state, pattern);
+    positions.forEach((position) => {
+      spawnBar(state, events, position.x, position.offset, level);
+    });
+    return positions.length;
+  }
+
+  /**
+   * Where the bars of a formation start: an x position and how far above
+   * the top of the playfield.
+   * @param {object} state
+   * @param {object} pattern - from a level's patterns
+   * @returns {{x: number, offset: number}[]}
+   */
+  function formationPositions(state, pattern) {
+    const positions = [];
+    const maxX = WORLD_WIDTH - BAR_WIDTH;
+    if (pattern.type === 'row') {
+      // Side by side, somewhere along the top
+      const span = (pattern.count - 1) * pattern.spacing;
+      const start = nextRandom(state) * Math.max(0, maxX - span);
+      for (let i = 0; i < pattern.count; i++) {
+        positions.push({ x: Math.min(maxX, start + i * pattern.spacing), offset: 0 });
+      }
+    } else if (pattern.type === 'zigzag') {
+      // A column swinging left and right of a centre line
+      const swing = Math.min(pattern.width, maxX / 2);
+      const centre = swing + nextRandom(state) * (maxX - 2 * swing);
+      for (let i = 0; i < pattern.count; i++) {
+        positions.push({ x: centre + (i % 2 === 0 ? -swing : swing), offset: i * pattern.spacing });
+      }
+    } else if (pattern.type === 'rain') {
+      // A burst scattered over the width and a little above the top
+      for (let i = 0; i < pattern.count; i++) {
+        positions.push({ x: nextRandom(state) * maxX, offset: nextRandom(state) * pattern.spread });
+      }
+    } else {
+      positions.push({ x: nextRandom(state) * maxX, offset: 0 });
+    }
+    return positions;
+  }
+
+  /**
+   * Spawn a new glowing bar at the top of the screen (or `offset` above it).
+   * The falling speed increases slightly with score (see waveStars()) to add
+   * difficulty over time.
+   *
+   * A bar's `type` is 'good' (a git star), 'bad' (a bug), 'boss' or the name
+   * of a power‑up from POWER_UPS. Bars fall straight down unless the level
+   * gives them a sideways drift (`vx`) or a sine wave (`amplitude`, `period`).
+   * @param {object} state
+   * @param {object[]} events
+   * @param {number} x
+   * @param {number} offset - extra distance above the top of the playfield
+   * @param {object|null} level - the current level definition, if any
+   * @param {'good'|'bad'} [forcedType] - the kind of bar to spawn, instead of
+   *   a random one
+   */
+  function spawnBar(state, events, x, offset, level, forcedType) {
+    const stars = waveStars(state);
+    const speed = level
+      ? Math.min(level.barSpeed.max, level.barSpeed.base + stars * level.barSpeed.perStar)
+      : BAR_BASE_SPEED + Math.min(stars * BAR_SPEED_PER_STAR, BAR_MAX_SPEED_BONUS);
+    // Determine if this bar is a "bad" bar with a chance. Bad bars are drawn
+    // differently and grant an extra life if destroyed by a bullet. If caught
+    // by the player they will consume a life instead of granting a star.
+    const bugChance = state.config.badBarProbability * (level ? level.bugChanceFactor : 1);
+    let type = forcedType || (nextRandom(state) < bugChance ? 'bad' : 'good');
+    // Only roll for a power‑up when they are enabled, so configs without them
+    // (and replays recorded before they existed) see the same random sequence
+    if (!forcedType && type === 'good' && state.config.powerUpProbability > 0 && nextRandom(state) < state.config.powerUpProbability) {
+      type = pickPowerUp(state);
+    }
+    const y = -BAR_HEIGHT - offset;
+    const bar = acquire(barPool);
+    bar.x = x;
+    bar.y = y;
+    bar.prevX = x;
+    bar.prevY = y;
+    // Position before any sine wave is applied
+    bar.baseX = x;
+    bar.width = BAR_WIDTH;
+    bar.height = BAR_HEIGHT;
+    bar.speed = speed;
+    bar.type = type;
+    bar.vx = 0;
+    bar.amplitude = 0;
+    bar.period = 1;
+    bar.phase = 0;
+    bar.age = 0;
+    // Only bosses have a name, hits and damage
+    bar.name = null;
+    bar.hits = 0;
+    bar.maxHits = 0;
+    bar.damage = 0;
+    if (level) applyMotion(state, bar, pickWeighted(state, level.motions));
+    state.bars.push(bar);
+    events.push({ type: 'barSpawned', bar: bar });
+  }
+
+  /**
+   * Drop extra bars at random places above the playfield, on top of what
+   * the level spawns. The stress test fills the screen this way, and the
+   * debug console drops bars of one kind; the bars fall like any other on
+   * the current level.
+   * @param {object} state
+   * @param {number} count
+   * @param {'good'|'bad'} [type] - drop only this kind of bar; a random mix
+   *   if omitted
+   * @returns {object[]} a 'barSpawned' event per bar
+   */
+  function dropBars(state, count, type) {
+    const events = [];
+    const level = currentLevel(state);
+    for (let i = 0; i < count; i++) {
+      spawnBar(state, events, nextRandom(state) * (WORLD_WIDTH - BAR_WIDTH), nextRandom(state) * WORLD_HEIGHT / 4, level, type);
+    }
+    return events;
+  }
+
+  /**
+   * Move a game straight to a level, as if the one before had just been
+   * finished, or back to an earlier one. Used by the debug console.
+   * @param {object} state
+   * @param {number} level - 1 or more
+   * @returns {object[]} the 'levelUp' event, and 'weaponUpgraded' if the
+   *   weapon changes
+   */
+  function jumpToLevel(state, level) {
+    const events = [];
+    levelUp(state, events, Math.max(1, Math.floor(level)));
+    return events;
+  }
+
+  /**
+   * Give a new bar one of the level's motions.
+   * @param {object} state
+   * @param {object} bar
+   * @param {object} motion - from a level's motions
+   */
+  function applyMotion(state, bar, motion) {
+    if (motion.type === 'drift') {
+      bar.vx = nextRandom(state) < 0.5 ? -motion.speed : motion.speed;
+    } else if (motion.type === 'sine') {
+      // Keep the whole wave inside the playfield
+      bar.amplitude = Math.min(motion.amplitude, (WORLD_WIDTH - bar.width) / 2);
+      bar.baseX = Math.min(WORLD_WIDTH - bar.width - bar.amplitude, Math.max(bar.amplitude, bar.baseX));
+      bar.x = bar.baseX;
+      bar.prevX = bar.x;
+      bar.period = motion.period;
+      bar.phase = nextRandom(state) * Math.PI * 2;
+    }
+  }
+
+  /**
+   * Drop the level's boss bug.
+   * @param {object} state
+   * @param {object} boss - the level's boss definition
+   * @param {object[]} events
+   */
+  function spawnBoss(state, boss, events) {
+    const x = nextRandom(state) * (WORLD_WIDTH - boss.width);
+    const bar = acquire(barPool);
+    bar.x = x;
+    bar.y = -boss.height;
+    bar.prevX = x;
+    bar.prevY = -boss.height;
+    bar.baseX = x;
+    bar.width = boss.width;
+    bar.height = boss.height;
+    bar.speed = boss.speed;
+    bar.type = 'boss';
+    bar.vx = nextRandom(state) < 0.5 ? -boss.drift : boss.drift;
+    bar.amplitude = 0;
+    bar.period = 1;
+    bar.phase = 0;
+    bar.age = 0;
+    bar.name = boss.name;
+    bar.hits = boss.hits;
+    bar.maxHits = boss.hits;
+    bar.damage = boss.damage;
+    state.bars.push(bar);
+    state.bossActive = true;
+    events.push({ type: 'bossSpawned', bar: bar, name: boss.name });
+  }
+
+  /**
+   * Pick one entry of a weighted list.
+   * @param {object} state
+   * @param {{weight: number}[]} list
+   * @returns {object}
+   */
+  function pickWeighted(state, list) {
+    if (list.length === 1) return list[0];
+    const total = list.reduce((sum, item) => sum + item.weight, 0);
+    let roll = nextRandom(state) * total;
+    for (let i = 0; i < list.length; i++) {
+      roll -= list[i].weight;
+      if (roll < 0) return list[i];
+    }
+    return list[list.length - 1];
+  }
+
+  /**
+   * Choose which power‑up to drop, using the weights for the current level
+   * (see waveLevel()).
+   * @param {object} state
+   * @returns {string} a key of POWER_UPS, or 'good' when the mode rules out
+   *   every power‑up the level drops (a level of time bonuses in Endless)
+   */
+  function pickPowerUp(state) {
+    const number = waveLevel(state);
+    const level = currentLevel(state, number);
+    let weights = POWER_UP_WEIGHTS[0].weights;
+    if (level && level.powerUpWeights) {
+      weights = level.powerUpWeights;
+    } else {
+      POWER_UP_WEIGHTS.forEach((row) => {
+        if (number >= row.level) weights = row.weights;
+      });
+    }
+    // Extra uptime is no use in a mode without a timer
+    const names = Object.keys(weights).filter((name) => name !== 'timeBonus' || GAME_MODES[state.mode].timed);
+    const total = names.reduce((sum, name) => sum + weights[name], 0);
+    if (total <= 0) return 'good';
+    let roll = nextRandom(state) * total;
+    for (let i = 0; i < names.length; i++) {
+      roll -= weights[names[i]];
+      if (roll < 0) return names[i];
+    }
+    return names[names.length - 1];
+  }
+
+  /**
+   * Fire a shot of phpstan bullets from a player's current position. Bullets
+   * travel upwards and can destroy falling bars. With multi‑shot active,
+   * every bullet of a normal shot is flanked by two more and all of them fly
+   * faster. With the weapon system, the shot starts the cooldown and heats
+   * the weapon, possibly overheating it.
+   * @param {object} state
+   * @param {number} index - the player who fired
+   * @param {string} pattern - a key of WEAPON_PATTERNS, or 'charged' for a
+   *   charged shot
+   * @param {object[]} events
+   */
+  function shootBullet(state, index, pattern, events) {
+    const player = state.players[index];
+    const charged = pattern === 'charged';
+    const size = charged ? CHARGED_SHOT_SIZE : 1;
+    const centreX = player.x + player.width / 2 - (BULLET_WIDTH * size) / 2;
+    const y = player.y - BULLET_HEIGHT * size;
+    const multiShot = !charged && player.powerUps.multiShot > 0;
+    const flanks = multiShot ? [-MULTI_SHOT_SPREAD, 0, MULTI_SHOT_SPREAD] : [0];
+    const speed = state.config.bulletSpeed * (multiShot ? MULTI_SHOT_SPEED_FACTOR : 1);
+    const shots = charged ? [{ offset: 0, drift: 0, hits: CHARGED_SHOT_HITS }] : WEAPON_PATTERNS[pattern];
+    shots.forEach((shot) => {
+      flanks.forEach((flank) => {
+        const bullet = acquire(bulletPool);
+        bullet.x = centreX + shot.offset + flank;
+        bullet.y = y;
+        bullet.prevX = bullet.x;
+        bullet.prevY = y;
+        bullet.width = BULLET_WIDTH * size;
+        bullet.height = BULLET_HEIGHT * size;
+        bullet.speed = speed;
+        bullet.drift = shot.drift;
+        // Bars it can still destroy, and hits it takes off a boss
+        bullet.hits = shot.hits;
+        bullet.damage = charged ? CHARGED_SHOT_DAMAGE : 1;
+        bullet.charged = charged;
+        bullet.owner = index;
+        state.bullets.push(bullet);
+        events.push({ type: 'shot', bullet: bullet });
+      });
+    });
+    if (!state.weaponSystem) return;
+    const weapon = player.weapon;
+    weapon.cooldown = FIRE_COOLDOWN;
+    weapon.heat += charged ? CHARGED_SHOT_HEAT : HEAT_PER_SHOT;
+    if (weapon.heat >= 1) {
+      weapon.heat = 1;
+      weapon.overheated = true;
+      weapon.charge = 0;
+      events.push({ type: 'overheated', player: index });
+    }
+  }
+
+  /**
+   * Move bars and resolve catches and misses, newest bar first. May end the
+   * game. Bars that leave the game are removed from the list at the end of
+   * the step (see removeDead()).
+   * @param {object} state
+   * @param {number} seconds
+   * @param {object[]} events
+   */
+  function updateBars(state, seconds, events) {
+    const bars = state.bars;
+    clearGrid(playerGrid);
+    state.players.forEach((player, index) => {
+      if (!player.out) insertIntoGrid(playerGrid, player, index);
+    });
+    for (let i = bars.length - 1; i >= 0; i--) {
+      const bar = bars[i];
+      moveBar(state, bar, seconds);
+      const catcher = findCatcher(state, bar);
+      if (bar.type === 'boss') {
+        // A boss that reaches a player or the bottom does heavy damage. At
+        // the bottom it counts against the nearest player.
+        if (catcher !== -1 || bar.y > WORLD_HEIGHT) {
+          const index = catcher !== -1 ? catcher : nearestPlayer(state, bar);
+          removeAt(bars, i, barPool);
+          state.bossActive = false;
+          events.push({ type: 'bossEscaped', bar: bar, player: index });
+          if (loseLives(state, index, bar.damage, events)) return;
+          levelUp(state, events);
+        }
+        continue;
+      }
+      if (catcher !== -1) {
+        const player = state.players[catcher];
+        removeAt(bars, i, barPool);
+        if (bar.type === 'bad' && player.powerUps.shield > 0) {
+          // The shield absorbs the bug instead of a life
+          player.powerUps.shield--;
+          events.push({ type: 'shieldBlocked', bar: bar, player: catcher });
+        } else if (bar.type === 'bad') {
+          // Catching a bad bar costs a life
+          events.push({ type: 'bugCaught', bar: bar, player: catcher });
+          if (loseLives(state, catcher, 1, events)) return;
+        } else if (bar.type === 'good') {
+          // Catching a good bar awards a git star
+          state.score++;
+          player.score++;
+          events.push({ type: 'barCaught', bar: bar, player: catcher });
+          if (GAME_MODES[state.mode].winScore) {
+            if (!PLAYER_MODES[state.playerMode].shared && player.score >= state.config.winScore) {
+              finishVersus(state, catcher, events);
+              return;
+            }
+            if (PLAYER_MODES[state.playerMode].shared && state.score >= state.config.winScore) {
+              finishGame(state, 'won', events);
+              return;
+            }
+          }
+          advanceLevel(state, events);
+        } else {
+          // Anything else is a power‑up
+          collectPowerUp(state, catcher, bar, events);
+        }
+        continue;
+      }
+      // If bar falls off the bottom, remove it and decrease lives: in versus
+      // those of the player nearest to it. Missing a power‑up costs nothing.
+      if (bar.y > WORLD_HEIGHT) {
+        removeAt(bars, i, barPool);
+        if (POWER_UPS[bar.type]) continue;
+        const index = nearestPlayer(state, bar);
+        events.push({ type: 'barMissed', bar: bar, player: index });
+        if (loseLives(state, index, 1, events)) return;
+      }
+    }
+  }
+
+  /**
+   * The first player still in the game that touches a bar, and so catches it.
+   * @param {object} state
+   * @param {object} bar
+   * @returns {number} player index, or -1 if nobody does
+   */
+  function findCatcher(state, bar) {
+    const candidates = queryGrid(playerGrid, bar);
+    let catcher = -1;
+    for (let i = 0; i < candidates.length; i++) {
+      const index = candidates[i];
+      if ((catcher === -1 || index < catcher) && !state.players[index].out && overlaps(bar, state.players[index])) {
+        catcher = index;
+      }
+    }
+    return catcher;
+  }
+
+  /**
+   * The player still in the game whose centre is closest to a bar's,
+   * horizontally. Ties go to the first player.
+   * @param {object} state
+   * @param {object} bar
+   * @returns {number} player index
+   */
+  function nearestPlayer(state, bar) {
+    const barCentre = bar.x + bar.width / 2;
+    let nearest = -1;
+    let nearestDistance = Infinity;
+    state.players.forEach((player, index) => {
+      const distance = Math.abs(player.x + player.width / 2 - barCentre);
+      if (!player.out && distance < nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  /**
+   * Take lives off the shared pool or, in versus, off one player, who is
+   * knocked out once they have none left. An invincible game loses none.
+   * Ends the game when nobody can go on: with shared lives when they run
+   * out, in versus when a single player is left standing.
+   * @param {object} state
+   * @param {number} index - the player who lost them
+   * @param {number} count
+   * @param {object[]} events
+   * @returns {boolean} whether the game ended
+   */
+  function loseLives(state, index, count, events) {
+    if (state.invincible) return false;
+    if (PLAYER_MODES[state.playerMode].shared) {
+      state.lives = Math.max(0, state.lives - count);
+      if (state.lives > 0) return false;
+      finishGame(state, 'lost', events);
+      return true;
+    }
+    const player = state.players[index];
+    player.lives = Math.max(0, player.lives - count);
+    if (player.lives > 0) return false;
+    player.out = true;
+    events.push({ type: 'playerOut', player: index });
+    const standing = state.players.filter((other) => !other.out);
+    if (standing.length > 1) return false;
+    finishVersus(state, standing.length === 1 ? state.players.indexOf(standing[0]) : null, events);
+    return true;
+  }
+
+  /**
+   * Give a player an extra life, in modes that allow it: to the shared pool,
+   * or in versus to the player who earned it.
+   * @param {object} state
+   * @param {number} index
+   */
+  function gainLife(state, index) {
+    if (!GAME_MODES[state.mode].extraLives) return;
+    if (PLAYER_MODES[state.playerMode].shared) {
+      state.lives++;
+    } else {
+      state.players[index].lives++;
+    }
+  }
+
+  /**
+   * Move a bar for one step: it falls, drifts or sways, and good bars are
+   * drawn towards a player with an active magnet.
+   * @param {object} state
+   * @param {object} bar
+   * @param {number} seconds
+   */
+  function moveBar(state, bar, seconds) {
+    // Slow motion slows the whole forge, whoever caught it
+    const slowMo = state.players.some((player) => player.powerUps.slowMo > 0);
+    const speedFactor = slowMo ? SLOW_MO_FACTOR : 1;
+    bar.y += bar.speed * speedFactor * seconds;
+    if (bar.vx !== 0) {
+      // Drift sideways, bouncing off the edges of the playfield
+      bar.baseX += bar.vx * speedFactor * seconds;
+      const maxX = WORLD_WIDTH - bar.width - bar.amplitude;
+      if (bar.baseX < bar.amplitude || bar.baseX > maxX) {
+        bar.baseX = Math.min(maxX, Math.max(bar.amplitude, bar.baseX));
+        bar.vx = -bar.vx;
+      }
+    }
+    // Pull good bars sideways towards the first player with a magnet,
+    // without overshooting
+    const player = state.players.find((other) => !other.out && other.powerUps.magnet > 0);
+    if (player && bar.type === 'good') {
+      const offset = player.x + player.width / 2 - (bar.x + bar.width / 2);
+      bar.baseX += Math.sign(offset) * Math.min(Math.abs(offset), MAGNET_SPEED * seconds);
+    }
+    if (bar.amplitude > 0) {
+      bar.age += seconds * speedFactor;
+      bar.x = bar.baseX + bar.amplitude * Math.sin((bar.age / bar.period) * Math.PI * 2 + bar.phase);
+    } else {
+      bar.x = bar.baseX;
+    }
+  }
+
+  /**
+   * Count a collected star towards the level, moving on (or calling in the
+   * boss) when the level is complete.
+   * @param {object} state
+   * @param {object[]} events
+   */
+  function advanceLevel(state, events) {
+    const level = currentLevel(state);
+    if (!level) {
+      if (state.score % STARS_PER_LEVEL === 0) levelUp(state, events);
+      return;
+    }
+    state.levelStars++;
+    if (state.levelStars < level.stars || state.bossActive) return;
+    if (level.boss) {
+      spawnBoss(state, level.boss, events);
+    } else {
+      levelUp(state, events);
+    }
+  }
+
+  /**
+   * Move bullets upwards and resolve hits on bars, newest bullet first. A
+   * bullet hits the newest of the bars it touches. Bullets and bars that
+   * leave the game are removed from their lists at the end of the step.
+   * @param {object} state
+   * @param {number} seconds
+   * @param {object[]} events
+   */
+  function updateBullets(state, seconds, events) {
+    const bars = state.bars;
+    const bullets = state.bullets;
+    // Bars stand still while bullets move, so they are filed only once
+    clearGrid(barGrid);
+    for (let i = 0; i < bars.length; i++) {
+      if (bars[i]) insertIntoGrid(barGrid, bars[i], i);
+    }
+    for (let bi = bullets.length - 1; bi >= 0; bi--) {
+      const bullet = bullets[bi];
+      bullet.y -= bullet.speed * seconds;
+      bullet.x += bullet.drift * seconds;
+      // Remove bullets that leave the top or sides of the screen
+      if (bullet.y + bullet.height < 0 || bullet.x + bullet.width < 0 || bullet.x > WORLD_WIDTH) {
+        removeAt(bullets, bi, bulletPool);
+        continue;
+      }
+      const candidates = queryGrid(barGrid, bullet);
+      let hit = -1;
+      for (let ci = 0; ci < candidates.length; ci++) {
+        const i = candidates[ci];
+        if (i > hit && bars[i] && overlaps(bullet, bars[i])) hit = i;
+      }
+      if (hit === -1) continue;
+      const bar = bars[hit];
+      // A boss stops any bullet; others only once it has no hits left
+      bullet.hits--;
+      if (bullet.hits === 0 || bar.type === 'boss') removeAt(bullets, bi, bulletPool);
+      if (bar.type === 'boss') {
+        hitBoss(state, bar, bullet, events);
+        continue;
+      }
+      removeAt(bars, hit, barPool);
+      if (bar.type === 'bad') {
+        // Destroying a bad bar with a bullet grants the shooter an extra
+        // life, in modes that allow it
+        gainLife(state, bullet.owner);
+        events.push({ type: 'bugKilled', bar: bar, bullet: bullet, player: bullet.owner });
+      } else {
+        // Shooting a good bar or a power‑up simply removes it; no star
+        // is awarded and the power‑up is lost
+        events.push({ type: 'goodBarShot', bar: bar, bullet: bullet, player: bullet.owner });
+      }
+    }
+  }
+
+  /**
+   * Take the bullet's damage off a boss; shooting it down grants the
+   * shooter an extra life (in modes that allow it) and starts the next
+   * level.
+   * @param {object} state
+   * @param {object} boss - the boss bar
+   * @param {object} bullet - the bullet that hit it
+   * @param {object[]} events
+   */
+  function hitBoss(state, boss, bullet, events) {
+    boss.hits = Math.max(0, boss.hits - bullet.damage);
+    if (boss.hits > 0) {
+      events.push({ type: 'bossHit', bar: boss, bullet: bullet, player: bullet.owner });
+      return;
+    }
+    removeAt(state.bars, state.bars.indexOf(boss), barPool);
+    state.bossActive = false;
+    gainLife(state, bullet.owner);
+    events.push({ type: 'bossDefeated', bar: boss, bullet: bullet, player: bullet.owner });
+    levelUp(state, events);
+  }
+
+  /**
+   * Apply a caught power‑up to the player who caught it. Extra uptime is
+   * for everyone.
+   * @param {object} state
+   * @param {number} index - the player who caught it
+   * @param {object} bar - the power‑up bar that was caught
+   * @param {object[]} events
+   */
+  function collectPowerUp(state, index, bar, events) {
+    const name = bar.type;
+    const powerUps = state.players[index].powerUps;
+    if (name === 'shield') {
+      // One charge at a time; catching another shield just keeps it up
+      powerUps.shield = 1;
+    } else if (name === 'timeBonus') {
+      state.timeLeft = Math.min(state.config.gameDuration, state.timeLeft + TIME_BONUS_SECONDS);
+    } else {
+      powerUps[name] = POWER_UPS[name].duration;
+    }
+    events.push({ type: 'powerUpCaught', powerUp: name, bar: bar, player: index });
+  }
+
+  /**
+   * Raise the level and shorten the spawn interval. Reaching a new row of
+   * WEAPON_LEVELS upgrades (or changes) every weapon.
+   * @param {object} state
+   * @param {object[]} events
+   * @param {number} [level] - the level to go to; the next one if omitted
+   */
+  function levelUp(state, events, level = state.level + 1) {
+    const weapon = weaponLevel(state);
+    state.level = level;
+    state.levelStars = 0;
+    state.spawnInterval = levelSpawnInterval(state);
+    const definition = currentLevel(state);
+    events.push({ type: 'levelUp', level: state.level, name: definition ? definition.name : null });
+    const upgrade = weaponLevel(state);
+    if (state.weaponSystem && upgrade !== weapon) {
+      events.push({ type: 'weaponUpgraded', ruleLevel: upgrade.ruleLevel, pattern: upgrade.pattern });
+    }
+  }
+
+  /**
+   * Mark the game as decided.
+   * @param {object} state
+   * @param {'won'|'lost'|'finished'} outcome
+   * @param {object[]} events
+   */
+  function finishGame(state, outcome, events) {
+    state.status = outcome;
+    events.push({ type: 'gameEnded', outcome: outcome });
+  }
+
+  /**
+   * Decide a versus game. It always ends 'finished'; who won is kept in
+   * state.winner.
+   * @param {object} state
+   * @param {number|null} winner - player index, or null for a draw
+   * @param {object[]} events
+   */
+  function finishVersus(state, winner, events) {
+    state.status = 'finished';
+    state.winner = winner;
+    events.push({ type: 'gameEnded', outcome: 'finished', winner: winner });
+  }
+
+  /**
+   * The player with the most stars, or null if the best are tied.
+   * @param {object} state
+   * @returns {number|null}
+   */
+  function leadingPlayer(state) {
+    let leader = null;
+    let best = -1;
+    state.players.forEach((player, index) => {
+      if (player.score > best) {
+        leader = index;
+        best = player.score;
+      } else if (player.score === best) {
+        leader = null;
+      }
+    });
+    return leader;
+  }
+
+  /**
+   * An empty pool of reusable objects. Objects leaving the game are retired
+   * to it and only handed out again after recycle(), once nothing can still
+   * be looking at them.
+   * @returns {{free: object[], retired: object[]}}
+   */
+  function createPool() {
+    return { free: [], retired: [] };
+  }
+
+  /**
+   * Take an object from a pool, or a new one if the pool is empty. The
+   * caller sets every field.
+   * @param {{free: object[]}} pool
+   * @returns {object}
+   */
+  function acquire(pool) {
+    return pool.free.pop() || {};
+  }
+
+  /**
+   * Make the objects retired to a pool available again.
+   * @param {{free: object[], retired: object[]}} pool
+   */
+  function recycle(pool) {
+    while (pool.retired.length > 0) pool.free.push(pool.retired.pop());
+  }
+
+  /**
+   * Take an entry out of a bar or bullet list during a step: its slot is
+   * emptied (so the indices of the others stay put while the list is being
+   * walked) and the object is retired to the pool.
+   * @param {object[]} list
+   * @param {number} index
+   * @param {{retired: object[]}} pool
+   */
+  function removeAt(list, index, pool) {
+    pool.retired.push(list[index]);
+    list[index] = null;
+  }
+
+  /**
+   * Close the gaps left by removeAt() in a single pass. Swapping the last
+   * entry into each gap would be cheaper still, but the lists have to stay
+   * in spawn order: bars are resolved newest first, which decides the bar a
+   * bullet hits and which of two catches in one step ends a game, and
+   * recordings must play back exactly as they were played.
+   * @param {object[]} list
+   */
+  function removeDead(list) {
+    let kept = 0;
+    for (let i = 0; i < list.length; i++) {
+      if (list[i] !== null) list[kept++] = list[i];
+    }
+    list.length = kept;
+  }
+
+  /**
+   * A uniform grid over the playfield, the broadphase of the collision
+   * tests: entries are filed under every cell their rectangle touches, and
+   * a query returns the entries sharing a cell with another rectangle, so
+   * only those need an exact test. Rectangles beyond the playfield count as
+   * being in the nearest cells along its edge.
+   * @param {number} cellSize
+   * @returns {{cellSize: number, cols: number, rows: number, cells: number[][], found: number[]}}
+   */
+  function createGrid(cellSize) {
+    const cols = Math.ceil(WORLD_WIDTH / cellSize);
+    const rows = Math.ceil(WORLD_HEIGHT / cellSize);
+    const cells = [];
+    for (let i = 0; i < cols * rows; i++) cells.push([]);
+    return { cellSize: cellSize, cols: cols, rows: rows, cells: cells, found: [] };
+  }
+
+  /**
+   * Empty every cell of a grid, keeping the arrays for the next step.
+   * @param {object} grid - from createGrid()
+   */
+  function clearGrid(grid) {
+    for (let i = 0; i < grid.cells.length; i++) grid.cells[i].length = 0;
+  }
+
+  /**
+   * The column or row of a grid a coordinate falls in, clamped to the grid.
+   * @param {number} value
+   * @param {number} cellSize
+   * @param {number} count - columns or rows
+   * @returns {number}
+   */
+  function gridIndex(value, cellSize, count) {
+    return Math.min(count - 1, Math.max(0, Math.floor(value / cellSize)));
+  }
+
+  /**
+   * File a value under every cell a rectangle touches.
+   * @param {object} grid - from createGrid()
+   * @param {{x: number, y: number, width: number, height: number}} rect
+   * @param {number} value - usually the rectangle's index in its list
+   */
+  function insertIntoGrid(grid, rect, value) {
+    const col0 = gridIndex(rect.x, grid.cellSize, grid.cols);
+    const col1 = gridIndex(rect.x + rect.width, grid.cellSize, grid.cols);
+    const row0 = gridIndex(rect.y, grid.cellSize, grid.rows);
+    const row1 = gridIndex(rect.y + rect.height, grid.cellSize, grid.rows);
+    for (let row = row0; row <= row1; row++) {
+      for (let col = col0; col <= col1; col++) grid.cells[row * grid.cols + col].push(value);
+    }
+  }
+
+  /**
+   * The values filed under the cells a rectangle touches. A value spanning
+   * several of them may appear more than once. The array is reused by the
+   * next query.
+   * @param {object} grid - from createGrid()
+   * @param {{x: number, y: number, width: number, height: number}} rect
+   * @returns {number[]}
+   */
+  function queryGrid(grid, rect) {
+    const found = grid.found;
+    found.length = 0;
+    const col0 = gridIndex(rect.x, grid.cellSize, grid.cols);
+    const col1 = gridIndex(rect.x + rect.width, grid.cellSize, grid.cols);
+    const row0 = gridIndex(rect.y, grid.cellSize, grid.rows);
+    const row1 = gridIndex(rect.y + rect.height, grid.cellSize, grid.rows);
+    for (let row = row0; row <= row1; row++) {
+      for (let col = col0; col <= col1; col++) {
+        const cell = grid.cells[row * grid.cols + col];
+        for (let i = 0; i < cell.length; i++) found.push(cell[i]);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Axis‑aligned bounding box test between two rectangles.
+   * @param {{x: number, y: number, width: number, height: number}} a
+   * @param {{x: number, y: number, width: number, height: number}} b
+   * @returns {boolean}
+   */
+  function overlaps(a, b) {
+    return (
+      a.x < b.x + b.width &&
+      a.x + a.width > b.x &&
+      a.y < b.y + b.height &&
+      a.y + a.height > b.y
+    );
+  }
+
+  /**
+   * Highest score a legitimate game could reach: never more than the number
+   * of bars that can spawn in the time played at the fastest spawn rate
+   * (formations drop fewer than two bars per spawn interval), and never more
+   * than the win threshold in modes that have one.
+   * @param {object} config
+   * @param {string} [mode='classic'] - a key of GAME_MODES
+   * @param {number} [playTime] - seconds played; the game duration if omitted
+   * @returns {number}
+   */
+  function maxPlausibleScore(config, mode = 'classic', playTime) {
+    const full = Object.assign({}, DEFAULT_CONFIG, config);
+    const rules = GAME_MODES[mode] || GAME_MODES.classic;
+    const seconds = playTime === undefined ? full.gameDuration : playTime;
+    const spawnable = Math.ceil((seconds * 1000 * 2) / MIN_SPAWN_INTERVAL);
+    return rules.winScore ? Math.min(full.winScore, spawnable) : spawnable;
+  }
+
+  /**
+   * Order two high score entries: higher score first, then a win before a
+   * loss, then more time left, then the older entry (so it keeps its place).
+   * @param {object} a
+   * @param {object} b
+   * @returns {number}
+   */
+  function compareHighScores(a, b) {
+    return (
+      b.score - a.score ||
+      Number(!!b.won) - Number(!!a.won) ||
+      (b.timeLeft || 0) - (a.timeLeft || 0) ||
+      String(a.date || '').localeCompare(String(b.date || ''))
+    );
+  }
+
+  /**
+   * Insert a new score into a high score list, keep it sorted descending and
+   * trim it to the top entries. The original list is left untouched.
+   * @param {{name: string, score: number}[]} highScores
+   * @param {{name: string, score: number}} entry
+   * @param {number} [limit=HIGH_SCORE_LIMIT]
+   * @returns {{name: string, score: number}[]} the new list
+   */
+  function insertHighScore(highScores, entry, limit = HIGH_SCORE_LIMIT) {
+    return highScores
+      .concat([entry])
+      .sort(compareHighScores)
+      .slice(0, limit);
+  }
+
+  /**
+   * Combine two high score lists into one, dropping exact duplicates (the
+   * same name, score and date), sorted and trimmed like insertHighScore().
+   * @param {object[]} a
+   * @param {object[]} b
+   * @param {number} [limit=HIGH_SCORE_LIMIT]
+   * @returns {object[]}
+   */
+  function mergeHighScores(a, b, limit = HIGH_SCORE_LIMIT) {
+    const seen = new Set();
+    return a
+      .concat(b)
+      .filter((entry) => {
+        const key = `${entry.name}|${entry.score}|${entry.date || ''}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort(compareHighScores)
+      .slice(0, limit);
+  }
+
+  /**
+   * Play a whole game without a browser, asking a controller for the input
+   * of every step. Handy for balancing runs and rule tests in Node.
+   * @param {object} [options] - createGame() options, plus:
+   * @param {(state: object) => object} [options.controller] - returns the input for the next step
+   * @param {(events: object[], state: object) => void} [options.onEvents] - called after every step
+   * @param {number} [options.maxSteps] - safety limit; defaults to ten times
+   *   the game duration, as time bonuses can extend a game
+   * @returns {object} the final game state
+   */
+  function simulateGame(options = {}) {
+    const state = createGame(options);
+    const controller = options.controller || emptyInput;
+    const maxSteps = options.maxSteps || Math.ceil((state.config.gameDuration * 10 * 1000) / FIXED_STEP);
+    while (state.status === 'running' && state.steps < maxSteps) {
+      const events = step(state, controller(state), FIXED_STEP);
+      if (options.onEvents) options.onEvents(events, state);
+    }
+    return state;
+  }
+
+  return {
+    WORLD_WIDTH: WORLD_WIDTH,
+    WORLD_HEIGHT: WORLD_HEIGHT,
+    FIXED_STEP: FIXED_STEP,
+    DEFAULT_CONFIG: DEFAULT_CONFIG,
+    DIFFICULTY_PRESETS: DIFFICULTY_PRESETS,
+    CONFIG_LIMITS: CONFIG_LIMITS,
+    GAME_MODES: GAME_MODES,
+    PLAYER_MODES: PLAYER_MODES,
+    POWER_UPS: POWER_UPS,
+    POWER_UP_WEIGHTS: POWER_UP_WEIGHTS,
+    WEAPON_LEVELS: WEAPON_LEVELS,
+    CHARGE_TIME: CHARGE_TIME,
+    LEVELS_VERSION: LEVELS_VERSION,
+    PLAYER_NAMES: PLAYER_NAMES,
+    createRng: createRng,
+    randomSeed: randomSeed,
+    normalizeConfig: normalizeConfig,
+    findPreset: findPreset,
+    validateLevels: validateLevels,
+    dailySeed: dailySeed,
+    createGame: createGame,
+    restoreGame: restoreGame,
+    emptyInput: emptyInput,
+    weaponLevel: weaponLevel,
+    step: step,
+    dropBars: dropBars,
+    jumpToLevel: jumpToLevel,
+    overlaps: overlaps,
+    insertHighScore: insertHighScore,
+    mergeHighScores: mergeHighScores,
+    maxPlausibleScore: maxPlausibleScore,
+    simulateGame: simulateGame,
+  };
+});
@@ -0,0 +1,246 @@
+/*
+ * The Daily Challenge of the Forge & Vapor mini‑game.
+ *
+ * Daily Challenge games are seeded from the date (UTC, so colleagues in
+ * other time zones get the same one) and played on Normal by one player
+ * through the classic progression of levels, whatever levels.json says;
+ * their mode drops every wave of bars from the seed alone (see fixedWaves
+ * in core.js), so everyone faces the same bars that day. The first game
+ * started on a day is its scored attempt and is kept in localStorage;
+ * later ones are practice. The game over screen sums the run up in a few
+ * lines (stars, level, accuracy and a timeline of emoji) that can be
+ * copied and shared. Loaded after savegame.js and before script.js.
+ */
+
+const DAILY_STORAGE_KEY = 'forgeVaporDailyChallenge';
+const DAILY_VERSION = 1;
+// Days whose results are kept, newest first
+const DAILY_RESULTS_LIMIT = 30;
+// Game time (seconds) covered by each mark of the timeline
+const DAILY_TIMELINE_SEGMENT = 5;
+// Timeline marks: stars or kills only, both those and mistakes, mistakes
+// only, and nothing at all
+const DAILY_TIMELINE_MARKS = { clean: '🟩', mixed: '🟨', mistakes: '🟥', quiet: '⬜' };
+
+const dailyStatusEl = document.getElementById('daily-status');
+const dailyResultEl = document.getElementById('daily-result');
+const dailyShareTextEl = document.getElementById('daily-share-text');
+const copyDailyBtn = document.getElementById('copy-daily-btn');
+const dailyCopyStatusEl = document.getElementById('daily-copy-status');
+
+// Results by day ('YYYY-MM-DD'): {finished: false} while the scored attempt
+// is under way, then its score, level, accuracy and timeline
+let dailyResults = loadDailyResults();
+
+// The live Daily Challenge game in progress: its day, whether it is the
+// scored attempt and the [good, mistakes] tally of each timeline segment
+let dailyRun = null;
+
+/**
+ * Read the kept results.
+ * @returns {Object<string, object>}
+ */
+function loadDailyResults() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DAILY_STORAGE_KEY));
+    if (stored && stored.version === DAILY_VERSION && stored.results && typeof stored.results === 'object') {
+      return stored.results;
+    }
+  } catch (err) {
+    // Start without results
+  }
+  return {};
+}
+
+/**
+ * Persist the results of the latest DAILY_RESULTS_LIMIT days.
+ */
+function saveDailyResults() {
+  const kept = {};
+  Object.keys(dailyResults).sort().reverse().slice(0, DAILY_RESULTS_LIMIT).forEach((day) => {
+    kept[day] = dailyResults[day];
+  });
+  dailyResults = kept;
+  localStorage.setItem(DAILY_STORAGE_KEY, JSON.stringify({ version: DAILY_VERSION, results: dailyResults }));
+}
+
+/**
+ * The day whose challenge is played now.
+ * @param {Date} [date=new Date()]
+ * @returns {string} e.g. '2026-10-19'
+ */
+function dailyChallengeDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * What createGame() needs on top of the mode for a day's challenge: the same
+ * seed, difficulty, player count and levels for everyone, and the day itself,
+ * which the game keeps for startDailyRun().
+ * @param {string} day - from dailyChallengeDay()
+ * @returns {{day: string, seed: number, config: object, playerMode: string, levels: null}}
+ */
+function dailyGameOptions(day) {
+  return {
+    day: day,
+    seed: ForgeVaporCore.dailySeed(day),
+    config: Object.assign({}, ForgeVaporCore.DIFFICULTY_PRESETS.normal),
+    playerMode: 'single',
+    levels: null,
+  };
+}
+
+/**
+ * Start keeping track of a Daily Challenge game, or carry on with a resumed
+ * one. Starting the first live game of a day uses up its scored attempt,
+ * even if it is never finished.
+ * @param {object} state - the game state from ForgeVaporCore, with the day
+ *   it was created for (see dailyGameOptions())
+ * @param {boolean} live - false for replays and other games that don't count
+ * @param {object|null} [saved] - dailyRun as saved with a resumed game (see
+ *   savegame.js); a fresh run if missing, malformed or of another day
+ */
+function startDailyRun(state, live, saved = null) {
+  dailyResultEl.classList.add('hidden');
+  if (!live || state.mode !== 'daily' || state.day === null) {
+    dailyRun = null;
+    return;
+  }
+  if (saved && typeof saved === 'object' && saved.day === state.day &&
+    typeof saved.scored === 'boolean' && Array.isArray(saved.timeline)) {
+    dailyRun = saved;
+    return;
+  }
+  const day = state.day;
+  dailyRun = { day: day, scored: !dailyResults[day], timeline: [] };
+  if (dailyRun.scored) {
+    dailyResults[day] = { finished: false };
+    saveDailyResults();
+  }
+}
+
+/**
+ * Tally one step's catches, kills and mistakes into the timeline.
+ * @param {object} state - game state after the step
+ * @param {object[]} events - events returned by ForgeVaporCore.step()
+ */
+function handleDailyEvents(state, events) {
+  if (!dailyRun) return;
+  const segment = Math.floor(state.elapsed / DAILY_TIMELINE_SEGMENT);
+  events.forEach((event) => {
+    let column;
+    if (event.type === 'barCaught' || event.type === 'bugKilled' || event.type === 'bossDefeated') {
+      column = 0;
+    } else if (event.type === 'bugCaught' || event.type === 'barMissed' || event.type === 'bossEscaped') {
+      column = 1;
+    } else {
+      return;
+    }
+    if (!dailyRun.timeline[segment]) dailyRun.timeline[segment] = [0, 0];
+    dailyRun.timeline[segment][column]++;
+  });
+}
+
+/**
+ * Wrap up a Daily Challenge game that just ended: keep the result of the
+ * scored attempt and offer the summary for sharing.
+ * @param {object} state - the finished game state
+ */
+function finishDailyRun(state) {
+  dailyResultEl.classList.add('hidden');
+  if (!dailyRun) return;
+  const segments = Math.max(1, Math.ceil(state.elapsed / DAILY_TIMELINE_SEGMENT));
+  const result = {
+    finished: true,
+    score: state.score,
+    level: state.level,
+    accuracy: runStats ? runAccuracy(runStats) : null,
+    timeline: Array.from({ length: segments }, (unused, index) => dailyTimelineMark(dailyRun.timeline[index])).join(''),
+  };
+  if (dailyRun.scored) {
+    dailyResults[dailyRun.day] = result;
+    saveDailyResults();
+  }
+  dailyShareTextEl.value = describeDailyResult(dailyRun.day, result, !dailyRun.scored);
+  dailyCopyStatusEl.textContent = '';
+  dailyResultEl.classList.remove('hidden');
+  dailyRun = null;
+}
+
+/**
+ * The timeline mark for a segment of the game.
+ * @param {number[]|null|undefined} tally - [good, mistakes], if anything happened
+ * @returns {string}
+ */
+function dailyTimelineMark(tally) {
+  const good = tally ? tally[0] : 0;
+  const mistakes = tally ? tally[1] : 0;
+  if (good > 0) return mistakes > 0 ? DAILY_TIMELINE_MARKS.mixed : DAILY_TIMELINE_MARKS.clean;
+  return mistakes > 0 ? DAILY_TIMELINE_MARKS.mistakes : DAILY_TIMELINE_MARKS.quiet;
+}
+
+/**
+ * The shareable summary of a finished challenge, e.g.
+ * "Forge & Vapor Daily 2026-10-19\n⭐ 23 · level 4 · 🎯 78%\n🟩🟩🟨…".
+ * @param {string} day
+ * @param {object} result - a finished result from finishDailyRun()
+ * @param {boolean} practice - whether the day's scored attempt was another game
+ * @returns {string}
+ */
+function describeDailyResult(day, result, practice) {
+  return [
+    t(practice ? 'daily.sharePracticeHeading' : 'daily.shareHeading', { day: day }),
+    t('daily.shareLine', { count: result.score, level: result.level, accuracy: formatAccuracy(result.accuracy) }),
+    result.timeline,
+  ].join('\n');
+}
+
+/**
+ * Copy the summary to the clipboard. Where the browser won't allow it, the
+ * text is selected so it can be copied by hand.
+ */
+function copyDailyResult() {
+  const copying = navigator.clipboard
+    ? navigator.clipboard.writeText(dailyShareTextEl.value)
+    : Promise.reject(new Error('The clipboard is not available.'));
+  copying.then(
+    () => {
+      dailyCopyStatusEl.textContent = t('daily.copied');
+    },
+    () => {
+      dailyShareTextEl.select();
+      dailyCopyStatusEl.textContent = t('daily.copyFailed');
+    }
+  );
+}
+
+/**
+ * Tell the player on the start screen whether today's challenge still
+ * counts, while the Daily Challenge mode is picked.
+ */
+function renderDailyStatus() {
+  const picked = currentGameMode() === 'daily';
+  dailyStatusEl.classList.toggle('hidden', !picked);
+  if (!picked) return;
+  const day = dailyChallengeDay();
+  const result = dailyResults[day];
+  if (!result) {
+    dailyStatusEl.textContent = t('daily.notPlayed', { day: day });
+  } else if (!result.finished) {
+    dailyStatusEl.textContent = t('daily.unfinished', { day: day });
+  } else {
+    dailyStatusEl.textContent = t('daily.played', { day: day, count: result.score, level: result.level });
+  }
+}
+
+/**
+ * Hook up the copy button and keep the start screen status current.
+ */
+function initDailyChallenge() {
+  copyDailyBtn.addEventListener('click', copyDailyResult);
+  modeSelect.addEventListener('change', renderDailyStatus);
+  onLocaleChange(renderDailyStatus);
+  renderDailyStatus();
+}
+
+initDailyChallenge();
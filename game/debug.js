@@ -0,0 +1,335 @@
+/*
+ * Developer overlay for the Forge & Vapor mini‑game, for seeing what is
+ * going on while tuning the rules.
+ *
+ * Opening the game with ?debug makes the backtick key (`) toggle an overlay
+ * with the frame rate, frame times and entity counts, hitboxes drawn around
+ * the players, bars and bullets, and a console for changing the game in
+ * progress (type `help` in it for the commands). Without the flag none of
+ * this does anything. A live game changed from the console is no longer
+ * recorded, scored or counted for achievements and statistics (see
+ * disqualifyGame() in script.js). Loaded after stress.js and before
+ * script.js.
+ */
+
+const DEBUG_PARAM = 'debug';
+const DEBUG_TOGGLE_KEY = '`';
+// Frames the frame rate and times are averaged over
+const DEBUG_WINDOW = 60;
+// How often the figures are redrawn (ms)
+const DEBUG_REPORT_INTERVAL = 250;
+// Console lines kept on screen
+const DEBUG_LOG_LIMIT = 12;
+// Range of the time scale; 1 is normal speed
+const DEBUG_MIN_TIME_SCALE = 0.1;
+const DEBUG_MAX_TIME_SCALE = 4;
+// Hitbox outline colours
+const DEBUG_HITBOX_COLORS = { player: '#2ecc71', bar: '#f1c40f', bullet: '#e74c3c' };
+
+const debugOverlayEl = document.getElementById('debug-overlay');
+const debugStatsEl = document.getElementById('debug-stats');
+const debugLogEl = document.getElementById('debug-log');
+const debugConsoleForm = document.getElementById('debug-console');
+const debugInput = document.getElementById('debug-input');
+
+// Whether the page was opened with ?debug
+const debugEnabled = new URLSearchParams(window.location.search).has(DEBUG_PARAM);
+let debugVisible = false;
+let debugHitboxes = true;
+// Game time passes this many times faster than real time (see gameLoop())
+let debugTimeScale = 1;
+
+// The latest frames: frame interval and update and draw times (ms)
+const debugFrames = [];
+let debugReportTime = 0;
+const debugLog = [];
+
+// Console commands: what they take, what they do, and whether they change
+// the game in progress. Each run() returns the line to print.
+const DEBUG_COMMANDS = {
+  help: { usage: 'help', run: () => Object.keys(DEBUG_COMMANDS).map((name) => DEBUG_COMMANDS[name].usage).join('\n') },
+  spawn: {
+    usage: 'spawn good|bad [count]',
+    changesGame: true,
+    run: (args) => {
+      const type = args[0];
+      if (type !== 'good' && type !== 'bad') throw new Error(t('debug.usage', { usage: DEBUG_COMMANDS.spawn.usage }));
+      const count = args.length > 1 ? debugNumber(args[1], 1, 100, true) : 1;
+      ForgeVaporCore.dropBars(game, count, type);
+      return t(type === 'good' ? 'debug.spawnedGood' : 'debug.spawnedBad', { count: count });
+    },
+  },
+  lives: {
+    usage: 'lives <n> [player]',
+    changesGame: true,
+    run: (args) => {
+      const lives = debugNumber(args[0], 0, 99, true);
+      if (game.lives !== null) {
+        game.lives = lives;
+      } else {
+        debugPlayer(args[1]).lives = lives;
+      }
+      return t('debug.livesSet', { lives: lives });
+    },
+  },
+  score: {
+    usage: 'score <n> [player]',
+    changesGame: true,
+    run: (args) => {
+      const score = debugNumber(args[0], 0, 9999, true);
+      debugPlayer(args[1]).score = score;
+      // The shared score is everyone's stars together
+      game.score = game.players.reduce((sum, player) => sum + player.score, 0);
+      return t('debug.scoreSet', { score: score });
+    },
+  },
+  level: {
+    usage: 'level <n>',
+    changesGame: true,
+    run: (args) => {
+      const events = ForgeVaporCore.jumpToLevel(game, debugNumber(args[0], 1, 99, true));
+      handleRenderEvents(game, events);
+      handleAudioEvents(events);
+      return t('debug.levelSet', { level: game.level });
+    },
+  },
+  timescale: {
+    usage: 'timescale <factor>',
+    changesGame: true,
+    run: (args) => {
+      debugTimeScale = debugNumber(args[0], DEBUG_MIN_TIME_SCALE, DEBUG_MAX_TIME_SCALE, false);
+      return t('debug.timeScaleSet', { scale: formatNumber(debugTimeScale) });
+    },
+  },
+  invincible: {
+    usage: 'invincible [on|off]',
+    changesGame: true,
+    run: (args) => {
+      game.invincible = debugSwitch(args[0], game.invincible);
+      return t(game.invincible ? 'debug.invincibleOn' : 'debug.invincibleOff');
+    },
+  },
+  hitboxes: {
+    usage: 'hitboxes [on|off]',
+    run: (args) => {
+      debugHitboxes = debugSwitch(args[0], debugHitboxes);
+      return t(debugHitboxes ? 'debug.hitboxesOn' : 'debug.hitboxesOff');
+    },
+  },
+  clear: {
+    usage: 'clear',
+    run: () => {
+      debugLog.length = 0;
+      return null;
+    },
+  },
+};
+
+/**
+ * Show or hide the overlay, focusing the console when it opens. Does
+ * nothing without ?debug.
+ */
+function toggleDebugOverlay() {
+  if (!debugEnabled) return;
+  debugVisible = !debugVisible;
+  debugOverlayEl.classList.toggle('hidden', !debugVisible);
+  if (debugVisible) {
+    renderDebugStats(game);
+    debugInput.focus();
+  } else {
+    debugInput.blur();
+  }
+  redrawDebugFrame();
+}
+
+/**
+ * Put the time scale back to normal for a new game, which starts out
+ * untouched by the console.
+ */
+function resetDebugTimeScale() {
+  debugTimeScale = 1;
+}
+
+/**
+ * Draw the last frame again, with hitboxes if they are on, so a paused game
+ * shows the latest changes too.
+ */
+function redrawDebugFrame() {
+  if (!lastDrawn) return;
+  draw(lastDrawn.state, lastDrawn.alpha);
+  drawDebugHitboxes(lastDrawn.state, lastDrawn.alpha);
+}
+
+/**
+ * Note how long a frame took and refresh the figures now and then.
+ * @param {object} state - the game being played
+ * @param {number} interval - time since the previous frame (ms)
+ * @param {number} updateTime - time spent in simulation steps (ms)
+ * @param {number} drawTime - time spent drawing (ms)
+ */
+function recordDebugFrame(state, interval, updateTime, drawTime) {
+  if (!debugVisible) return;
+  debugFrames.push({ interval: interval, updateTime: updateTime, drawTime: drawTime });
+  if (debugFrames.length > DEBUG_WINDOW) debugFrames.shift();
+  const now = performance.now();
+  if (now - debugReportTime < DEBUG_REPORT_INTERVAL) return;
+  debugReportTime = now;
+  renderDebugStats(state);
+}
+
+/**
+ * Write the frame figures, entity counts and switches into the overlay.
+ * @param {object|null} state - the game being played, if any
+ */
+function renderDebugStats(state) {
+  const average = (key) => (debugFrames.length > 0
+    ? debugFrames.reduce((sum, frame) => sum + frame[key], 0) / debugFrames.length
+    : 0);
+  const ms = (value) => formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const frameInterval = average('interval');
+  debugStatsEl.textContent = t('debug.stats', {
+    fps: frameInterval > 0 ? Math.round(1000 / frameInterval) : 0,
+    frame: ms(average('updateTime') + average('drawTime')),
+    update: ms(average('updateTime')),
+    draw: ms(average('drawTime')),
+    bars: state ? state.bars.length : 0,
+    bullets: state ? state.bullets.length : 0,
+    particles: particles.length,
+    floatingTexts: floatingTexts.length,
+    scale: formatNumber(debugTimeScale),
+    invincible: t(state && state.invincible ? 'debug.on' : 'debug.off'),
+  });
+}
+
+/**
+ * Outline the players, bars and bullets where the rules see them. Drawn
+ * over a finished frame, at the same interpolated positions.
+ * @param {object} state
+ * @param {number} alpha - how far (0–1) we are between the last step and the next
+ */
+function drawDebugHitboxes(state, alpha) {
+  if (!debugVisible || !debugHitboxes) return;
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = DEBUG_HITBOX_COLORS.player;
+  state.players.forEach((player) => {
+    if (!player.out) ctx.strokeRect(lerp(player.prevX, player.x, alpha), player.y, player.width, player.height);
+  });
+  ctx.strokeStyle = DEBUG_HITBOX_COLORS.bar;
+  state.bars.forEach((bar) => {
+    ctx.strokeRect(lerp(bar.prevX, bar.x, alpha), lerp(bar.prevY, bar.y, alpha), bar.width, bar.height);
+  });
+  ctx.strokeStyle = DEBUG_HITBOX_COLORS.bullet;
+  state.bullets.forEach((bullet) => {
+    ctx.strokeRect(lerp(bullet.prevX, bullet.x, alpha), lerp(bullet.prevY, bullet.y, alpha), bullet.width, bullet.height);
+  });
+}
+
+/**
+ * Run a console command and print what it did, or what was wrong with it.
+ * @param {string} line - e.g. "spawn bad 5"
+ */
+function runDebugCommand(line) {
+  const words = line.trim().split(/\s+/);
+  const name = words[0].toLowerCase();
+  if (name === '') return;
+  printDebugLine(`> ${line.trim()}`);
+  const command = DEBUG_COMMANDS[name];
+  if (!command) {
+    printDebugLine(t('debug.unknown', { command: name }));
+    return;
+  }
+  if (command.changesGame && !gameRunning) {
+    printDebugLine(t('debug.noGame'));
+    return;
+  }
+  try {
+    const output = command.run(words.slice(1));
+    if (command.changesGame) {
+      disqualifyGame();
+      renderHud(game);
+    }
+    redrawDebugFrame();
+    if (output !== null) printDebugLine(output);
+  } catch (err) {
+    printDebugLine(err.message);
+  }
+}
+
+/**
+ * Parse a number given to a command.
+ * @param {string|undefined} text
+ * @param {number} min
+ * @param {number} max
+ * @param {boolean} integer
+ * @returns {number}
+ * @throws {Error} if it isn't a number in range
+ */
+function debugNumber(text, min, max, integer) {
+  const value = Number(text);
+  if (text === undefined || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    throw new Error(t('debug.badNumber', { value: String(text), min: formatNumber(min), max: formatNumber(max) }));
+  }
+  return value;
+}
+
+/**
+ * Parse "on" or "off"; nothing flips the current setting.
+ * @param {string|undefined} text
+ * @param {boolean} current
+ * @returns {boolean}
+ * @throws {Error} for anything else
+ */
+function debugSwitch(text, current) {
+  if (text === undefined) return !current;
+  if (text === 'on' || text === 'off') return text === 'on';
+  throw new Error(t('debug.badSwitch', { value: text }));
+}
+
+/**
+ * The player a command is aimed at, by their 1‑based number.
+ * @param {string|undefined} text - the first player if omitted
+ * @returns {object} a player from the game state
+ * @throws {Error} if there is no such player
+ */
+function debugPlayer(text) {
+  const number = text === undefined ? 1 : debugNumber(text, 1, game.players.length, true);
+  return game.players[number - 1];
+}
+
+/**
+ * Add a line to the console, dropping the oldest beyond DEBUG_LOG_LIMIT.
+ * @param {string} text - may span several lines
+ */
+function printDebugLine(text) {
+  debugLog.push(...text.split('\n'));
+  debugLog.splice(0, Math.max(0, debugLog.length - DEBUG_LOG_LIMIT));
+  debugLogEl.textContent = debugLog.join('\n');
+}
+
+/**
+ * Hook up the toggle key and the console when the page was opened with
+ * ?debug.
+ */
+function initDebugOverlay() {
+  if (!debugEnabled) return;
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== DEBUG_TOGGLE_KEY || e.repeat) return;
+    // Typing a backtick anywhere else is left alone
+    if (e.target !== debugInput && e.target.closest && e.target.closest('input, textarea, select')) return;
+    e.preventDefault();
+    toggleDebugOverlay();
+  });
+  // Keys typed into the console must not steer, fire or pause the game
+  debugInput.addEventListener('keydown', (e) => {
+    if (e.key !== DEBUG_TOGGLE_KEY) e.stopPropagation();
+  });
+  debugInput.addEventListener('keyup', (e) => e.stopPropagation());
+  debugConsoleForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    runDebugCommand(debugInput.value);
+    debugInput.value = '';
+  });
+  onLocaleChange(() => renderDebugStats(game));
+}
+
+initDebugOverlay();
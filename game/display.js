@@ -0,0 +1,108 @@
+/*
+ * Screen fitting for the Forge & Vapor mini‑game.
+ *
+ * The game is laid out at its own size (VIEW_WIDTH × VIEW_HEIGHT, see
+ * renderer.js) and scaled as a whole, canvas, HUD and overlays alike, to the
+ * largest size that fits the window without changing its shape; whatever
+ * space is left over shows as bars on two sides. The canvas's backing store
+ * follows the size it is shown at and devicePixelRatio, so it stays sharp on
+ * high density screens. The ⛶ button or F toggles fullscreen. Loaded after
+ * renderer.js and before script.js.
+ */
+
+// Space (px) kept free around the game unless it is fullscreen
+const DISPLAY_MARGIN = 16;
+// Never draw more than this many device pixels per game coordinate, which
+// bounds the backing store's memory on huge or very dense screens
+const MAX_PIXEL_RATIO = 4;
+
+const gameContainerEl = document.getElementById('game-container');
+const fullscreenBtn = document.getElementById('fullscreen-btn');
+
+// Device pixels per game coordinate at the current size, for anything else
+// drawn on a canvas (see drawScoreChart() in stats.js)
+let displayPixelRatio = 1;
+
+/**
+ * Scale the game to fit the window and resize the canvas's backing store to
+ * match.
+ */
+function fitGameToWindow() {
+  // The layout size ignores the scaling, so this is the border on both sides
+  const border = gameContainerEl.offsetWidth - gameContainerEl.clientWidth;
+  const margin = document.fullscreenElement ? 0 : DISPLAY_MARGIN * 2;
+  const scale = Math.max(0.1, Math.min(
+    (window.innerWidth - margin) / (VIEW_WIDTH + border),
+    (window.innerHeight - margin) / (VIEW_HEIGHT + border)
+  ));
+  gameContainerEl.style.setProperty('--game-scale', scale);
+  displayPixelRatio = Math.min(MAX_PIXEL_RATIO, scale * (window.devicePixelRatio || 1));
+  resizeCanvas(displayPixelRatio);
+}
+
+/**
+ * Refit whenever devicePixelRatio changes, which moving the window to
+ * another screen does without resizing it. A media query only matches one
+ * ratio, so a new one is set up after every change.
+ */
+function watchPixelRatio() {
+  if (!window.matchMedia) return;
+  const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+  query.addEventListener('change', () => {
+    fitGameToWindow();
+    watchPixelRatio();
+  }, { once: true });
+}
+
+/**
+ * Enter fullscreen, or leave it when already there.
+ */
+function toggleFullscreen() {
+  const request = document.fullscreenElement
+    ? document.exitFullscreen()
+    : document.documentElement.requestFullscreen();
+  // Browsers refuse without a user gesture or inside some frames; the game
+  // simply stays as it is
+  request.catch(() => {});
+}
+
+/**
+ * Show whether the fullscreen button enters or leaves fullscreen, in the
+ * current language.
+ */
+function renderFullscreenButton() {
+  const label = t(document.fullscreenElement ? 'display.exitFullscreen' : 'display.enterFullscreen');
+  fullscreenBtn.title = label;
+  fullscreenBtn.setAttribute('aria-label', label);
+}
+
+/**
+ * Fit the game to the window now and whenever the window changes, and wire
+ * up the fullscreen toggle.
+ */
+function initDisplay() {
+  window.addEventListener('resize', fitGameToWindow);
+  watchPixelRatio();
+  fitGameToWindow();
+
+  if (!document.fullscreenEnabled) {
+    fullscreenBtn.classList.add('hidden');
+    return;
+  }
+  fullscreenBtn.addEventListener('click', toggleFullscreen);
+  // F toggles fullscreen anywhere, except while typing into a form field
+  // (and Ctrl+F and the like keep their usual meaning)
+  window.addEventListener('keydown', (e) => {
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if ((e.key === 'f' || e.key === 'F') && !e.repeat) toggleFullscreen();
+  });
+  document.addEventListener('fullscreenchange', () => {
+    fitGameToWindow();
+    renderFullscreenButton();
+  });
+  onLocaleChange(renderFullscreenButton);
+  renderFullscreenButton();
+}
+
+initDisplay();
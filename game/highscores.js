@@ -0,0 +1,355 @@
+/*
+ * High score tables for the Forge & Vapor mini‑game.
+ *
+ * There is one board per game mode and difficulty. Each entry records who
+ * played, when, and how the run went (level reached, errors and time left,
+ * how long it lasted, win or loss).
+ * Storage is left to leaderboard.js: every score is kept locally, and also
+ * sent to the leaderboard server when one is configured, in which case the
+ * list shows the server's boards. The local boards can be exported to and
+ * imported from JSON files so scoreboards from several machines can be
+ * merged. Loaded after leaderboard.js and before script.js.
+ */
+
+const PLAYER_NAME_STORAGE_KEY = 'forgeVaporPlayerName';
+
+const highScoresListEl = document.getElementById('high-scores-list');
+const highScoresBoardSelect = document.getElementById('high-scores-board');
+const exportScoresBtn = document.getElementById('export-scores-btn');
+const importScoresBtn = document.getElementById('import-scores-btn');
+const scoresFileInput = document.getElementById('scores-file-input');
+const highScoresStatusEl = document.getElementById('high-scores-status');
+const leaderboardStatusEl = document.getElementById('leaderboard-status');
+const leaderboardUrlInput = document.getElementById('leaderboard-url');
+const leaderboardUrlStatusEl = document.getElementById('leaderboard-url-status');
+
+// The board and entry of the most recent game, so the player can still rename it
+let lastHighScore = null;
+// Counts renders so a slow server response can't overwrite a newer list
+let highScoresRender = 0;
+// Whether the last attempt to load the list from the server failed
+let leaderboardOffline = false;
+// Why the server last refused a score, until the next successful delivery
+let leaderboardRejection = null;
+
+/**
+ * Name of the board a game played in this mode with this config belongs on.
+ * @param {object} config
+ * @param {string} mode - a key of ForgeVaporCore.GAME_MODES
+ * @returns {string} e.g. 'endless-hard' or 'classic-custom'
+ */
+function highScoreBoardFor(config, mode) {
+  return highScoreBoardName(mode, ForgeVaporCore.findPreset(config) || 'custom');
+}
+
+/**
+ * The name the player last chose, if any.
+ * @returns {string}
+ */
+function rememberedPlayerName() {
+  try {
+    return cleanPlayerName(localStorage.getItem(PLAYER_NAME_STORAGE_KEY) || '');
+  } catch (err) {
+    return '';
+  }
+}
+
+/**
+ * Add a finished game to its board and render.
+ * @param {object} state - final game state from ForgeVaporCore
+ * @returns {object} the new entry
+ */
+function updateHighScores(state) {
+  const board = highScoreBoardFor(state.config, state.mode);
+  const timed = ForgeVaporCore.GAME_MODES[state.mode].timed;
+  const entry = {
+    id: createScoreId(),
+    name: state.playerName,
+    score: state.score,
+    date: new Date().toISOString(),
+    level: state.level,
+    livesLeft: state.lives,
+    timeLeft: timed ? Math.round(state.timeLeft * 10) / 10 : null,
+    playTime: Math.round(state.elapsed),
+    won: state.status === 'won',
+  };
+  lastHighScore = { board: board, entry: entry };
+  // Show the board the new score landed on
+  highScoresBoardSelect.value = board;
+  submitHighScore(board, entry);
+  return entry;
+}
+
+/**
+ * Store an entry (or its new name) locally and on the leaderboard server,
+ * if one is in use, re-rendering as each finishes.
+ * @param {string} board
+ * @param {object} entry
+ */
+function submitHighScore(board, entry) {
+  localLeaderboard.submit(board, entry).then(renderHighScores);
+  if (leaderboard !== localLeaderboard) leaderboard.submit(board, entry).then(renderHighScores);
+}
+
+/**
+ * Rename the entry of the most recent game and remember the name for the
+ * next one.
+ * @param {string} name
+ * @returns {string} the name actually stored (trimmed; unchanged if blank)
+ */
+function renameLastHighScore(name) {
+  const cleaned = cleanPlayerName(name);
+  if (!cleaned) return lastHighScore ? lastHighScore.entry.name : '';
+  localStorage.setItem(PLAYER_NAME_STORAGE_KEY, cleaned);
+  if (lastHighScore) {
+    // The entry may have been trimmed off its board already; renaming is then harmless
+    lastHighScore.entry.name = cleaned;
+    submitHighScore(lastHighScore.board, lastHighScore.entry);
+  }
+  return cleaned;
+}
+
+/**
+ * Render the selected board into the start screen. With a leaderboard
+ * server in use the list comes from the server, falling back to the local
+ * board while it can't be reached.
+ */
+function renderHighScores() {
+  if (!highScoresListEl) return;
+  const board = highScoresBoardSelect.value;
+  const render = ++highScoresRender;
+  leaderboard
+    .list(board)
+    .then(
+      (entries) => {
+        leaderboardOffline = false;
+        return entries;
+      },
+      () => {
+        leaderboardOffline = true;
+        return localLeaderboard.list(board);
+      }
+    )
+    .then((entries) => {
+      if (render !== highScoresRender) return;
+      renderHighScoreList(entries);
+      renderLeaderboardStatus();
+    });
+}
+
+/**
+ * Fill the high score list with a board's entries.
+ * @param {object[]} entries
+ */
+function renderHighScoreList(entries) {
+  highScoresListEl.innerHTML = '';
+  if (entries.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'empty';
+    li.textContent = t('scores.empty');
+    highScoresListEl.appendChild(li);
+  }
+  entries.forEach((entry) => {
+    const li = document.createElement('li');
+    li.textContent = t('scores.entry', { name: entry.name, count: entry.score });
+    const details = describeHighScore(entry);
+    if (details) {
+      const meta = document.createElement('span');
+      meta.className = 'high-score-meta';
+      meta.textContent = ` – ${details}`;
+      li.appendChild(meta);
+    }
+    if (lastHighScore && entry.id && entry.id === lastHighScore.entry.id) li.classList.add('latest');
+    highScoresListEl.appendChild(li);
+  });
+}
+
+/**
+ * Say where the list comes from and whether scores are waiting to be sent.
+ */
+function renderLeaderboardStatus() {
+  const parts = [];
+  if (leaderboard.kind === 'http') {
+    parts.push(leaderboardOffline
+      ? t('scores.offline')
+      : t('scores.online', { host: new URL(leaderboard.url).host }));
+  }
+  const pending = pendingScoreCount();
+  if (pending > 0) parts.push(t('scores.pending', { count: pending }));
+  if (leaderboardRejection) parts.push(t('scores.refused', { reason: leaderboardRejection }));
+  leaderboardStatusEl.textContent = parts.join(' ');
+}
+
+/**
+ * Summarise an entry's metadata, e.g. "won · level 4 · 2 errors left · 12s left · 19 Oct 2026".
+ * Endless games have no time left, so how long they lasted is shown instead.
+ * Entries migrated from the old format have no metadata.
+ * @param {object} entry
+ * @returns {string}
+ */
+function describeHighScore(entry) {
+  const parts = [];
+  if (entry.won) parts.push(t('scores.won'));
+  if (entry.level !== null) parts.push(t('scores.level', { level: entry.level }));
+  if (entry.livesLeft !== null) parts.push(t('scores.livesLeft', { count: entry.livesLeft }));
+  if (entry.timeLeft !== null) {
+    parts.push(t('scores.timeLeft', { seconds: Math.ceil(entry.timeLeft) }));
+  } else if (entry.playTime !== null && entry.playTime !== undefined) {
+    parts.push(t('scores.survived', { time: formatPlayTime(entry.playTime) }));
+  }
+  if (entry.date) {
+    parts.push(new Date(entry.date).toLocaleDateString(currentLocale(), { day: 'numeric', month: 'short', year: 'numeric' }));
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Format a number of seconds as e.g. "45s" or "3m 07s".
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatPlayTime(seconds) {
+  const whole = Math.floor(seconds);
+  if (whole < 60) return t('time.seconds', { seconds: whole });
+  return t('time.minutesSeconds', { minutes: Math.floor(whole / 60), seconds: String(whole % 60).padStart(2, '0') });
+}
+
+/**
+ * Download every local board as a JSON file.
+ */
+function exportHighScores() {
+  const data = { version: HIGH_SCORES_VERSION, exportedAt: new Date().toISOString(), boards: highScoreBoards };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'forge-vapor-high-scores.json';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Merge the boards from an exported JSON file into the local ones.
+ * Problems are reported under the high score list rather than thrown.
+ * @param {File} file
+ */
+function importHighScores(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    let data;
+    try {
+      data = JSON.parse(reader.result);
+    } catch (err) {
+      highScoresStatusEl.textContent = t('scores.invalidJson');
+      return;
+    }
+    const imported = migrateHighScores(data);
+    const boards = Object.keys(imported);
+    if (boards.length === 0) {
+      highScoresStatusEl.textContent = t('scores.noneFound');
+      return;
+    }
+    // Imports always go to the local boards; they are not sent to a server
+    boards.forEach((board) => {
+      highScoreBoards[board] = ForgeVaporCore.mergeHighScores(highScoreBoards[board] || [], imported[board]);
+    });
+    saveHighScores();
+    renderHighScores();
+    const count = boards.reduce((total, board) => total + imported[board].length, 0);
+    highScoresStatusEl.textContent = t('scores.merged', { count: count });
+  };
+  reader.onerror = () => {
+    highScoresStatusEl.textContent = t('scores.unreadable');
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Name the boards in the picker in the current language, e.g. "Endless – Hard".
+ */
+function labelHighScoreBoards() {
+  Array.from(highScoresBoardSelect.querySelectorAll('optgroup')).forEach((group) => {
+    group.label = gameModeLabel(group.dataset.mode);
+    Array.from(group.children).forEach((option) => {
+      const { mode, difficulty } = parseBoardName(option.value);
+      option.textContent = t('scores.board', { mode: gameModeLabel(mode), difficulty: difficultyLabel(difficulty) });
+    });
+  });
+}
+
+/**
+ * Pick the board for the mode and difficulty selected for the next game. The
+ * Daily Challenge has none, so the picker stays where it is.
+ */
+function showSelectedHighScoreBoard() {
+  if (currentGameMode() === 'daily') {
+    if (!highScoresBoardSelect.value) highScoresBoardSelect.value = highScoreBoardFor(currentGameConfig(), 'classic');
+    return;
+  }
+  highScoresBoardSelect.value = highScoreBoardFor(currentGameConfig(), currentGameMode());
+}
+
+/**
+ * Fill the board picker, grouped by game mode, and wire up the import/export
+ * buttons and the leaderboard server setting.
+ */
+function initHighScores() {
+  // Daily Challenge results are kept by daily.js instead
+  Object.keys(ForgeVaporCore.GAME_MODES).filter((mode) => mode !== 'daily').forEach((mode) => {
+    const group = document.createElement('optgroup');
+    group.dataset.mode = mode;
+    DIFFICULTIES.forEach((difficulty) => {
+      const option = document.createElement('option');
+      option.value = highScoreBoardName(mode, difficulty);
+      group.appendChild(option);
+    });
+    highScoresBoardSelect.appendChild(group);
+  });
+  labelHighScoreBoards();
+  // Start on the board for the mode and difficulty the player has selected
+  showSelectedHighScoreBoard();
+  highScoresBoardSelect.addEventListener('change', () => {
+    renderHighScores();
+  });
+  // Picking another mode shows the scores to beat in it
+  modeSelect.addEventListener('change', () => {
+    showSelectedHighScoreBoard();
+    renderHighScores();
+  });
+  exportScoresBtn.addEventListener('click', () => {
+    exportHighScores();
+  });
+  importScoresBtn.addEventListener('click', () => {
+    scoresFileInput.click();
+  });
+  scoresFileInput.addEventListener('change', () => {
+    const file = scoresFileInput.files[0];
+    // Reset so choosing the same file again still fires a change event
+    scoresFileInput.value = '';
+    if (file) importHighScores(file);
+  });
+  leaderboardUrlInput.value = leaderboard.kind === 'http' ? leaderboard.url : '';
+  leaderboardUrlInput.addEventListener('change', () => {
+    if (!setLeaderboardUrl(leaderboardUrlInput.value)) {
+      leaderboardUrlStatusEl.textContent = t('settings.serverUrlInvalid');
+      return;
+    }
+    leaderboardUrlStatusEl.textContent = leaderboard.kind === 'http' ? t('settings.serverUrlSaved') : t('settings.serverUrlLocal');
+    renderHighScores();
+  });
+  onLocaleChange(() => {
+    labelHighScoreBoards();
+    renderHighScores();
+  });
+  onScoreQueueChange((rejection) => {
+    leaderboardRejection = rejection;
+    renderHighScores();
+  });
+  // Persist straight away so migrated data is stored in the new format
+  saveHighScores();
+  renderHighScores();
+}
+
+initHighScores();
@@ -0,0 +1,182 @@
+/*
+ * Localisation for the Forge & Vapor mini‑game.
+ *
+ * The message catalogues live in locales/, one script per language, and
+ * register themselves on window.ForgeVaporLocales before this file runs.
+ * t() looks a message up in the current language, falling back to English,
+ * fills in its {placeholders} and picks the plural form with
+ * Intl.PluralRules; numbers are formatted for the language too. Static text
+ * in index.html is marked with data-i18n attributes (data-i18n-html for
+ * copy with markup, data-i18n-attr for attributes) and translated in
+ * place. The language picker on the start screen remembers the choice in
+ * localStorage. Loaded after the catalogues and before renderer.js.
+ */
+
+const LANGUAGE_STORAGE_KEY = 'forgeVaporLanguage';
+// Every message exists in this language, so it backs up all the others
+const FALLBACK_LOCALE = 'en';
+
+const LOCALES = window.ForgeVaporLocales || {};
+
+const languageSelect = document.getElementById('language-select');
+
+let locale = loadLanguage();
+let pluralRules = new Intl.PluralRules(locale);
+let numberFormat = new Intl.NumberFormat(locale);
+
+// Called after the language changes, so text built by script is redone
+const localeListeners = [];
+
+/**
+ * The saved language, or else the first of the browser's languages that
+ * has a catalogue, or else English.
+ * @returns {string} a key of LOCALES
+ */
+function loadLanguage() {
+  try {
+    const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (stored && LOCALES[stored]) return stored;
+  } catch (err) {
+    // Fall back to the browser's languages
+  }
+  const preferred = navigator.languages || [navigator.language || FALLBACK_LOCALE];
+  for (const tag of preferred) {
+    // 'de-AT' is served by 'de'
+    const language = String(tag).split('-')[0].toLowerCase();
+    if (LOCALES[language]) return language;
+  }
+  return FALLBACK_LOCALE;
+}
+
+/**
+ * The language in use.
+ * @returns {string} a key of LOCALES, also a BCP 47 language tag
+ */
+function currentLocale() {
+  return locale;
+}
+
+/**
+ * Look up a message without filling it in.
+ * @param {string} key
+ * @returns {*} a string, plural forms or a list; undefined if unknown
+ */
+function lookupMessage(key) {
+  const messages = LOCALES[locale] ? LOCALES[locale].messages : {};
+  if (Object.prototype.hasOwnProperty.call(messages, key)) return messages[key];
+  return LOCALES[FALLBACK_LOCALE].messages[key];
+}
+
+/**
+ * Format a number for the current language, e.g. 12345 → "12,345" or "12.345".
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options] - e.g. { style: 'percent' }
+ * @returns {string}
+ */
+function formatNumber(value, options) {
+  return options ? new Intl.NumberFormat(locale, options).format(value) : numberFormat.format(value);
+}
+
+/**
+ * Translate a message. Placeholders such as {name} are replaced with the
+ * matching parameter, numbers formatted for the language. A message with
+ * plural forms ({ one: …, other: … }) picks the form for params.count.
+ * Unknown keys come back as the key itself, so they are easy to spot.
+ * @param {string} key - e.g. 'result.collected'
+ * @param {object} [params]
+ * @returns {string}
+ */
+function t(key, params = {}) {
+  let message = lookupMessage(key);
+  if (message === undefined) return key;
+  if (typeof message === 'object') {
+    message = message[pluralRules.select(params.count)] || message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(params, name)) return placeholder;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
+
+/**
+ * A list of messages, such as the lines one of which is picked at random.
+ * @param {string} key
+ * @returns {string[]}
+ */
+function tList(key) {
+  const list = lookupMessage(key);
+  return Array.isArray(list) ? list : [key];
+}
+
+/**
+ * Translate the marked elements of the page (or part of it):
+ * data-i18n sets the text, data-i18n-html the markup and data-i18n-attr
+ * attributes, written as "title:hud.pauseTitle, aria-label:hud.fire".
+ * @param {ParentNode} [root=document]
+ */
+function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.getAttribute('data-i18n'));
+  });
+  root.querySelectorAll('[data-i18n-html]').forEach((el) => {
+    // Only our own catalogues end up here
+    el.innerHTML = t(el.getAttribute('data-i18n-html'));
+  });
+  root.querySelectorAll('[data-i18n-attr]').forEach((el) => {
+    el.getAttribute('data-i18n-attr').split(',').forEach((pair) => {
+      const [attribute, key] = pair.split(':').map((part) => part.trim());
+      el.setAttribute(attribute, t(key));
+    });
+  });
+}
+
+/**
+ * Register a function to call whenever the language changes.
+ * @param {() => void} listener
+ */
+function onLocaleChange(listener) {
+  localeListeners.push(listener);
+}
+
+/**
+ * Switch to another language, remember it and redo all text on the page.
+ * @param {string} code - a key of LOCALES
+ */
+function setLocale(code) {
+  if (!LOCALES[code]) return;
+  locale = code;
+  pluralRules = new Intl.PluralRules(locale);
+  numberFormat = new Intl.NumberFormat(locale);
+  localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+  applyLocale();
+  localeListeners.forEach((listener) => listener());
+}
+
+/**
+ * Bring the static page in line with the current language.
+ */
+function applyLocale() {
+  document.documentElement.lang = locale;
+  languageSelect.value = locale;
+  translatePage();
+}
+
+/**
+ * Fill the language picker, each language named in itself, and translate
+ * the page.
+ */
+function initLanguagePicker() {
+  Object.keys(LOCALES).forEach((code) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = LOCALES[code].name;
+    languageSelect.appendChild(option);
+  });
+  languageSelect.addEventListener('change', () => {
+    setLocale(languageSelect.value);
+  });
+  applyLocale();
+}
+
+initLanguagePicker();
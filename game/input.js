@@ -0,0 +1,322 @@
+/*
+ * Input handling for the Forge & Vapor mini‑game.
+ *
+ * Mouse, touch, pen, keyboard and gamepads all feed one unified input state.
+ * The game loop calls readInput() once per simulation step and gets back one
+ * { pointerX, left, right, shots, firing } object per player, whatever
+ * device produced it, so the rules never need to know how anyone is
+ * playing. Every press of fire counts as a shot, and holding it down
+ * (firing) charges a shot that goes off on release.
+ *
+ *  - Mouse: move to steer, click to fire.
+ *  - Touch / pen: drag to steer, tap (or tap a second finger while dragging)
+ *    to fire. An on‑screen fire button appears during play once touch has
+ *    been used, so mouse and keyboard players never see it; it is also the
+ *    way to charge a shot on a touch screen.
+ *  - Keyboard: arrows or A/D to move, space to fire.
+ *  - Gamepad: left stick or D‑pad to move, A / cross to fire, Start to pause.
+ *
+ * With two players the keyboard is split: player 1 uses A/D to move and W or
+ * space to fire (plus the mouse and touch), player 2 the arrow keys and ↑ or
+ * Enter. The first gamepad belongs to player 1 and the second to player 2.
+ *
+ * Loaded after renderer.js (which owns the canvas) and before script.js.
+ */
+
+const fireBtn = document.getElementById('fire-btn');
+
+// A touch counts as a tap (and fires) if it is released this quickly…
+const TAP_MAX_DURATION = 250; // ms
+// …without having moved further than this
+const TAP_MAX_DISTANCE = 12; // pixels
+// Stick deflection needed before a gamepad counts as steering
+const GAMEPAD_DEADZONE = 0.3;
+// Standard gamepad mapping button indices
+const GAMEPAD_FIRE_BUTTON = 0; // A / cross
+const GAMEPAD_START_BUTTON = 9;
+const GAMEPAD_DPAD_LEFT = 14;
+const GAMEPAD_DPAD_RIGHT = 15;
+
+// Whether live input should currently be collected. Off on menus, while
+// paused and while a replay is playing, so stray presses never queue shots.
+let inputEnabled = false;
+// Set once touch has been used; from then on the fire button is shown in play
+let touchUsed = false;
+// Number of players sharing the keyboard and gamepads
+let playerCount = 1;
+
+// Held keyboard keys, by KeyboardEvent.key
+const keyState = {};
+// Pointer position and shots per player gathered since the last readInput() call
+let pendingPointerX = null;
+const pendingShots = [0, 0];
+// Whether each player is holding fire with the keyboard, mouse or fire button
+const fireHeld = [false, false];
+// Touch/pen pointers currently on the canvas, by pointerId
+const activeTouches = new Map();
+// Gamepad directions held by each player as of the last poll, plus the
+// buttons that were down then so presses can be detected on their rising edge
+const gamepadState = { left: [false, false], right: [false, false], firing: [false, false], pressed: {} };
+let gamepadPollId = null;
+// Called when a gamepad's Start button is pressed
+let gamepadPauseHandler = () => {};
+
+/**
+ * Allow or block live input. Anything pending is discarded either way.
+ * @param {boolean} enabled
+ */
+function setInputEnabled(enabled) {
+  inputEnabled = enabled;
+  pendingPointerX = null;
+  pendingShots.fill(0);
+  fireHeld.fill(false);
+  fireBtn.classList.toggle('hidden', !(enabled && touchUsed));
+}
+
+/**
+ * Split the controls between one or two players.
+ * @param {number} count
+ */
+function setPlayerCount(count) {
+  playerCount = count;
+}
+
+/**
+ * Register the function to call when a gamepad asks to pause or resume.
+ * @param {() => void} handler
+ */
+function onGamepadPause(handler) {
+  gamepadPauseHandler = handler;
+}
+
+/**
+ * Collect the unified input of every player for one simulation step and
+ * clear anything that should only count once (pointer moves and shots).
+ * @returns {{pointerX: number|null, left: boolean, right: boolean, shots: number, firing: boolean}[]}
+ *   one input per player
+ */
+function readInput() {
+  const inputs = [];
+  if (playerCount === 1) {
+    inputs.push({
+      pointerX: pendingPointerX,
+      left: !!(keyState['ArrowLeft'] || keyState['a'] || gamepadState.left[0]),
+      right: !!(keyState['ArrowRight'] || keyState['d'] || gamepadState.right[0]),
+      shots: pendingShots[0],
+      firing: fireHeld[0] || gamepadState.firing[0],
+    });
+  } else {
+    inputs.push({
+      pointerX: pendingPointerX,
+      left: !!(keyState['a'] || gamepadState.left[0]),
+      right: !!(keyState['d'] || gamepadState.right[0]),
+      shots: pendingShots[0],
+      firing: fireHeld[0] || gamepadState.firing[0],
+    });
+    inputs.push({
+      pointerX: null,
+      left: !!(keyState['ArrowLeft'] || gamepadState.left[1]),
+      right: !!(keyState['ArrowRight'] || gamepadState.right[1]),
+      shots: pendingShots[1],
+      firing: fireHeld[1] || gamepadState.firing[1],
+    });
+  }
+  pendingPointerX = null;
+  pendingShots.fill(0);
+  return inputs;
+}
+
+/**
+ * Queue a shot for the next step, if input is currently accepted.
+ * @param {number} [player=0] - which player fires
+ */
+function queueShot(player = 0) {
+  if (inputEnabled) pendingShots[player]++;
+}
+
+/**
+ * Note a fire control being pressed (and a shot queued) or released.
+ * @param {number} player
+ * @param {boolean} down
+ */
+function holdFire(player, down) {
+  if (down) queueShot(player);
+  fireHeld[player] = down && inputEnabled;
+}
+
+/**
+ * The player a fire key belongs to.
+ * @param {KeyboardEvent} e
+ * @returns {number|null} player index, or null if the key doesn't fire
+ */
+function fireKeyPlayer(e) {
+  if (e.code === 'Space') return 0;
+  if (playerCount === 1) return null;
+  if (e.key === 'w') return 0;
+  if (e.key === 'ArrowUp' || e.key === 'Enter') return 1;
+  return null;
+}
+
+/**
+ * Convert a pointer event to an x coordinate in the game, which is the same
+ * however large the canvas is shown.
+ * @param {PointerEvent} e
+ * @returns {number}
+ */
+function pointerToCanvasX(e) {
+  const rect = canvas.getBoundingClientRect();
+  return ((e.clientX - rect.left) * VIEW_WIDTH) / rect.width;
+}
+
+// Keyboard: arrows/A/D steer, space fires (and W, ↑ and Enter with two players)
+window.addEventListener('keydown', (e) => {
+  keyState[e.key] = true;
+  const player = fireKeyPlayer(e);
+  if (player !== null && inputEnabled) {
+    e.preventDefault();
+    if (!e.repeat) holdFire(player, true);
+  }
+});
+window.addEventListener('keyup', (e) => {
+  keyState[e.key] = false;
+  const player = fireKeyPlayer(e);
+  if (player !== null) holdFire(player, false);
+});
+// Keys released while the window is in the background never send keyup
+window.addEventListener('blur', () => {
+  Object.keys(keyState).forEach((key) => {
+    keyState[key] = false;
+  });
+  fireHeld.fill(false);
+});
+
+// Pointer Events cover mouse, touch and pen. A mouse steers just by hovering
+// and fires on press; touch and pen steer while pressed and fire on a tap.
+canvas.addEventListener('pointerdown', (e) => {
+  if (!inputEnabled) return;
+  if (e.pointerType === 'mouse') {
+    if (e.button === 0) holdFire(0, true);
+    return;
+  }
+  e.preventDefault();
+  if (!touchUsed) {
+    touchUsed = true;
+    fireBtn.classList.remove('hidden');
+  }
+  // A second finger landing while another is already steering fires at once
+  if (activeTouches.size > 0) queueShot();
+  activeTouches.set(e.pointerId, { startX: e.clientX, startY: e.clientY, startTime: e.timeStamp });
+  canvas.setPointerCapture(e.pointerId);
+  // Only the first finger steers
+  if (activeTouches.size === 1) pendingPointerX = pointerToCanvasX(e);
+});
+
+canvas.addEventListener('pointermove', (e) => {
+  if (!inputEnabled) return;
+  if (e.pointerType === 'mouse') {
+    pendingPointerX = pointerToCanvasX(e);
+    return;
+  }
+  const first = activeTouches.keys().next().value;
+  if (e.pointerId === first) pendingPointerX = pointerToCanvasX(e);
+});
+
+/**
+ * Forget a touch/pen pointer, firing if it was a quick tap by the only finger.
+ * @param {PointerEvent} e
+ */
+function endTouch(e) {
+  const touch = activeTouches.get(e.pointerId);
+  if (!touch) return;
+  activeTouches.delete(e.pointerId);
+  const wasOnlyTouch = activeTouches.size === 0;
+  const moved = Math.hypot(e.clientX - touch.startX, e.clientY - touch.startY);
+  const quick = e.timeStamp - touch.startTime <= TAP_MAX_DURATION;
+  if (e.type === 'pointerup' && wasOnlyTouch && quick && moved <= TAP_MAX_DISTANCE) {
+    queueShot();
+  }
+}
+canvas.addEventListener('pointerup', endTouch);
+canvas.addEventListener('pointercancel', endTouch);
+// The mouse button may be let go anywhere, even outside the canvas
+window.addEventListener('pointerup', (e) => {
+  if (e.pointerType === 'mouse' && e.button === 0) holdFire(0, false);
+});
+
+// On‑screen fire button for touch devices
+fireBtn.addEventListener('pointerdown', (e) => {
+  e.preventDefault();
+  holdFire(0, true);
+});
+fireBtn.addEventListener('pointerup', () => holdFire(0, false));
+fireBtn.addEventListener('pointercancel', () => holdFire(0, false));
+fireBtn.addEventListener('pointerleave', () => holdFire(0, false));
+
+/**
+ * Read every connected gamepad: update the held directions and react to
+ * fire/Start presses on their rising edge.
+ */
+function pollGamepads() {
+  const pads = navigator.getGamepads ? Array.prototype.filter.call(navigator.getGamepads(), Boolean) : [];
+  const left = [false, false];
+  const right = [false, false];
+  const firing = [false, false];
+  pads.forEach((pad, order) => {
+    // With one player every pad steers; with two the first pad is player 1's
+    // and the second player 2's
+    const player = playerCount === 1 ? 0 : order;
+    if (player >= playerCount) return;
+    const axis = pad.axes.length > 0 ? pad.axes[0] : 0;
+    left[player] = left[player] || axis < -GAMEPAD_DEADZONE || isButtonDown(pad, GAMEPAD_DPAD_LEFT);
+    right[player] = right[player] || axis > GAMEPAD_DEADZONE || isButtonDown(pad, GAMEPAD_DPAD_RIGHT);
+    firing[player] = firing[player] || isButtonDown(pad, GAMEPAD_FIRE_BUTTON);
+    if (wasButtonPressed(pad, GAMEPAD_FIRE_BUTTON)) queueShot(player);
+    if (wasButtonPressed(pad, GAMEPAD_START_BUTTON)) gamepadPauseHandler();
+  });
+  for (let i = 0; i < 2; i++) {
+    gamepadState.left[i] = inputEnabled && left[i];
+    gamepadState.right[i] = inputEnabled && right[i];
+    gamepadState.firing[i] = inputEnabled && firing[i];
+  }
+  gamepadPollId = requestAnimationFrame(pollGamepads);
+}
+
+/**
+ * @param {Gamepad} pad
+ * @param {number} index
+ * @returns {boolean} whether the button exists and is held
+ */
+function isButtonDown(pad, index) {
+  return !!pad.buttons[index] && pad.buttons[index].pressed;
+}
+
+/**
+ * Detect a press that started since the previous poll.
+ * @param {Gamepad} pad
+ * @param {number} index
+ * @returns {boolean}
+ */
+function wasButtonPressed(pad, index) {
+  const id = `${pad.index}:${index}`;
+  const down = isButtonDown(pad, index);
+  const wasDown = !!gamepadState.pressed[id];
+  gamepadState.pressed[id] = down;
+  return down && !wasDown;
+}
+
+// Gamepads are polled every frame, but only while at least one is connected.
+// Polling runs independently of the game loop so Start can also resume a
+// paused game.
+window.addEventListener('gamepadconnected', () => {
+  if (gamepadPollId === null) gamepadPollId = requestAnimationFrame(pollGamepads);
+});
+window.addEventListener('gamepaddisconnected', () => {
+  const pads = navigator.getGamepads ? Array.prototype.filter.call(navigator.getGamepads(), Boolean) : [];
+  if (pads.length === 0 && gamepadPollId !== null) {
+    cancelAnimationFrame(gamepadPollId);
+    gamepadPollId = null;
+    gamepadState.left.fill(false);
+    gamepadState.right.fill(false);
+    gamepadState.firing.fill(false);
+  }
+});
@@ -0,0 +1,444 @@
+/*
+ * Leaderboard backends for the Forge & Vapor mini‑game.
+ *
+ * highscores.js never touches score storage itself; it goes through a
+ * leaderboard object with two methods:
+ *
+ *   submit(board, entry) → Promise   add an entry, or rename it if an entry
+ *                                    with the same id is already there
+ *   list(board)          → Promise<entry[]>   the board, best first
+ *
+ * The local backend keeps every board in localStorage under
+ * forgeVaporHighScores and is always available. When a server URL is
+ * configured (in the settings panel, or with ?leaderboard=<url>) an HTTP
+ * backend is used as well: scores go into a queue kept in localStorage and
+ * are posted to the server, and anything that could not be delivered is
+ * retried with a growing delay and as soon as the browser comes back online.
+ * server/leaderboard-server.js implements the server side of the protocol.
+ *
+ * Loaded after settings.js and before highscores.js.
+ */
+
+const HIGH_SCORES_STORAGE_KEY = 'forgeVaporHighScores';
+const LEADERBOARD_URL_STORAGE_KEY = 'forgeVaporLeaderboardUrl';
+const SCORE_QUEUE_STORAGE_KEY = 'forgeVaporScoreQueue';
+// Current schema version of the stored (and exported) high score data
+const HIGH_SCORES_VERSION = 3;
+const MAX_PLAYER_NAME_LENGTH = 20;
+// Give up on a leaderboard request after this long
+const LEADERBOARD_TIMEOUT = 8000; // ms
+// Delay before retrying queued scores: doubles after every failed attempt
+const SCORE_RETRY_BASE_DELAY = 5000; // ms
+const SCORE_RETRY_MAX_DELAY = 5 * 60 * 1000; // ms
+
+// All local boards, keyed by board name: '<mode>-<difficulty>' (see highScoreBoardFor)
+let highScoreBoards = loadHighScores();
+// Scores waiting to be posted: { url, board, entry, attempts }
+let scoreQueue = loadScoreQueue();
+let scoreQueueFlush = null;
+let scoreQueueRetryId = null;
+// Called after every attempt to deliver the queue
+let scoreQueueHandler = () => {};
+
+const localLeaderboard = createLocalLeaderboard();
+// The backend the high score list is shown from
+let leaderboard = createLeaderboard(configuredLeaderboardUrl());
+
+/**
+ * Read the high scores from localStorage, migrating older formats.
+ * @returns {Object<string, object[]>}
+ */
+function loadHighScores() {
+  try {
+    return migrateHighScores(JSON.parse(localStorage.getItem(HIGH_SCORES_STORAGE_KEY)));
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Save all local boards to localStorage for persistence across sessions.
+ */
+function saveHighScores() {
+  localStorage.setItem(
+    HIGH_SCORES_STORAGE_KEY,
+    JSON.stringify({ version: HIGH_SCORES_VERSION, boards: highScoreBoards })
+  );
+}
+
+/**
+ * Bring stored or imported high score data up to the current schema.
+ *
+ * Version 1 was a bare array of { name, score } with no difficulty, so those
+ * entries go on the Classic Normal board. Version 2 had one board per
+ * difficulty, all from classic games. Anything unrecognisable yields no
+ * boards.
+ * @param {*} data
+ * @returns {Object<string, object[]>} boards keyed by board name
+ */
+function migrateHighScores(data) {
+  const boards = {};
+  if (Array.isArray(data)) {
+    boards['classic-normal'] = sanitizeBoard(data);
+  } else if (data && (data.version === 2 || data.version === HIGH_SCORES_VERSION) && data.boards && typeof data.boards === 'object') {
+    Object.keys(data.boards).forEach((name) => {
+      const board = data.version === 2 ? upgradeBoardName(name) : name;
+      if (!isHighScoreBoard(board)) return;
+      boards[board] = sanitizeBoard(data.boards[name]);
+    });
+  }
+  return boards;
+}
+
+/**
+ * Name of the board for a game mode and difficulty.
+ * @param {string} mode - a key of ForgeVaporCore.GAME_MODES
+ * @param {string} difficulty - a difficulty preset name, or 'custom'
+ * @returns {string}
+ */
+function highScoreBoardName(mode, difficulty) {
+  return `${mode}-${difficulty}`;
+}
+
+/**
+ * Split a board name into its game mode and difficulty.
+ * @param {string} board
+ * @returns {{mode: string, difficulty: string}|null} null if it names no board
+ */
+function parseBoardName(board) {
+  const match = /^([A-Za-z]+)-([A-Za-z]+)$/.exec(board);
+  if (!match) return null;
+  if (!Object.prototype.hasOwnProperty.call(ForgeVaporCore.GAME_MODES, match[1])) return null;
+  if (!DIFFICULTIES.includes(match[2])) return null;
+  return { mode: match[1], difficulty: match[2] };
+}
+
+/**
+ * Whether a string names a board.
+ * @param {string} board
+ * @returns {boolean}
+ */
+function isHighScoreBoard(board) {
+  return parseBoardName(board) !== null;
+}
+
+/**
+ * The current name of a board named before there were game modes, when
+ * every board was a difficulty of the classic mode.
+ * @param {string} board
+ * @returns {string}
+ */
+function upgradeBoardName(board) {
+  return board.includes('-') ? board : highScoreBoardName('classic', board);
+}
+
+/**
+ * Keep only well formed entries from an untrusted list, filling in any
+ * metadata older entries lack, sorted and trimmed to the board size.
+ * @param {*} entries
+ * @returns {object[]}
+ */
+function sanitizeBoard(entries) {
+  if (!Array.isArray(entries)) return [];
+  const valid = entries
+    .filter((entry) => entry && typeof entry.name === 'string' && Number.isFinite(entry.score))
+    .map((entry) => ({
+      id: typeof entry.id === 'string' ? entry.id.slice(0, 64) : null,
+      name: cleanPlayerName(entry.name) || 'Anonymous',
+      score: Math.max(0, Math.floor(entry.score)),
+      date: typeof entry.date === 'string' ? entry.date : null,
+      level: Number.isFinite(entry.level) ? entry.level : null,
+      livesLeft: Number.isFinite(entry.livesLeft) ? entry.livesLeft : null,
+      timeLeft: Number.isFinite(entry.timeLeft) ? entry.timeLeft : null,
+      playTime: Number.isFinite(entry.playTime) ? entry.playTime : null,
+      won: entry.won === true,
+    }));
+  return ForgeVaporCore.mergeHighScores(valid, []);
+}
+
+/**
+ * Trim a player name and cut it down to the allowed length.
+ * @param {string} name
+ * @returns {string}
+ */
+function cleanPlayerName(name) {
+  return String(name).trim().slice(0, MAX_PLAYER_NAME_LENGTH);
+}
+
+/**
+ * A random id for a new entry, so it can be renamed later on any backend.
+ * @returns {string}
+ */
+function createScoreId() {
+  const bytes = new Uint8Array(12);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Add an entry to a board, or just rename the entry with the same id if the
+ * board already has it.
+ * @param {object[]} entries
+ * @param {object} entry
+ * @returns {object[]} the new board
+ */
+function upsertHighScore(entries, entry) {
+  const existing = entry.id ? entries.find((other) => other.id === entry.id) : null;
+  if (existing) {
+    existing.name = entry.name;
+    return entries;
+  }
+  return ForgeVaporCore.insertHighScore(entries, Object.assign({}, entry));
+}
+
+/**
+ * The backend that stores boards in this browser only.
+ * @returns {{kind: string, submit: Function, list: Function}}
+ */
+function createLocalLeaderboard() {
+  return {
+    kind: 'local',
+    submit(board, entry) {
+      highScoreBoards[board] = upsertHighScore(highScoreBoards[board] || [], entry);
+      saveHighScores();
+      return Promise.resolve();
+    },
+    list(board) {
+      return Promise.resolve(highScoreBoards[board] || []);
+    },
+  };
+}
+
+/**
+ * The backend that shares boards through a leaderboard server.
+ * Submissions are queued and delivered in the background, so submit()
+ * resolves even while the server is unreachable; list() rejects then.
+ * @param {string} url - base URL of the server, e.g. http://intranet:8080
+ * @returns {{kind: string, url: string, submit: Function, list: Function}}
+ */
+function createHttpLeaderboard(url) {
+  return {
+    kind: 'http',
+    url: url,
+    submit(board, entry) {
+      queueScore(url, board, entry);
+      return flushScoreQueue();
+    },
+    list(board) {
+      return requestJson(scoresUrl(url, board)).then((data) => sanitizeBoard(data && data.scores));
+    },
+  };
+}
+
+/**
+ * The backend for a server URL: HTTP when one is given, otherwise local.
+ * @param {string} url
+ * @returns {object}
+ */
+function createLeaderboard(url) {
+  return url ? createHttpLeaderboard(url) : localLeaderboard;
+}
+
+/**
+ * @param {string} url - base URL of the server
+ * @param {string} board
+ * @returns {string} the endpoint for one board
+ */
+function scoresUrl(url, board) {
+  return `${url}/api/scores/${encodeURIComponent(board)}`;
+}
+
+/**
+ * Check and tidy a leaderboard server URL.
+ * @param {string} url
+ * @returns {string|null} the URL without a trailing slash, '' for none, or
+ *   null if it is not an http(s) URL
+ */
+function normalizeLeaderboardUrl(url) {
+  const trimmed = String(url || '').trim();
+  if (!trimmed) return '';
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch (err) {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+  return trimmed.replace(/\/+$/, '');
+}
+
+/**
+ * The server URL to use: ?leaderboard=<url> on the page URL wins over the
+ * one saved in the settings panel.
+ * @returns {string} '' for local scores only
+ */
+function configuredLeaderboardUrl() {
+  const fromPage = new URLSearchParams(window.location.search).get('leaderboard');
+  if (fromPage !== null) return normalizeLeaderboardUrl(fromPage) || '';
+  try {
+    return normalizeLeaderboardUrl(localStorage.getItem(LEADERBOARD_URL_STORAGE_KEY)) || '';
+  } catch (err) {
+    return '';
+  }
+}
+
+/**
+ * Switch to another leaderboard server and remember it.
+ * @param {string} url - '' to go back to local scores only
+ * @returns {boolean} false (and nothing changed) if the URL is not usable
+ */
+function setLeaderboardUrl(url) {
+  const normalized = normalizeLeaderboardUrl(url);
+  if (normalized === null) return false;
+  localStorage.setItem(LEADERBOARD_URL_STORAGE_KEY, normalized);
+  leaderboard = createLeaderboard(normalized);
+  return true;
+}
+
+/**
+ * Fetch JSON from a leaderboard server, timing out after a while.
+ * Errors for requests the server refused (4xx) are marked as rejected, so
+ * the caller knows retrying them is pointless.
+ * @param {string} url
+ * @param {object} [body] - sent as a JSON POST when given
+ * @returns {Promise<*>}
+ */
+function requestJson(url, body) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), LEADERBOARD_TIMEOUT);
+  const options = { signal: controller.signal };
+  if (body) {
+    options.method = 'POST';
+    options.headers = { 'Content-Type': 'application/json' };
+    options.body = JSON.stringify(body);
+  }
+  return fetch(url, options)
+    .then((response) =>
+      response
+        .json()
+        .catch(() => null)
+        .then((data) => {
+          if (response.ok) return data;
+          const error = new Error((data && data.error) || `The server answered ${response.status}.`);
+          error.rejected = response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429;
+          throw error;
+        })
+    )
+    .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Read the queue of undelivered scores from localStorage.
+ * @returns {object[]}
+ */
+function loadScoreQueue() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SCORE_QUEUE_STORAGE_KEY));
+    if (!Array.isArray(stored)) return [];
+    return stored
+      .filter((item) => item && item.url && typeof item.board === 'string' && item.entry)
+      .map((item) => Object.assign({}, item, { board: upgradeBoardName(item.board) }));
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Persist the queue so undelivered scores survive a reload.
+ */
+function saveScoreQueue() {
+  localStorage.setItem(SCORE_QUEUE_STORAGE_KEY, JSON.stringify(scoreQueue));
+}
+
+/**
+ * Queue an entry for a server. A queued entry with the same id (a rename
+ * before it was delivered) is replaced rather than sent twice.
+ * @param {string} url
+ * @param {string} board
+ * @param {object} entry
+ */
+function queueScore(url, board, entry) {
+  const item = { url: url, board: board, entry: Object.assign({}, entry), attempts: 0 };
+  const index = scoreQueue.findIndex((other) => other.url === url && other.entry.id === entry.id);
+  if (index === -1) scoreQueue.push(item);
+  else scoreQueue[index] = item;
+  saveScoreQueue();
+}
+
+/**
+ * Number of scores still waiting to be delivered.
+ * @returns {number}
+ */
+function pendingScoreCount() {
+  return scoreQueue.length;
+}
+
+/**
+ * Register the function to call after every delivery attempt. It receives
+ * the server's reason if a score was refused, otherwise null.
+ * @param {(rejection: string|null) => void} handler
+ */
+function onScoreQueueChange(handler) {
+  scoreQueueHandler = handler;
+}
+
+/**
+ * Try to deliver every queued score now. Resolves (never rejects) once the
+ * queue is empty or a delivery failed, in which case a retry is scheduled.
+ * @returns {Promise<void>}
+ */
+function flushScoreQueue() {
+  if (scoreQueueFlush) return scoreQueueFlush;
+  clearTimeout(scoreQueueRetryId);
+  scoreQueueRetryId = null;
+  let rejection = null;
+  const sendNext = () => {
+    if (scoreQueue.length === 0) return Promise.resolve();
+    const item = scoreQueue[0];
+    const forget = () => {
+      // The item may have been replaced by a rename while it was in flight
+      const index = scoreQueue.indexOf(item);
+      if (index !== -1) scoreQueue.splice(index, 1);
+      saveScoreQueue();
+    };
+    return requestJson(scoresUrl(item.url, item.board), item.entry).then(
+      () => {
+        forget();
+        return sendNext();
+      },
+      (err) => {
+        if (err.rejected) {
+          // The server will never take this one; drop it and carry on
+          rejection = err.message;
+          forget();
+          return sendNext();
+        }
+        item.attempts++;
+        saveScoreQueue();
+        return undefined;
+      }
+    );
+  };
+  scoreQueueFlush = sendNext().then(() => {
+    scoreQueueFlush = null;
+    if (scoreQueue.length > 0) scheduleScoreRetry();
+    scoreQueueHandler(rejection);
+  });
+  return scoreQueueFlush;
+}
+
+/**
+ * Try the queue again later, backing off after repeated failures.
+ */
+function scheduleScoreRetry() {
+  const attempts = scoreQueue[0].attempts;
+  const delay = Math.min(SCORE_RETRY_MAX_DELAY, SCORE_RETRY_BASE_DELAY * 2 ** Math.max(0, attempts - 1));
+  scoreQueueRetryId = setTimeout(flushScoreQueue, delay);
+}
+
+// Deliver straight away when the connection comes back, and on load for
+// anything left over from an earlier visit
+window.addEventListener('online', () => {
+  if (scoreQueue.length > 0) flushScoreQueue();
+});
+if (scoreQueue.length > 0) flushScoreQueue();
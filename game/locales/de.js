@@ -0,0 +1,356 @@
+/*
+ * German messages for Forge & Vapor. Keys missing here fall back to
+ * locales/en.js; see there for the format.
+ */
+
+window.ForgeVaporLocales = window.ForgeVaporLocales || {};
+window.ForgeVaporLocales.de = {
+  name: 'Deutsch',
+  messages: {
+    'page.title': 'Forge & Vapor – das Spiel',
+    'page.canvasLabel': 'Spielfeld von Forge & Vapor',
+
+    // Start screen
+    'start.heading': 'Forge & Vapor',
+    'start.intro': 'Willkommen zu einem Mini‑Spiel im Zeichen von Laravel! Hilf Vapor (Laravels Serverless‑Plattform), die Git‑Sterne einzusammeln, die aus Forge (dem Deployment‑Werkzeug) fliegen. Jeder fallende Balken ist entweder <em>gut</em> oder <em>schlecht</em>: Die guten sind rot und mit einem Plus (+) markiert, die schlechten grün und mit einem Kreuz (×). Andere Farben lassen sich in den Einstellungen unter Barrierefreiheit wählen. Fange die Plus‑Balken, um Git‑Sterne für dein Repository zu sammeln, und schieße auf die Kreuz‑Balken, damit du keine Fehler verlierst – oder sogar welche dazugewinnst. Bewege dich mit der Maus (oder den Tasten A/D) nach links und rechts und feuere PHPStan‑Geschosse per Klick oder Leertaste ab. Sammle so viele Sterne wie möglich, bevor die Zeit abläuft.',
+    'start.mode': 'Modus',
+    'start.players': 'Spieler',
+    'start.language': 'Sprache',
+    'start.theme': 'Design',
+    'start.startGame': 'Spiel starten',
+    'start.help': 'Hilfe & Einstellungen',
+
+    // Game modes, player modes and difficulties
+    'mode.classic': 'Klassisch',
+    'mode.endless': 'Endlos',
+    'mode.timeAttack': 'Zeitjagd',
+    'mode.suddenDeath': 'Sudden Death',
+    'mode.daily': 'Tages‑Challenge',
+    'modeDescription.classic': 'Sammle die Zielanzahl an Sternen, bevor die Uptime abläuft.',
+    'modeDescription.endless': 'Kein Timer, kein Ziel: Überlebe so lange wie möglich, während es immer schneller wird.',
+    'modeDescription.timeAttack': 'Kein Ziel: Sammle so viele Sterne wie möglich, bevor die Uptime abläuft.',
+    'modeDescription.suddenDeath': 'Klassische Regeln, aber nur ein Fehler ist erlaubt, und abgeschossene Bugs bringen keine Extra‑Fehler.',
+    'modeDescription.daily': 'Heute bekommen alle dieselben Balken, auf Normal und allein gespielt. Sammle so viele Sterne wie möglich, bevor die Uptime endet; nur dein erstes Spiel des Tages zählt.',
+    'playerMode.single': '1 Spieler',
+    'playerMode.coop': '2 Spieler – Koop',
+    'playerMode.versus': '2 Spieler – Duell',
+    'difficulty.easy': 'Leicht',
+    'difficulty.normal': 'Normal',
+    'difficulty.hard': 'Schwer',
+    'difficulty.insane': 'Wahnsinnig',
+    'difficulty.custom': 'Eigene',
+
+    // High scores
+    'scores.heading': 'Bestenliste',
+    'scores.boardLabel': 'Bestenliste auswählen',
+    'scores.export': 'Exportieren',
+    'scores.import': 'Importieren…',
+    'scores.empty': 'Noch keine Punktzahlen.',
+    'scores.entry': { one: '{name}: {count} Stern', other: '{name}: {count} Sterne' },
+    'scores.won': 'gewonnen',
+    'scores.level': 'Level {level}',
+    'scores.livesLeft': { one: '{count} Fehler übrig', other: '{count} Fehler übrig' },
+    'scores.timeLeft': 'noch {seconds} s',
+    'scores.survived': '{time} überlebt',
+    'scores.offline': 'Bestenlisten‑Server nicht erreichbar – es werden die Punktzahlen aus diesem Browser angezeigt.',
+    'scores.online': 'Online‑Bestenliste: {host}',
+    'scores.pending': { one: '{count} Punktzahl wartet auf den Versand.', other: '{count} Punktzahlen warten auf den Versand.' },
+    'scores.refused': 'Eine Punktzahl wurde abgelehnt: {reason}',
+    'scores.invalidJson': 'Diese Datei enthält kein gültiges JSON.',
+    'scores.noneFound': 'In dieser Datei wurden keine Punktzahlen gefunden.',
+    'scores.merged': { one: '{count} Punktzahl übernommen.', other: '{count} Punktzahlen übernommen.' },
+    'scores.unreadable': 'Die Datei konnte nicht gelesen werden.',
+    'time.seconds': '{seconds} s',
+    'time.minutesSeconds': '{minutes} min {seconds} s',
+
+    // Game over screen
+    'gameOver.nameLabel': 'Dein Name',
+    'gameOver.save': 'Speichern',
+    'gameOver.saved': 'Gespeichert!',
+    'gameOver.playAgain': 'Nochmal spielen',
+    'gameOver.watchReplay': 'Wiederholung ansehen',
+    'gameOver.downloadReplay': 'Wiederholung herunterladen',
+    'gameOver.loadReplay': 'Wiederholung laden…',
+    'gameOver.summary': 'Modus: {mode}, {players} · Schwierigkeit: {difficulty}',
+    'result.replayOver': 'Wiederholung beendet!',
+    'result.replayWon': 'Wiederholung beendet – gewonnen!',
+    'result.timesUp': 'Zeit abgelaufen!',
+    'result.suddenDeath': 'Sudden Death!',
+    'result.gameOver': 'Spiel vorbei!',
+    'result.win': 'Gewonnen!',
+    'result.playerWins': '{name} gewinnt!',
+    'result.draw': 'Unentschieden!',
+    'result.collected': { one: 'Du hast {count} Git‑Stern gesammelt!', other: 'Du hast {count} Git‑Sterne gesammelt!' },
+    'result.survived': {
+      one: 'Du hast {time} überlebt und {count} Git‑Stern gesammelt!',
+      other: 'Du hast {time} überlebt und {count} Git‑Sterne gesammelt!',
+    },
+    'result.suddenDeathScore': {
+      one: 'Ein Fehler hat gereicht. Du hast {count} Git‑Stern gesammelt!',
+      other: 'Ein Fehler hat gereicht. Du hast {count} Git‑Sterne gesammelt!',
+    },
+    'result.won': {
+      one: 'Du hast {count} Git‑Stern gesammelt und gewonnen!',
+      other: 'Du hast {count} Git‑Sterne gesammelt und gewonnen!',
+    },
+    'result.flawless': {
+      one: 'Du hast {count} Git‑Stern ohne einen einzigen Fehler gesammelt!',
+      other: 'Du hast {count} Git‑Sterne ohne einen einzigen Fehler gesammelt!',
+    },
+    'result.versusWin': '{winner} schlägt {loser}: {scores} Git‑Sterne.',
+    'result.versusDraw': 'Niemand konnte sich absetzen: {scores} Git‑Sterne.',
+
+    // Replays and levels
+    'replay.invalidJson': 'Diese Datei enthält kein gültiges JSON.',
+    'replay.unreadable': 'Die Wiederholung konnte nicht gelesen werden.',
+    'replay.notReplay': 'Diese Datei ist keine Wiederholung.',
+    'replay.unsupportedVersion': 'Wiederholungen der Version {version} werden nicht unterstützt; erwartet wird {expected}.',
+    'replay.noSeed': 'Die Wiederholung hat keinen gültigen Seed.',
+    'replay.noSteps': 'Die Wiederholung enthält keine aufgezeichneten Eingaben.',
+    'replay.unknownPlayers': 'Die Wiederholung wurde mit einer unbekannten Spielerzahl aufgezeichnet.',
+    'replay.malformed': 'Die Wiederholung enthält fehlerhafte Eingaben.',
+    'replay.unknownMode': 'Die Wiederholung wurde in einem unbekannten Spielmodus aufgezeichnet.',
+    'replay.invalidLevels': 'Die Level der Wiederholung sind ungültig: {error}',
+    'levels.problems': {
+      one: 'levels.json hat {count} Problem, daher werden die klassischen Level verwendet:',
+      other: 'levels.json hat {count} Probleme, daher werden die klassischen Level verwendet:',
+    },
+    'levels.unavailable': 'Die Level‑Definitionen konnten nicht geladen werden ({error}), daher werden die klassischen Level verwendet.',
+
+    // Pause screen
+    'pause.heading': 'Pause',
+    'pause.hint': 'Drücke P oder Escape, um weiterzuspielen.',
+    'pause.resume': 'Weiter',
+    'pause.restart': 'Neu starten',
+    'pause.quit': 'Zum Startbildschirm',
+
+    // Run statistics and history on the game over screen
+    'stats.shots': 'Abgefeuerte Schüsse',
+    'stats.accuracy': 'Trefferquote',
+    'stats.bugsKilled': 'Abgeschossene Bugs',
+    'stats.bugsCaught': 'Gefangene Bugs',
+    'stats.goodBarsShot': 'Versehentlich abgeschossene Sterne',
+    'stats.barsMissed': 'Verpasste Balken',
+    'stats.peakLevel': 'Höchstes Level',
+    'stats.longestStreak': 'Längste Fangserie',
+    'stats.timeSurvived': 'Überlebte Zeit',
+    'stats.chartTitle': 'Git‑Sterne im Zeitverlauf',
+    'stats.chartLabel': 'Diagramm der Git‑Sterne im Zeitverlauf: {score} nach {time}',
+    'stats.trendUp': {
+      one: '▲ {difference} mehr als in deinem letzten Spiel in diesem Modus ({average}).',
+      other: '▲ {difference} mehr als dein Durchschnitt der letzten {count} Spiele in diesem Modus ({average}).',
+    },
+    'stats.trendDown': {
+      one: '▼ {difference} weniger als in deinem letzten Spiel in diesem Modus ({average}).',
+      other: '▼ {difference} weniger als dein Durchschnitt der letzten {count} Spiele in diesem Modus ({average}).',
+    },
+    'stats.trendSame': {
+      one: 'Gleichauf mit deinem letzten Spiel in diesem Modus ({average}).',
+      other: 'Gleichauf mit deinem Durchschnitt der letzten {count} Spiele in diesem Modus ({average}).',
+    },
+    'stats.history': 'Letzte Spiele',
+    'stats.noHistory': 'Noch keine Spiele.',
+    'stats.date': 'Datum',
+    'stats.mode': 'Modus',
+    'stats.stars': 'Sterne',
+    'stats.level': 'Level',
+    'stats.time': 'Zeit',
+
+    // Loading the artwork and levels
+    'assets.loading': 'Wird geladen… {loaded} / {total}',
+    'assets.failed': '{name} konnte nicht geladen werden: {reason}',
+    'assets.imageFailed': 'das Bild fehlt oder ist beschädigt',
+    'assets.frameMissing': 'die Animation {animation} verwendet Bild {frame}, das Sprite‑Sheet hat aber nur {count}',
+
+    // Themes
+    'theme.default': 'Laravel (Standard)',
+    'theme.load': 'Design laden…',
+    'theme.loadFolder': 'Design‑Ordner laden…',
+    'theme.remove': 'Design entfernen',
+    'theme.loading': 'Design wird geladen…',
+    'theme.loaded': 'Design „{name}“ geladen.',
+    'theme.notKept': 'Design „{name}“ geladen, aber es ist zu groß, um für den nächsten Besuch gespeichert zu werden.',
+    'theme.removed': 'Design „{name}“ entfernt.',
+    'theme.problems': {
+      one: 'Das Design hat {count} Problem:',
+      other: 'Das Design hat {count} Probleme:',
+    },
+    'theme.unreadable': 'Das Design konnte nicht gelesen werden ({error}).',
+
+    // Stress test (?stress in the page URL)
+    'stress.note': 'Belastungstest: Start hält etwa {count} Balken und {count} Partikel auf dem Bildschirm. Beenden über den Pausebildschirm.',
+    'stress.report': '{fps} fps\nFrame {frame} ms (max. {frameMax} ms)\nSchritt {step} ms · Zeichnen {draw} ms\nBalken {bars} · Geschosse {bullets} · Partikel {particles}',
+    'debug.input': 'Debug‑Befehl',
+    'debug.placeholder': 'Befehl – probier help',
+    'debug.stats': '{fps} fps · Frame {frame} ms (Update {update} ms, Zeichnen {draw} ms)\nBalken {bars} · Geschosse {bullets} · Partikel {particles} · Texte {floatingTexts}\nZeitfaktor ×{scale} · unverwundbar {invincible}',
+    'debug.on': 'an',
+    'debug.off': 'aus',
+    'debug.usage': 'Aufruf: {usage}',
+    'debug.spawnedGood': { one: '{count} guter Balken fällt.', other: '{count} gute Balken fallen.' },
+    'debug.spawnedBad': { one: '{count} Bug fällt.', other: '{count} Bugs fallen.' },
+    'debug.livesSet': 'Fehler auf {lives} gesetzt.',
+    'debug.scoreSet': 'Git‑Sterne auf {score} gesetzt.',
+    'debug.levelSet': 'Jetzt auf Level {level}.',
+    'debug.timeScaleSet': 'Die Zeit läuft mit ×{scale}.',
+    'debug.invincibleOn': 'Unverwundbar: Es gehen keine Fehler verloren.',
+    'debug.invincibleOff': 'Nicht mehr unverwundbar.',
+    'debug.hitboxesOn': 'Hitboxen werden gezeigt.',
+    'debug.hitboxesOff': 'Hitboxen sind ausgeblendet.',
+    'debug.unknown': 'Unbekannter Befehl „{command}“ – probier help.',
+    'debug.noGame': 'Starte zuerst ein Spiel.',
+    'debug.badNumber': '„{value}“ ist keine Zahl von {min} bis {max}.',
+    'debug.badSwitch': '„{value}“ ist weder on noch off.',
+    'savedGame.resume': 'Gespeichertes Spiel fortsetzen',
+    'savedGame.summary': { one: '{mode}, Level {level}, {count} Stern – gespeichert {date}', other: '{mode}, Level {level}, {count} Sterne – gespeichert {date}' },
+    'savedGame.incompatible': 'Dein gespeichertes Spiel stammt aus einer älteren Version des Spiels und konnte nicht fortgesetzt werden.',
+    'savedGame.damaged': 'Dein gespeichertes Spiel war beschädigt und konnte nicht fortgesetzt werden.',
+    'savedGame.saveFailed': 'Dieses Spiel konnte nicht gespeichert werden, weil der Speicher des Browsers voll oder nicht verfügbar ist. Wenn du die Seite schließt, ist es verloren.',
+    'savedGame.noReplay': 'Dieses Spiel ist zu lang geworden, um seine Wiederholung zu behalten. Es bleibt gespeichert und zählt, lässt sich aber nicht noch einmal ansehen.',
+    'daily.notPlayed': 'Die Challenge von heute ({day}) hast du noch nicht gespielt: Dein nächstes Spiel zählt.',
+    'daily.unfinished': 'Die Challenge von heute ({day}) wurde begonnen, aber nicht beendet. Spiele, die du jetzt startest, sind Training.',
+    'daily.played': {
+      one: 'Challenge von heute ({day}): {count} Stern, Level {level}. Spiele, die du jetzt startest, sind Training.',
+      other: 'Challenge von heute ({day}): {count} Sterne, Level {level}. Spiele, die du jetzt startest, sind Training.',
+    },
+    'daily.shareLabel': 'Dein Ergebnis zum Teilen',
+    'daily.shareHeading': 'Forge & Vapor Tages‑Challenge {day}',
+    'daily.sharePracticeHeading': 'Forge & Vapor Tages‑Challenge {day} (Training)',
+    'daily.shareLine': '⭐ {count} · Level {level} · 🎯 {accuracy}',
+    'daily.copy': 'Ergebnis kopieren',
+    'daily.copied': 'In die Zwischenablage kopiert.',
+    'daily.copyFailed': 'Der Browser lässt das Spiel nicht kopieren: Der Text ist markiert, drücke also Strg+C (⌘C auf dem Mac).',
+
+    // Screen
+    'display.enterFullscreen': 'Vollbild (F)',
+    'display.exitFullscreen': 'Vollbild beenden (F)',
+
+    // Achievements
+    'achievements.open': 'Erfolge',
+    'achievements.heading': 'Erfolge',
+    'achievements.summary': '{count} von {total} freigeschaltet',
+    'achievements.progress': '{value} / {goal}',
+    'achievements.unlockedOn': 'Freigeschaltet am {date}',
+    'achievements.toast': 'Erfolg freigeschaltet!',
+    'achievements.runUnlocked': 'Freigeschaltete Erfolge: {names}',
+    'achievements.back': 'Zurück',
+    'achievement.firstWin.name': 'Ausgeliefert',
+    'achievement.firstWin.description': 'Gewinne ein Spiel.',
+    'achievement.flawless.name': 'Null Fehler',
+    'achievement.flawless.description': 'Gewinne ein Spiel, ohne einen einzigen Fehler zu verlieren.',
+    'achievement.pacifist.name': 'Statische Analyse optional',
+    'achievement.pacifist.description': 'Gewinne ein Spiel, ohne einen Schuss abzugeben.',
+    'achievement.killStreak.name': 'Level Max',
+    'achievement.killStreak.description': 'Schieße 10 Bugs in Folge ab, ohne einen durchzulassen.',
+    'achievement.level5.name': 'Hochskaliert',
+    'achievement.level5.description': 'Erreiche Level 5.',
+    'achievement.bossSlayer.name': 'Ursachenforschung',
+    'achievement.bossSlayer.description': 'Besiege einen Boss‑Bug.',
+    'achievement.bugHunter.name': 'Bugjäger',
+    'achievement.bugHunter.description': 'Schieße insgesamt 100 Bugs ab.',
+    'achievement.stargazer.name': 'Im Trend',
+    'achievement.stargazer.description': 'Sammle insgesamt 500 Git‑Sterne.',
+
+    // Help and settings
+    'help.heading': 'Hilfe & Einstellungen',
+    'help.objective': '<strong>Ziel:</strong> Sammle so viele Git‑Sterne wie möglich, indem du die guten Balken fängst. Gute Balken sind rot und mit einem Plus markiert. Erreiche die Zielanzahl an Sternen, um zu gewinnen. Lass keine Balken fallen – jeder verpasste kostet dich einen Fehler.',
+    'help.controls': '<strong>Steuerung:</strong> Bewege die Figur mit der Maus. Klicke (oder drücke die Leertaste), um ein PHPStan‑Geschoss abzufeuern. Auf einem Touchscreen ziehst du zum Bewegen und tippst zum Schießen (oder tippst mit einem zweiten Finger oder nutzt den Feuer‑Knopf). Gamepads funktionieren auch: Stick oder Steuerkreuz zum Bewegen, A zum Feuern und Start für die Pause. Balken mit einem <strong>+</strong> sind gut – fang sie, um Git‑Sterne zu verdienen. Balken mit einem <strong>×</strong> sind schlecht – fängst du einen, verlierst du einen Fehler. Schieß sie stattdessen ab, um einen Extra‑Fehler zu bekommen! Mit F oder der Schaltfläche ⛶ in der Ecke spielst du im Vollbild.',
+    'help.powerUps': '<strong>Power‑ups:</strong> Manche Balken tragen stattdessen ein Symbol. Fang sie für 🛡 einen Schild, der einen Bug abfängt, 🐢 Zeitlupe, ⚡ Mehrfachschuss, 🧲 einen Magneten, der Sterne zu dir zieht, oder ⏱ zusätzliche Uptime. Ein verpasstes Power‑up kostet nichts, ein abgeschossenes ist aber verloren.',
+    'help.weapon': '<strong>Waffe:</strong> Deine PHPStan‑Kanone schießt höchstens ein paar Mal pro Sekunde und wird mit jedem Schuss heißer; die Anzeige im HUD zeigt, wie heiß. Schießt du zu schnell, überhitzt sie und bleibt stumm, bis sie abgekühlt ist. Halte Feuer gedrückt, um einen großen Schuss aufzuladen, der durch mehrere Balken bricht und Bosse hart trifft, und lass los, um ihn abzufeuern. Mit dem Level steigt auch das Regel‑Level: von Einzelschüssen über Doppelschüsse und Streuschüsse bis zu durchschlagenden Geschossen.',
+    'help.levels': '<strong>Level:</strong> Je mehr Sterne du sammelst, desto schwieriger wird das Spiel. Behalte dein Level im HUD im Blick. Spätere Level lassen Balken in Formationen fallen, seitlich treiben oder pendeln, und manche enden mit einem Boss‑Bug: Triff ihn mehrmals, bevor er dich erreicht.',
+    'help.modes': '<strong>Modi:</strong> Wähle einen Modus auf dem Startbildschirm. <em>Klassisch</em> ist oben beschrieben. <em>Endlos</em> hat weder Timer noch Ziel: Es wird immer schneller, bis deine Fehler aufgebraucht sind. <em>Zeitjagd</em> hat ebenfalls kein Ziel – sammle so viele Sterne wie möglich, bevor die Uptime endet. <em>Sudden Death</em> spielt sich wie Klassisch, erlaubt aber nur einen einzigen Fehler und gewährt nie zusätzliche. Jeder Modus hat seine eigene Bestenliste. Die <em>Tages‑Challenge</em> lässt am selben Tag für alle dieselben Balken fallen: Nur dein erstes Spiel des Tages zählt, und sein Ergebnis lässt sich zum Teilen kopieren.',
+    'help.twoPlayers': '<strong>Zwei Spieler:</strong> Wähle Koop oder Duell unter <em>Spieler</em>. Spieler 1 bewegt sich mit A/D und feuert mit W oder der Leertaste (die Maus geht auch); Spieler 2 bewegt sich mit den Pfeiltasten und feuert mit ↑ oder Enter. Ein zweites Gamepad steuert Spieler 2. Im Koop werden Sterne und Fehler geteilt. Im Duell hat jeder seine eigenen: Ein verpasster Balken kostet den nächststehenden Spieler einen Fehler, und wem die Fehler ausgehen, der verliert. Ansonsten gewinnt, wer zuerst das Ziel erreicht oder bei Ablauf der Zeit die meisten Sterne hat. Spiele zu zweit kommen nicht in die Bestenliste.',
+    'help.accessibility': '<strong>Barrierefreiheit:</strong> Die Einstellungen bieten Balkenfarben für Deuteranopie, Protanopie und Tritanopie, eine kontrastreiche Darstellung, deutlich unterscheidbare Balkenformen (runde Sterne, gezackte und gestreifte Bugs) und reduzierte Bewegung. Jeder Bildschirm ist per Tastatur bedienbar: Tab wechselt zwischen den Bedienelementen, Enter oder Leertaste betätigt sie, und Escape verlässt diesen Bildschirm. Screenreader werden während des Spiels über Änderungen an Sternen, Fehlern und Level informiert.',
+    'help.back': 'Zurück',
+    'settings.heading': 'Einstellungen',
+    'settings.difficulty': 'Schwierigkeit',
+    'settings.sound': 'Ton',
+    'settings.mute': 'Stumm (M)',
+    'settings.leaderboard': 'Bestenliste',
+    'settings.serverUrl': 'Server‑URL',
+    'settings.serverUrlPlaceholder': 'Leer: nur dieser Browser',
+    'settings.serverUrlInvalid': 'Gib eine http://‑ oder https://‑Adresse ein.',
+    'settings.serverUrlSaved': 'Gespeichert.',
+    'settings.serverUrlLocal': 'Es werden nur lokale Punktzahlen verwendet.',
+    'settings.accessibility': 'Barrierefreiheit',
+    'settings.barColours': 'Balkenfarben',
+    'setting.gameDuration': 'Uptime',
+    'setting.initialLives': 'Erlaubte Fehler',
+    'setting.winScore': 'Sterne zum Sieg',
+    'setting.badBarProbability': 'Bug‑Anteil',
+    'setting.barSpawnInterval': 'Balken‑Intervall',
+    'setting.bulletSpeed': 'PHPStan‑Tempo',
+    'setting.powerUpProbability': 'Power‑up‑Anteil',
+    'unit.seconds': '{value} s',
+    'unit.milliseconds': '{value} ms',
+    'unit.pixelsPerSecond': '{value} px/s',
+    'audio.master': 'Gesamtlautstärke',
+    'audio.sfx': 'Effekte',
+    'audio.music': 'Musik',
+    'audio.mute': 'Stumm (M)',
+    'audio.unmute': 'Ton an (M)',
+    'accessibility.highContrast': 'Hoher Kontrast',
+    'accessibility.shapes': 'Deutliche Balkenformen',
+    'accessibility.reducedMotion': 'Weniger Bewegung',
+    // Declined to fit 'banner.instructions' ("die roten Balken")
+    'palette.themed': 'Farben des Designs ({name})',
+    'palette.standard': 'Standard (rot / grün)',
+    'palette.standard.good': 'roten',
+    'palette.standard.bad': 'grünen',
+    'palette.deuteranopia': 'Deuteranopie (orange / blau)',
+    'palette.deuteranopia.good': 'orangen',
+    'palette.deuteranopia.bad': 'blauen',
+    'palette.protanopia': 'Protanopie (gelb / blau)',
+    'palette.protanopia.good': 'gelben',
+    'palette.protanopia.bad': 'blauen',
+    'palette.tritanopia': 'Tritanopie (rot / türkis)',
+    'palette.tritanopia.good': 'roten',
+    'palette.tritanopia.bad': 'türkisen',
+
+    // HUD and screen reader announcements
+    'hud.player': 'Spieler:',
+    'hud.replay': '▶ Wiederholung',
+    'hud.score': 'Git‑Sterne:',
+    'hud.time': 'Uptime:',
+    'hud.lives': 'Fehler:',
+    'hud.level': 'Level:',
+    'hud.out': 'raus',
+    'hud.pause': 'Pause',
+    'hud.pauseTitle': 'Pause (P / Esc)',
+    'hud.fire': 'Feuer',
+    'hud.weapon': 'PHPStan {level} · {pattern}',
+    'hud.overheated': 'Überhitzt!',
+    'hud.heat': 'Waffenhitze',
+    'announce.level': 'Level {level}.',
+    'announce.score': 'Git‑Sterne: {score}.',
+    'announce.lives': 'Verbleibende Fehler: {lives}.',
+
+    // On the playfield
+    'banner.instructions': 'Fange die {good} Balken (+) und schieß auf die {bad} Balken (×)',
+    'banner.instructionsSymbols': 'Fange die Balken mit + und schieß auf die Balken mit ×',
+    'banner.level': 'Level {level}',
+    'banner.levelNamed': 'Level {level}: {name}',
+    'banner.boss': { one: '{name} im Anflug – einmal treffen!', other: '{name} im Anflug – {count}‑mal treffen!' },
+    'powerUp.shield': 'Schild',
+    'powerUp.slowMo': 'Zeitlupe',
+    'powerUp.multiShot': 'Mehrfachschuss',
+    'powerUp.magnet': 'Magnet',
+    'powerUp.timeBonus': 'Zeitbonus',
+    'effect.powerUp': '{powerUp}!',
+    'effect.blocked': 'Abgewehrt!',
+    'effect.playerOut': '{name} ist raus!',
+    'effect.overheated': 'Überhitzt!',
+    'effect.weaponUpgraded': 'PHPStan‑Level {level}: {pattern}!',
+    'weapon.single': 'Einzel',
+    'weapon.double': 'Doppel',
+    'weapon.spread': 'Streuung',
+    'weapon.piercing': 'Durchschlag',
+    'effect.kill': ['KaBuug!', 'Bug‑Klatsch!', 'Zerquetscht!', 'Bug‑Knall!', 'Platsch!'],
+    'effect.fix': [
+      '1 Bug weg – 2 neue da!',
+      'Behoben? … oh nein!',
+      'Bug gepatcht!',
+      'Wieder ein Bug erledigt?',
+      'Einer weniger, viele to go!',
+    ],
+  },
+};
@@ -0,0 +1,361 @@
+/*
+ * English messages for Forge & Vapor. Every key the game uses is defined
+ * here; other languages may leave keys out and get these instead.
+ *
+ * Values are plain strings with {placeholders}, plural forms keyed by
+ * Intl.PluralRules category ('one', 'other', …) and picked by the count
+ * parameter, or lists. The intro and help paragraphs hold markup. See
+ * i18n.js.
+ */
+
+window.ForgeVaporLocales = window.ForgeVaporLocales || {};
+window.ForgeVaporLocales.en = {
+  name: 'English',
+  messages: {
+    'page.title': 'Forge & Vapor Game',
+    'page.canvasLabel': 'Forge & Vapor playfield',
+
+    // Start screen
+    'start.heading': 'Forge & Vapor',
+    'start.intro': 'Welcome to a Laravel‑inspired mini‑game! Your mission is to help Vapor (Laravel’s serverless platform) collect Git stars that fly out of Forge (the deployment tool). Each falling bar can be either <em>good</em> or <em>bad</em>: the good ones are coloured red and marked with a plus symbol (+), while the bad ones are green and marked with a cross (×). Other colours can be picked under Accessibility in the settings. Catch the plus bars to earn Git stars for your repository, and shoot the cross bars to avoid losing errors and even gain extra ones. Use your mouse (or the arrow keys A/D) to move left and right, and click or press space to fire PHPStan projectiles. Rack up as many stars as you can before the timer runs out.',
+    'start.mode': 'Mode',
+    'start.players': 'Players',
+    'start.language': 'Language',
+    'start.theme': 'Theme',
+    'start.startGame': 'Start Game',
+    'start.help': 'Help & Settings',
+
+    // Game modes, player modes and difficulties
+    'mode.classic': 'Classic',
+    'mode.endless': 'Endless',
+    'mode.timeAttack': 'Time Attack',
+    'mode.suddenDeath': 'Sudden Death',
+    'mode.daily': 'Daily Challenge',
+    'modeDescription.classic': 'Collect the target number of stars before the uptime runs out.',
+    'modeDescription.endless': 'No timer and no target: survive as long as you can while it keeps getting faster.',
+    'modeDescription.timeAttack': 'No target: collect as many stars as you can before the uptime runs out.',
+    'modeDescription.suddenDeath': 'Classic rules with a single error allowed, and shooting bugs earns no extra ones.',
+    'modeDescription.daily': 'Today everyone gets the same bars, on Normal and for one player. Collect as many stars as you can before the uptime runs out; only your first game of the day counts.',
+    'playerMode.single': '1 player',
+    'playerMode.coop': '2 players – co‑op',
+    'playerMode.versus': '2 players – versus',
+    'difficulty.easy': 'Easy',
+    'difficulty.normal': 'Normal',
+    'difficulty.hard': 'Hard',
+    'difficulty.insane': 'Insane',
+    'difficulty.custom': 'Custom',
+
+    // High scores
+    'scores.heading': 'High Scores',
+    'scores.boardLabel': 'High score board',
+    'scores.board': '{mode} – {difficulty}',
+    'scores.export': 'Export',
+    'scores.import': 'Import…',
+    'scores.empty': 'No scores yet.',
+    'scores.entry': { one: '{name}: {count} star', other: '{name}: {count} stars' },
+    'scores.won': 'won',
+    'scores.level': 'level {level}',
+    'scores.livesLeft': { one: '{count} error left', other: '{count} errors left' },
+    'scores.timeLeft': '{seconds}s left',
+    'scores.survived': 'survived {time}',
+    'scores.offline': 'Leaderboard server unreachable – showing scores from this browser.',
+    'scores.online': 'Online leaderboard: {host}',
+    'scores.pending': { one: '{count} score waiting to be sent.', other: '{count} scores waiting to be sent.' },
+    'scores.refused': 'A score was refused: {reason}',
+    'scores.invalidJson': 'That file is not valid JSON.',
+    'scores.noneFound': 'No high scores found in that file.',
+    'scores.merged': { one: 'Merged {count} score.', other: 'Merged {count} scores.' },
+    'scores.unreadable': 'The file could not be read.',
+    'time.seconds': '{seconds}s',
+    'time.minutesSeconds': '{minutes}m {seconds}s',
+
+    // Game over screen
+    'gameOver.nameLabel': 'Your name',
+    'gameOver.save': 'Save',
+    'gameOver.saved': 'Saved!',
+    'gameOver.playAgain': 'Play Again',
+    'gameOver.watchReplay': 'Watch Replay',
+    'gameOver.downloadReplay': 'Download Replay',
+    'gameOver.loadReplay': 'Load Replay…',
+    'gameOver.summary': 'Mode: {mode}, {players} · Difficulty: {difficulty}',
+    'result.replayOver': 'Replay Over!',
+    'result.replayWon': 'Replay Over – You Won!',
+    'result.timesUp': "Time's Up!",
+    'result.suddenDeath': 'Sudden Death!',
+    'result.gameOver': 'Game Over!',
+    'result.win': 'You Win!',
+    'result.playerWins': '{name} Wins!',
+    'result.draw': "It's a Draw!",
+    'result.collected': { one: 'You collected {count} git star!', other: 'You collected {count} git stars!' },
+    'result.survived': {
+      one: 'You survived {time} and collected {count} git star!',
+      other: 'You survived {time} and collected {count} git stars!',
+    },
+    'result.suddenDeathScore': {
+      one: 'One error was all it took. You collected {count} git star!',
+      other: 'One error was all it took. You collected {count} git stars!',
+    },
+    'result.won': { one: 'You collected {count} git star and won!', other: 'You collected {count} git stars and won!' },
+    'result.flawless': {
+      one: 'You collected {count} git star without a single error!',
+      other: 'You collected {count} git stars without a single error!',
+    },
+    'result.versusWin': '{winner} beat {loser}: {scores} git stars.',
+    'result.versusDraw': 'Nobody could pull ahead: {scores} git stars.',
+
+    // Replays and levels
+    'replay.invalidJson': 'That file is not valid JSON.',
+    'replay.unreadable': 'The replay file could not be read.',
+    'replay.notReplay': 'That file is not a replay.',
+    'replay.unsupportedVersion': 'Unsupported replay version {version}; expected {expected}.',
+    'replay.noSeed': 'The replay has no valid seed.',
+    'replay.noSteps': 'The replay has no recorded input.',
+    'replay.unknownPlayers': 'The replay was recorded with an unknown number of players.',
+    'replay.malformed': 'The replay contains malformed input.',
+    'replay.unknownMode': 'The replay was recorded in an unknown game mode.',
+    'replay.invalidLevels': "The replay's levels are invalid: {error}",
+    'levels.problems': {
+      one: 'levels.json has {count} problem, so the classic levels are used:',
+      other: 'levels.json has {count} problems, so the classic levels are used:',
+    },
+    'levels.unavailable': 'The level definitions could not be loaded ({error}), so the classic levels are used.',
+
+    // Pause screen
+    'pause.heading': 'Paused',
+    'pause.hint': 'Press P or Escape to continue.',
+    'pause.resume': 'Resume',
+    'pause.restart': 'Restart',
+    'pause.quit': 'Quit to Start Screen',
+
+    // Run statistics and history on the game over screen
+    'stats.shots': 'Shots fired',
+    'stats.accuracy': 'Accuracy',
+    'stats.bugsKilled': 'Bugs shot',
+    'stats.bugsCaught': 'Bugs caught',
+    'stats.goodBarsShot': 'Stars shot by mistake',
+    'stats.barsMissed': 'Bars missed',
+    'stats.peakLevel': 'Peak level',
+    'stats.longestStreak': 'Longest catch streak',
+    'stats.timeSurvived': 'Time survived',
+    'stats.chartTitle': 'Git Stars over time',
+    'stats.chartLabel': 'Chart of Git Stars over time: {score} after {time}',
+    'stats.trendUp': {
+      one: '▲ {difference} more than your previous run in this mode ({average}).',
+      other: '▲ {difference} more than your average over the last {count} runs in this mode ({average}).',
+    },
+    'stats.trendDown': {
+      one: '▼ {difference} fewer than your previous run in this mode ({average}).',
+      other: '▼ {difference} fewer than your average over the last {count} runs in this mode ({average}).',
+    },
+    'stats.trendSame': {
+      one: 'Level with your previous run in this mode ({average}).',
+      other: 'Level with your average over the last {count} runs in this mode ({average}).',
+    },
+    'stats.history': 'Recent runs',
+    'stats.noHistory': 'No runs yet.',
+    'stats.date': 'Date',
+    'stats.mode': 'Mode',
+    'stats.stars': 'Stars',
+    'stats.level': 'Level',
+    'stats.time': 'Time',
+
+    // Loading the artwork and levels
+    'assets.loading': 'Loading… {loaded} / {total}',
+    'assets.failed': '{name} could not be loaded: {reason}',
+    'assets.imageFailed': 'the image is missing or damaged',
+    'assets.frameMissing': 'the {animation} animation uses frame {frame}, but the sheet has only {count}',
+
+    // Themes
+    'theme.default': 'Laravel (default)',
+    'theme.load': 'Load theme…',
+    'theme.loadFolder': 'Load theme folder…',
+    'theme.remove': 'Remove theme',
+    'theme.loading': 'Loading the theme…',
+    'theme.loaded': 'Loaded the theme “{name}”.',
+    'theme.notKept': 'Loaded the theme “{name}”, but it is too large to be kept for your next visit.',
+    'theme.removed': 'Removed the theme “{name}”.',
+    'theme.problems': {
+      one: 'The theme has {count} problem:',
+      other: 'The theme has {count} problems:',
+    },
+    'theme.unreadable': 'The theme could not be read ({error}).',
+
+    // Stress test (?stress in the page URL)
+    'stress.note': 'Stress test: Start keeps about {count} bars and {count} particles on screen. Quit from the pause screen.',
+    'stress.report': '{fps} fps\nframe {frame} ms (max {frameMax} ms)\nstep {step} ms · draw {draw} ms\nbars {bars} · bullets {bullets} · particles {particles}',
+    'debug.input': 'Debug command',
+    'debug.placeholder': 'Command – try help',
+    'debug.stats': '{fps} fps · frame {frame} ms (update {update} ms, draw {draw} ms)\nbars {bars} · bullets {bullets} · particles {particles} · floating texts {floatingTexts}\ntime scale ×{scale} · invincible {invincible}',
+    'debug.on': 'on',
+    'debug.off': 'off',
+    'debug.usage': 'Usage: {usage}',
+    'debug.spawnedGood': { one: 'Dropped {count} good bar.', other: 'Dropped {count} good bars.' },
+    'debug.spawnedBad': { one: 'Dropped {count} bug.', other: 'Dropped {count} bugs.' },
+    'debug.livesSet': 'Errors set to {lives}.',
+    'debug.scoreSet': 'Git stars set to {score}.',
+    'debug.levelSet': 'Now on level {level}.',
+    'debug.timeScaleSet': 'Time runs at ×{scale}.',
+    'debug.invincibleOn': 'Invincible: no errors are lost.',
+    'debug.invincibleOff': 'No longer invincible.',
+    'debug.hitboxesOn': 'Hitboxes shown.',
+    'debug.hitboxesOff': 'Hitboxes hidden.',
+    'debug.unknown': 'Unknown command "{command}" – try help.',
+    'debug.noGame': 'Start a game first.',
+    'debug.badNumber': '"{value}" is not a number from {min} to {max}.',
+    'debug.badSwitch': '"{value}" is neither on nor off.',
+    'savedGame.resume': 'Resume saved game',
+    'savedGame.summary': { one: '{mode}, level {level}, {count} star – saved {date}', other: '{mode}, level {level}, {count} stars – saved {date}' },
+    'savedGame.incompatible': 'Your saved game was made by an older version of the game and could not be resumed.',
+    'savedGame.damaged': 'Your saved game was damaged and could not be resumed.',
+    'savedGame.saveFailed': 'This game could not be saved, as the browser\'s storage is full or unavailable. Closing the page will lose it.',
+    'savedGame.noReplay': 'This game has grown too long to keep its replay. It is still saved and scored, but can\'t be watched again.',
+    'daily.notPlayed': 'You haven\'t played today\'s challenge ({day}) yet: your next game is the one that counts.',
+    'daily.unfinished': 'Today\'s challenge ({day}) was started but not finished. Games started now are practice.',
+    'daily.played': {
+      one: 'Today\'s challenge ({day}): {count} star, level {level}. Games started now are practice.',
+      other: 'Today\'s challenge ({day}): {count} stars, level {level}. Games started now are practice.',
+    },
+    'daily.shareLabel': 'Your result to share',
+    'daily.shareHeading': 'Forge & Vapor Daily Challenge {day}',
+    'daily.sharePracticeHeading': 'Forge & Vapor Daily Challenge {day} (practice)',
+    'daily.shareLine': '⭐ {count} · level {level} · 🎯 {accuracy}',
+    'daily.copy': 'Copy result',
+    'daily.copied': 'Copied to the clipboard.',
+    'daily.copyFailed': 'The browser won\'t let the game copy it: the text is selected, so press Ctrl+C (⌘C on a Mac).',
+
+    // Screen
+    'display.enterFullscreen': 'Fullscreen (F)',
+    'display.exitFullscreen': 'Exit fullscreen (F)',
+
+    // Achievements
+    'achievements.open': 'Achievements',
+    'achievements.heading': 'Achievements',
+    'achievements.summary': '{count} of {total} unlocked',
+    'achievements.progress': '{value} / {goal}',
+    'achievements.unlockedOn': 'Unlocked {date}',
+    'achievements.toast': 'Achievement unlocked!',
+    'achievements.runUnlocked': 'Achievements unlocked: {names}',
+    'achievements.back': 'Back',
+    'achievement.firstWin.name': 'Shipped It',
+    'achievement.firstWin.description': 'Win a game.',
+    'achievement.flawless.name': 'Zero Errors',
+    'achievement.flawless.description': 'Win a game without losing a single error.',
+    'achievement.pacifist.name': 'Static Analysis Optional',
+    'achievement.pacifist.description': 'Win a game without firing a shot.',
+    'achievement.killStreak.name': 'Level Max',
+    'achievement.killStreak.description': 'Shoot 10 bugs in a row without letting one through.',
+    'achievement.level5.name': 'Scaling Up',
+    'achievement.level5.description': 'Reach level 5.',
+    'achievement.bossSlayer.name': 'Root Cause',
+    'achievement.bossSlayer.description': 'Defeat a boss bug.',
+    'achievement.bugHunter.name': 'Bug Hunter',
+    'achievement.bugHunter.description': 'Shoot 100 bugs in total.',
+    'achievement.stargazer.name': 'Trending',
+    'achievement.stargazer.description': 'Collect 500 Git stars in total.',
+
+    // Help and settings
+    'help.heading': 'Help & Settings',
+    'help.objective': '<strong>Objective:</strong> Collect as many Git stars as possible by catching the good bars. Good bars are coloured red and marked with a plus symbol. Reach the target number of stars to win the game. Avoid dropping bars—each miss consumes one of your errors.',
+    'help.controls': '<strong>Controls:</strong> Move the player with your mouse. Click (or press the spacebar) to fire a PHPStan projectile. On a touch screen, drag to move and tap (or tap a second finger, or use the Fire button) to shoot. Gamepads work too: stick or D‑pad to move, A to fire and Start to pause. Bars with a <strong>+</strong> icon are good—catch these to earn Git stars. Bars with a <strong>×</strong> icon are bad—if you catch one, you lose an error. Shoot them instead to gain an extra error! Press F or the ⛶ button in the corner to play fullscreen.',
+    'help.powerUps': '<strong>Power‑ups:</strong> Some bars carry an icon instead. Catch them for 🛡 a shield that absorbs one bug, 🐢 slow motion, ⚡ multi‑shot, 🧲 a magnet that pulls stars towards you, or ⏱ extra uptime. Missing a power‑up costs nothing, but shooting one wastes it.',
+    'help.weapon': '<strong>Weapon:</strong> Your PHPStan gun fires a few shots a second at most and heats up with every one; the meter in the HUD shows how hot it is. Fire too fast and it overheats and stays silent until it has cooled down. Hold fire to charge a big shot that breaks through several bars and hits bosses hard, and let go to release it. As the level rises so does the rule level, from single shots to double shots, a spread and piercing bullets.',
+    'help.levels': '<strong>Levels:</strong> The game becomes more challenging as you collect more stars. Keep an eye on your level in the HUD. Later levels drop bars in formations and let them drift or sway, and some end with a boss bug: shoot it several times before it reaches you.',
+    'help.modes': '<strong>Modes:</strong> Pick a mode on the start screen. <em>Classic</em> is described above. <em>Endless</em> has no timer and no target: it keeps speeding up until your errors run out. <em>Time Attack</em> has no target either—collect as many stars as you can before the uptime ends. <em>Sudden Death</em> plays like Classic but allows a single error and never grants extra ones. Each mode keeps its own high scores. The <em>Daily Challenge</em> drops the same bars for everyone on the same day: only your first game of the day counts, and its result can be copied to share.',
+    'help.twoPlayers': '<strong>Two players:</strong> Choose co‑op or versus under <em>Players</em>. Player 1 moves with A/D and fires with W or space (the mouse works too); player 2 moves with the arrow keys and fires with ↑ or Enter. A second gamepad controls player 2. In co‑op the stars and errors are shared. In versus each player has their own: a missed bar costs the nearest player an error and whoever runs out of errors loses. Otherwise the first to the target wins, or whoever has the most stars when time is up. Two‑player games don\'t go on the high score boards.',
+    'help.accessibility': '<strong>Accessibility:</strong> The settings offer bar colours for deuteranopia, protanopia and tritanopia, a high contrast display, distinct bar shapes (round stars, jagged and striped bugs) and reduced motion. Every screen works from the keyboard: Tab moves between controls, Enter or space presses them and Escape leaves this screen. Screen readers are told about changes to your stars, errors and level as you play.',
+    'help.back': 'Back',
+    'settings.heading': 'Settings',
+    'settings.difficulty': 'Difficulty',
+    'settings.sound': 'Sound',
+    'settings.mute': 'Mute (M)',
+    'settings.leaderboard': 'Leaderboard',
+    'settings.serverUrl': 'Server URL',
+    'settings.serverUrlPlaceholder': 'Empty: this browser only',
+    'settings.serverUrlInvalid': 'Enter an http:// or https:// address.',
+    'settings.serverUrlSaved': 'Saved.',
+    'settings.serverUrlLocal': 'Using local scores only.',
+    'settings.accessibility': 'Accessibility',
+    'settings.barColours': 'Bar colours',
+    'setting.gameDuration': 'Uptime',
+    'setting.initialLives': 'Errors allowed',
+    'setting.winScore': 'Git stars to win',
+    'setting.badBarProbability': 'Bug chance',
+    'setting.barSpawnInterval': 'Bar spawn interval',
+    'setting.bulletSpeed': 'PHPStan speed',
+    'setting.powerUpProbability': 'Power‑up chance',
+    'unit.seconds': '{value}s',
+    'unit.milliseconds': '{value}ms',
+    'unit.pixelsPerSecond': '{value}px/s',
+    'audio.master': 'Master volume',
+    'audio.sfx': 'Effects volume',
+    'audio.music': 'Music volume',
+    'audio.mute': 'Mute (M)',
+    'audio.unmute': 'Unmute (M)',
+    'accessibility.highContrast': 'High contrast',
+    'accessibility.shapes': 'Distinct bar shapes',
+    'accessibility.reducedMotion': 'Reduced motion',
+    // The bar colour names are only used in 'banner.instructions'
+    'palette.themed': 'Theme colours ({name})',
+    'palette.standard': 'Standard (red / green)',
+    'palette.standard.good': 'red',
+    'palette.standard.bad': 'green',
+    'palette.deuteranopia': 'Deuteranopia (orange / blue)',
+    'palette.deuteranopia.good': 'orange',
+    'palette.deuteranopia.bad': 'blue',
+    'palette.protanopia': 'Protanopia (yellow / blue)',
+    'palette.protanopia.good': 'yellow',
+    'palette.protanopia.bad': 'blue',
+    'palette.tritanopia': 'Tritanopia (red / teal)',
+    'palette.tritanopia.good': 'red',
+    'palette.tritanopia.bad': 'teal',
+
+    // HUD and screen reader announcements
+    'hud.player': 'Player:',
+    'hud.replay': '▶ Replay',
+    'hud.score': 'Git\u00a0Stars:',
+    'hud.time': 'Uptime:',
+    'hud.lives': 'Errors:',
+    'hud.level': 'Level:',
+    'hud.out': 'out',
+    'hud.pause': 'Pause',
+    'hud.pauseTitle': 'Pause (P / Esc)',
+    'hud.fire': 'Fire',
+    'hud.weapon': 'PHPStan {level} · {pattern}',
+    'hud.overheated': 'Overheated!',
+    'hud.heat': 'Weapon heat',
+    'announce.level': 'Level {level}.',
+    'announce.score': 'Git stars: {score}.',
+    'announce.lives': 'Errors left: {lives}.',
+
+    // On the playfield
+    'banner.instructions': 'Catch the {good} bars (+) and shoot the {bad} bars (×)',
+    'banner.instructionsSymbols': 'Catch the bars marked + and shoot the bars marked ×',
+    'banner.level': 'Level {level}',
+    'banner.levelNamed': 'Level {level}: {name}',
+    'banner.boss': { one: '{name} incoming – shoot it once!', other: '{name} incoming – shoot it {count} times!' },
+    'powerUp.shield': 'Shield',
+    'powerUp.slowMo': 'Slow‑mo',
+    'powerUp.multiShot': 'Multi‑shot',
+    'powerUp.magnet': 'Magnet',
+    'powerUp.timeBonus': 'Time bonus',
+    'effect.powerUp': '{powerUp}!',
+    'effect.blocked': 'Blocked!',
+    'effect.playerOut': '{name} is out!',
+    'effect.overheated': 'Overheated!',
+    'effect.weaponUpgraded': 'PHPStan level {level}: {pattern}!',
+    'weapon.single': 'Single',
+    'weapon.double': 'Double',
+    'weapon.spread': 'Spread',
+    'weapon.piercing': 'Piercing',
+    // Shown when a bug is destroyed by a projectile: playful, about squashing bugs
+    'effect.kill': ['KaBuug!', 'BugSmack!', 'Squashed!', 'Bug Blast!', 'Squish!'],
+    // Shown when the player catches a bug: fixing a bug often spawns more
+    'effect.fix': [
+      '1 bug down – 2 new spawned!',
+      'Fixed? … oh no!',
+      'Bug patched!',
+      'Another bug bites the dust?',
+      'One squashed, more to go!',
+    ],
+  },
+};
@@ -0,0 +1,964 @@
+/*
+ * Canvas renderer for the Forge & Vapor mini‑game.
+ *
+ * Draws a game state produced by core.js and owns the purely visual effects
+ * (particle bursts, floating texts, the instruction banner and toasts).
+ * Effects are started from the events returned by ForgeVaporCore.step(), so
+ * the rules never need to know they exist. How bars are coloured and shaped and how
+ * lively the effects are can be changed with setRenderOptions(), which
+ * accessibility.js does; the artwork, bar and bullet colours and floating
+ * texts come from the theme set by themes.js through setTheme(), with its
+ * images preloaded as sprites by assets.js. The Vapor plays the sprite's
+ * idle, move, hit and celebrate animations; bars without sprites glow and
+ * bugs flicker. Other texts come from i18n.js. Loaded after core.js,
+ * i18n.js and assets.js and before script.js.
+ */
+
+const canvas = document.getElementById('gameCanvas');
+const ctx = canvas.getContext('2d');
+
+// Everything is drawn in the game's own coordinates, the same ones core.js
+// uses, whatever size the canvas is shown at. The backing store holds this
+// many device pixels per coordinate (see resizeCanvas()).
+const VIEW_WIDTH = ForgeVaporCore.WORLD_WIDTH;
+const VIEW_HEIGHT = ForgeVaporCore.WORLD_HEIGHT;
+let canvasPixelRatio = 1;
+// The state and blend last drawn, so a resize can redraw the frame it wipes
+let lastDrawn = null;
+
+// The theme in use (see themes.js) and its loaded images: the background,
+// and the player and bars as sprites (see loadThemeAssets()). Missing ones
+// are null.
+let renderTheme = null;
+let themeAssets = { background: null, player: null, goodBar: null, badBar: null };
+
+// Particle and floating text animation rates, all per second
+const PARTICLE_FADE_RATE = 1.2;
+const PARTICLE_SHRINK_FACTOR = Math.pow(0.96, 60); // radius multiplier per second
+const FLOATING_TEXT_SPEED = 30; // pixels per second
+const FLOATING_TEXT_FADE_RATE = 1.2;
+// How long (s) the Vapor plays its hit and celebrate animations, and the
+// speed (px/s) above which it counts as moving
+const POSE_DURATIONS = { hit: 0.5, celebrate: 0.8 };
+const POSE_MOVE_SPEED = 30;
+// Glow around good bars: how far (px) it reaches and how fast (rad/s) it
+// pulses; and how often (per second) bugs may flicker, and how dim they get
+const BAR_GLOW_SIZE = 5;
+const BAR_GLOW_RATE = 4;
+const BUG_FLICKER_RATE = 12;
+const BUG_FLICKER_DIM = 0.6;
+// How long (ms) the instruction banner stays up at the start of a game
+const INSTRUCTION_DURATION = 4000;
+// How long (ms) a level intro or boss warning stays up
+const LEVEL_BANNER_DURATION = 2500;
+// Achievement toasts: how long (ms) each stays up, how long it takes to drop
+// in and to fade out, and its size and position (top centre, under the HUD)
+const TOAST_DURATION = 4000;
+const TOAST_SLIDE_TIME = 300;
+const TOAST_FADE_TIME = 600;
+const TOAST_WIDTH = 340;
+const TOAST_HEIGHT = 56;
+const TOAST_TOP = 120;
+
+// Colours for good bars (stars), bad bars (bugs) and bosses. Everything but
+// the standard palette keeps the two bar colours apart for colour‑blind
+// players, and a theme may bring its own standard colours. Their names, and
+// the colour names used in the instructions, are in the message catalogues
+// under 'palette.<key>'.
+const PALETTES = {
+  standard: { good: '#e74c3c', bad: '#2ecc71', boss: '#1e8449' },
+  deuteranopia: { good: '#e69f00', bad: '#56b4e9', boss: '#0072b2' },
+  protanopia: { good: '#f0e442', bad: '#0072b2', boss: '#00466e' },
+  tritanopia: { good: '#d55e00', bad: '#009e73', boss: '#005c43' },
+};
+// With reduced motion, bursts have this fraction of their particles, which
+// also move this much slower
+const REDUCED_PARTICLE_FACTOR = 0.25;
+const REDUCED_PARTICLE_SPEED = 0.3;
+// How much of the background a high contrast display blacks out
+const HIGH_CONTRAST_DIM = 0.7;
+// In two‑player games each Vapor, its name tag and its bullets get a colour
+const PLAYER_COLORS = ['#3498db', '#ff9ff3'];
+
+// Timer (in milliseconds) for displaying on‑screen instructions at the
+// beginning of each game. While this timer is > 0, a small banner
+// explaining how to distinguish good (catch) and bad (shoot) bars will appear.
+// The same banner introduces each new level and warns of bosses.
+let instructionTimer = 0;
+let bannerText = '';
+
+// How bars and effects are drawn; see setRenderOptions()
+const renderOptions = {
+  palette: 'standard',
+  highContrast: false,
+  shapes: false,
+  reducedMotion: false,
+};
+
+// Particle system for simple explosion effects when catching or shooting bars
+const particles = [];
+
+// Floating text messages. These display fun feedback when killing or fixing bugs.
+const floatingTexts = [];
+
+// Particles and floating texts that have faded, kept for reuse so bursts
+// don't allocate. Neither list's order matters, so finished effects are
+// removed by swapping the last one into their place (see swapRemove()).
+const particlePool = [];
+const floatingTextPool = [];
+
+// Toasts announcing unlocked achievements, oldest first
+const toasts = [];
+
+// Seconds of game time drawn so far, which drives the sprite animations,
+// the glow and the flicker
+let effectsClock = 0;
+
+// What each player's Vapor is doing: the animation playing, how long (s) it
+// has played and, for hit and celebrate, how long it has left; and which
+// way it last moved
+const playerPoses = [];
+
+// Random source for cosmetic effects. Seeded from the game so a replay looks
+// exactly like the original run, but kept apart from the rules' generator so
+// effects can never change the outcome of a game.
+let effectsRng = ForgeVaporCore.createRng(0);
+
+// The floating texts for a bug destroyed by a projectile ('effect.kill') and
+// for a bug caught by mistake ('effect.fix') are lists in the message
+// catalogues, unless the theme has its own, one line of which is picked at
+// random.
+
+// Colour and canvas icon of every power‑up from core.js; the HUD names are
+// 'powerUp.<name>' in the message catalogues
+const POWER_UP_STYLES = {
+  shield: { color: '#f1c40f', icon: '🛡' },
+  slowMo: { color: '#9b59b6', icon: '🐢' },
+  multiShot: { color: '#3498db', icon: '⚡' },
+  magnet: { color: '#e67e22', icon: '🧲' },
+  timeBonus: { color: '#1abc9c', icon: '⏱' },
+};
+
+// Colours of the floating texts, as "r, g, b"
+const FLOATING_TEXT_COLORS = {
+  kill: '255, 223, 0', // yellow
+  fix: '0, 255, 255', // cyan
+  powerUp: '255, 255, 255',
+  weapon: '255, 140, 0', // orange
+};
+
+// Smoke puffed out by an overheating weapon
+const OVERHEAT_SMOKE_COLOR = '#95a5a6';
+// Radius (px) of the ring that fills over a player's head while a shot
+// charges, and how far above the head it floats
+const CHARGE_RING_RADIUS = 10;
+const CHARGE_RING_GAP = 8;
+// A charged bullet is drawn inside a halo this much larger than itself
+const CHARGED_HALO_SCALE = 1.6;
+
+/**
+ * Clear all effects and show the instruction banner for a new game.
+ * @param {number} seed - the game's seed, used to derive the effects seed
+ */
+function resetEffects(seed) {
+  particlePool.push(...particles);
+  floatingTextPool.push(...floatingTexts);
+  particles.length = 0;
+  floatingTexts.length = 0;
+  toasts.length = 0;
+  playerPoses.length = 0;
+  effectsClock = 0;
+  effectsRng = ForgeVaporCore.createRng(seed ^ 0x9e3779b9);
+  // Show instructions for the first few seconds of play to remind
+  // the player how to distinguish between good and bad bars.
+  showBanner(instructionText(), INSTRUCTION_DURATION);
+}
+
+/**
+ * Change how the game is drawn. Takes effect from the next frame.
+ * @param {object} options
+ * @param {string} [options.palette] - a key of PALETTES
+ * @param {boolean} [options.highContrast] - dim the background, outline bars
+ * @param {boolean} [options.shapes] - large, distinctly shaped bars
+ * @param {boolean} [options.reducedMotion] - fewer, calmer effects
+ */
+function setRenderOptions(options) {
+  Object.assign(renderOptions, options);
+  if (!PALETTES[renderOptions.palette]) renderOptions.palette = 'standard';
+}
+
+/**
+ * Draw with another theme from the next frame on.
+ * @param {object} theme - the default theme or one checked by validateTheme()
+ * @param {object} assets - its images, from loadThemeAssets()
+ */
+function setTheme(theme, assets) {
+  renderTheme = theme;
+  themeAssets = assets;
+}
+
+/**
+ * The bar colours in use: those of the accessibility palette, or the
+ * theme's own in place of the standard ones.
+ * @returns {{good: string, bad: string, boss: string}}
+ */
+function barPalette() {
+  if (renderOptions.palette === 'standard' && renderTheme.palette) return renderTheme.palette;
+  return PALETTES[renderOptions.palette];
+}
+
+/**
+ * The start‑of‑game instructions, naming the bar colours of the palette in
+ * use. A theme's colours that come without names are left unnamed.
+ * @returns {string}
+ */
+function instructionText() {
+  const palette = renderOptions.palette;
+  if (palette === 'standard' && renderTheme.palette) {
+    const { goodName, badName } = renderTheme.palette;
+    if (!goodName || !badName) return t('banner.instructionsSymbols');
+    return t('banner.instructions', { good: goodName, bad: badName });
+  }
+  return t('banner.instructions', { good: t(`palette.${palette}.good`), bad: t(`palette.${palette}.bad`) });
+}
+
+/**
+ * Start a player's hit or celebrate animation.
+ * @param {number} index - the player's index
+ * @param {'hit'|'celebrate'} animation
+ */
+function setPose(index, animation) {
+  const pose = playerPose(index);
+  pose.animation = animation;
+  pose.time = 0;
+  pose.hold = POSE_DURATIONS[animation];
+}
+
+/**
+ * A player's pose, created standing idle.
+ * @param {number} index
+ * @returns {{animation: string, time: number, hold: number, facing: number}}
+ */
+function playerPose(index) {
+  if (!playerPoses[index]) playerPoses[index] = { animation: 'idle', time: 0, hold: 0, facing: 1 };
+  return playerPoses[index];
+}
+
+/**
+ * Pop up a toast, such as an unlocked achievement, below the HUD.
+ * @param {string} title - e.g. 'Achievement unlocked!'
+ * @param {string} text - e.g. the achievement's name
+ */
+function showToast(title, text) {
+  toasts.push({ title: title, text: text, age: 0 });
+}
+
+/**
+ * Show a message in the banner at the bottom of the playfield.
+ * @param {string} text
+ * @param {number} duration - ms, including the fade out
+ */
+function showBanner(text, duration) {
+  bannerText = text;
+  instructionTimer = duration;
+}
+
+/**
+ * Start the visual effects for the events of one simulation step.
+ * @param {object} state - the game state after the step
+ * @param {object[]} events - events returned by ForgeVaporCore.step()
+ */
+function handleRenderEvents(state, events) {
+  const palette = barPalette();
+  const particleColors = renderTheme.particles;
+  events.forEach((event) => {
+    const bar = event.bar;
+    // Effects about a player appear on that player
+    const player = state.players[event.player === undefined ? 0 : event.player];
+    switch (event.type) {
+      case 'bugCaught':
+        setPose(event.player, 'hit');
+        // Explosion in the penalty colour (purple by default)
+        createParticles(player.x + player.width / 2, player.y + player.height / 2, particleColors.penalty);
+        // Floating text effect for accidentally fixing a bug
+        spawnFloatingText(player.x + player.width / 2, player.y, 'fix');
+        break;
+      case 'barCaught':
+        setPose(event.player, 'celebrate');
+        // Explosion in the star colour for a successful catch
+        createParticles(player.x + player.width / 2, player.y + player.height / 2, palette.good);
+        break;
+      case 'bugKilled':
+        // Explosion in the bug colour for a good hit
+        createParticles(bar.x + bar.width / 2, bar.y + bar.height / 2, palette.bad);
+        // Floating text effect for bug kill
+        spawnFloatingText(bar.x + bar.width / 2, bar.y + bar.height / 2, 'kill');
+        break;
+      case 'goodBarShot':
+        // Shooting a good bar simply removes it with a (grey) burst
+        createParticles(bar.x + bar.width / 2, bar.y + bar.height / 2, particleColors.goodBarShot);
+        break;
+      case 'powerUpCaught':
+        setPose(event.player, 'celebrate');
+        // Burst in the power‑up's colour and name what was picked up
+        createParticles(player.x + player.width / 2, player.y + player.height / 2, POWER_UP_STYLES[event.powerUp].color, 12);
+        spawnFloatingText(player.x + player.width / 2, player.y, 'powerUp', t('effect.powerUp', { powerUp: t(`powerUp.${event.powerUp}`) }));
+        break;
+      case 'levelUp':
+        state.players.forEach((p, index) => setPose(index, 'celebrate'));
+        showBanner(
+          event.name ? t('banner.levelNamed', { level: event.level, name: event.name }) : t('banner.level', { level: event.level }),
+          LEVEL_BANNER_DURATION
+        );
+        break;
+      case 'bossSpawned':
+        showBanner(t('banner.boss', { name: event.name, count: event.bar.hits }), LEVEL_BANNER_DURATION);
+        break;
+      case 'bossHit':
+        createParticles(event.bullet.x + event.bullet.width / 2, bar.y + bar.height, palette.bad, 4);
+        break;
+      case 'bossDefeated':
+        createParticles(bar.x + bar.width / 2, bar.y + bar.height / 2, palette.bad, 24);
+        spawnFloatingText(bar.x + bar.width / 2, bar.y + bar.height / 2, 'kill');
+        break;
+      case 'bossEscaped':
+        setPose(event.player, 'hit');
+        createParticles(player.x + player.width / 2, player.y + player.height / 2, particleColors.penalty, 24);
+        spawnFloatingText(player.x + player.width / 2, player.y, 'fix');
+        break;
+      case 'shieldBlocked':
+        setPose(event.player, 'hit');
+        createParticles(player.x + player.width / 2, player.y + player.height / 2, POWER_UP_STYLES.shield.color);
+        spawnFloatingText(player.x + player.width / 2, player.y, 'powerUp', t('effect.blocked'));
+        break;
+      case 'playerOut':
+        createParticles(player.x + player.width / 2, player.y + player.height / 2, PLAYER_COLORS[event.player], 24);
+        spawnFloatingText(player.x + player.width / 2, player.y, 'fix', t('effect.playerOut', { name: player.name }));
+        break;
+      case 'overheated':
+        createParticles(player.x + player.width / 2, player.y, OVERHEAT_SMOKE_COLOR, 12);
+        spawnFloatingText(player.x + player.width / 2, player.y, 'weapon', t('effect.overheated'));
+        break;
+      case 'weaponUpgraded':
+        state.players.forEach((p) => {
+          if (p.out) return;
+          spawnFloatingText(
+            p.x + p.width / 2,
+            p.y - CHARGE_RING_GAP * 4,
+            'weapon',
+            t('effect.weaponUpgraded', { level: event.ruleLevel, pattern: t(`weapon.${event.pattern}`) })
+          );
+        });
+        break;
+    }
+  });
+}
+
+/**
+ * Spawn a floating text at the given position. The text will float upward
+ * and fade out over time. Unless a text is given, a random message is
+ * chosen based on the type, from the theme's lines if it has any.
+ * @param {number} x - x position where the text starts
+ * @param {number} y - y position where the text starts
+ * @param {'kill'|'fix'|'powerUp'|'weapon'} type - what the text is about; sets its colour
+ * @param {string} [text] - the text to show
+ */
+function spawnFloatingText(x, y, type, text) {
+  if (text === undefined) {
+    const key = type === 'kill' ? 'kill' : 'fix';
+    const messages = renderTheme.messages[key] || tList(`effect.${key}`);
+    text = messages[Math.floor(effectsRng() * messages.length)];
+  }
+  // With reduced motion texts fade where they appear instead of floating off
+  const vy = renderOptions.reducedMotion ? 0 : FLOATING_TEXT_SPEED;
+  const ft = floatingTextPool.pop() || {};
+  ft.x = x;
+  ft.y = y;
+  ft.prevY = y;
+  ft.text = text;
+  ft.color = FLOATING_TEXT_COLORS[type];
+  ft.alpha = 1;
+  ft.vy = vy;
+  floatingTexts.push(ft);
+}
+
+/**
+ * Create a burst of particles at a given position and colour. Particles
+ * gradually fade out and shrink as they move. Reduced motion makes the burst
+ * smaller and slower.
+ * @param {number} x
+ * @param {number} y
+ * @param {string} color - Base colour in hex (e.g. '#e74c3c')
+ * @param {number} count - Number of particles to spawn
+ */
+function createParticles(x, y, color, count = 8) {
+  // Convert hex colour to RGB
+  const hex = color.replace('#', '');
+  const r = parseInt(hex.substring(0, 2), 16);
+  const g = parseInt(hex.substring(2, 4), 16);
+  const b = parseInt(hex.substring(4, 6), 16);
+  const reduced = renderOptions.reducedMotion;
+  const total = reduced ? Math.ceil(count * REDUCED_PARTICLE_FACTOR) : count;
+  for (let i = 0; i < total; i++) {
+    const angle = effectsRng() * Math.PI * 2;
+    const speed = (60 + effectsRng() * 120) * (reduced ? REDUCED_PARTICLE_SPEED : 1); // pixels per second
+    const p = particlePool.pop() || {};
+    p.x = x;
+    p.y = y;
+    p.prevX = x;
+    p.prevY = y;
+    p.vx = Math.cos(angle) * speed;
+    p.vy = Math.sin(angle) * speed;
+    p.alpha = 1;
+    p.radius = 4 + effectsRng() * 3;
+    p.r = r;
+    p.g = g;
+    p.b = b;
+    particles.push(p);
+  }
+}
+
+/**
+ * Remove an entry from a list whose order doesn't matter by moving the last
+ * entry into its place, and keep it in a pool for reuse.
+ * @param {object[]} list
+ * @param {number} index
+ * @param {object[]} pool
+ */
+function swapRemove(list, index, pool) {
+  pool.push(list[index]);
+  list[index] = list[list.length - 1];
+  list.pop();
+}
+
+/**
+ * Advance the visual effects by one fixed simulation step.
+ * @param {number} delta - step length (ms)
+ * @param {object} state - the game state after the step
+ */
+function updateEffects(delta, state) {
+  const dt = delta / 1000;
+  effectsClock += dt;
+
+  // Once a hit or celebration is over the Vapor moves or idles, facing the
+  // way it last went
+  state.players.forEach((player, index) => {
+    const pose = playerPose(index);
+    const speed = (player.x - player.prevX) / dt;
+    if (Math.abs(speed) > POSE_MOVE_SPEED) pose.facing = Math.sign(speed);
+    pose.hold -= dt;
+    if (pose.hold <= 0) {
+      const animation = Math.abs(speed) > POSE_MOVE_SPEED ? 'move' : 'idle';
+      if (pose.animation !== animation) {
+        pose.animation = animation;
+        pose.time = 0;
+      }
+    }
+    pose.time += dt;
+  });
+
+  // Decrease instruction timer if active
+  if (instructionTimer > 0) {
+    instructionTimer -= delta;
+    if (instructionTimer < 0) instructionTimer = 0;
+  }
+
+  // Update particles: move, fade and remove when invisible
+  for (let pi = particles.length - 1; pi >= 0; pi--) {
+    const p = particles[pi];
+    p.prevX = p.x;
+    p.prevY = p.y;
+    p.x += p.vx * dt;
+    p.y += p.vy * dt;
+    p.alpha -= PARTICLE_FADE_RATE * dt;
+    p.radius *= Math.pow(PARTICLE_SHRINK_FACTOR, dt);
+    if (p.alpha <= 0 || p.radius <= 0.5) {
+      // Walking backwards, the entry swapped in has already been updated
+      swapRemove(particles, pi, particlePool);
+    }
+  }
+
+  // Update floating texts: move upward and fade out. Remove when invisible.
+  for (let fi = floatingTexts.length - 1; fi >= 0; fi--) {
+    const ft = floatingTexts[fi];
+    ft.prevY = ft.y;
+    ft.y -= ft.vy * dt;
+    ft.alpha -= FLOATING_TEXT_FADE_RATE * dt;
+    if (ft.alpha <= 0) {
+      swapRemove(floatingTexts, fi, floatingTextPool);
+    }
+  }
+
+  // Age toasts and drop the ones that have had their time
+  for (let ti = toasts.length - 1; ti >= 0; ti--) {
+    toasts[ti].age += delta;
+    if (toasts[ti].age >= TOAST_DURATION) toasts.splice(ti, 1);
+  }
+}
+
+/**
+ * Linearly interpolate between two values.
+ * @param {number} from
+ * @param {number} to
+ * @param {number} t - blend factor between 0 and 1
+ * @returns {number}
+ */
+function lerp(from, to, t) {
+  return from + (to - from) * t;
+}
+
+/**
+ * Draw one Vapor in its current pose, its shield if raised and, in
+ * two‑player games, a name tag in its colour. Without a player image it is
+ * a plain block.
+ * @param {object} player
+ * @param {number} x - interpolated position
+ * @param {number} poseIndex - the player's index
+ * @param {number|null} index - the player's index, or null in a one‑player game
+ */
+function drawPlayer(player, x, poseIndex, index) {
+  const pose = playerPose(poseIndex);
+  if (themeAssets.player) {
+    // Moving left mirrors the move animation; reduced motion holds each
+    // animation on its first frame
+    drawSprite(
+      themeAssets.player,
+      pose.animation,
+      renderOptions.reducedMotion ? 0 : pose.time,
+      x,
+      player.y,
+      player.width,
+      player.height,
+      pose.animation === 'move' && pose.facing < 0
+    );
+  } else {
+    ctx.fillStyle = PLAYER_COLORS[index === null ? 0 : index];
+    ctx.fillRect(x, player.y, player.width, player.height);
+  }
+  if (index !== null) {
+    ctx.fillStyle = PLAYER_COLORS[index];
+    ctx.fillRect(x, player.y + player.height + 2, player.width, 4);
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(player.name, x + player.width / 2, player.y - 8);
+    ctx.textAlign = 'left';
+  }
+  // A raised shield glows around the player
+  if (player.powerUps.shield > 0) {
+    ctx.strokeStyle = 'rgba(241, 196, 15, 0.8)';
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.ellipse(
+      x + player.width / 2,
+      player.y + player.height / 2,
+      player.width * 0.7,
+      player.height * 0.6,
+      0,
+      0,
+      Math.PI * 2
+    );
+    ctx.stroke();
+  }
+  // A charging shot fills a ring over the player's head, which turns solid
+  // once the shot is ready
+  const charge = player.weapon.charge / ForgeVaporCore.CHARGE_TIME;
+  if (charge > 0) {
+    const ringY = player.y - CHARGE_RING_RADIUS - CHARGE_RING_GAP - (index !== null ? 16 : 0);
+    ctx.strokeStyle = charge === 1 ? '#ffffff' : 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = charge === 1 ? 4 : 3;
+    ctx.beginPath();
+    ctx.arc(x + player.width / 2, ringY, CHARGE_RING_RADIUS, -Math.PI / 2, -Math.PI / 2 + charge * Math.PI * 2);
+    ctx.stroke();
+  }
+}
+
+/**
+ * Draw a frame of a sprite into a box. Frames with padding are drawn that
+ * much larger, so the figure itself fills the box.
+ * @param {object} sprite - from createSprite()
+ * @param {string} animation
+ * @param {number} time - seconds since the animation started
+ * @param {number} x
+ * @param {number} y
+ * @param {number} w
+ * @param {number} h
+ * @param {boolean} [mirrored=false] - flip horizontally
+ */
+function drawSprite(sprite, animation, time, x, y, w, h, mirrored = false) {
+  const { sx, sy } = spriteFrame(sprite, animation, time);
+  const dx = x - w * sprite.padding;
+  const dy = y - h * sprite.padding;
+  const dw = w * (1 + 2 * sprite.padding);
+  const dh = h * (1 + 2 * sprite.padding);
+  if (mirrored) {
+    ctx.save();
+    ctx.translate(dx + dw, dy);
+    ctx.scale(-1, 1);
+    ctx.drawImage(sprite.image, sx, sy, sprite.frameWidth, sprite.frameHeight, 0, 0, dw, dh);
+    ctx.restore();
+  } else {
+    ctx.drawImage(sprite.image, sx, sy, sprite.frameWidth, sprite.frameHeight, dx, dy, dw, dh);
+  }
+}
+
+/**
+ * Give the canvas a backing store of the given number of device pixels per
+ * game coordinate, so it stays sharp at whatever size it is shown. Resizing
+ * wipes the canvas, so the last frame is drawn again.
+ * @param {number} pixelRatio
+ */
+function resizeCanvas(pixelRatio) {
+  const width = Math.round(VIEW_WIDTH * pixelRatio);
+  const height = Math.round(VIEW_HEIGHT * pixelRatio);
+  if (canvas.width === width && canvas.height === height) return;
+  canvas.width = width;
+  canvas.height = height;
+  canvasPixelRatio = width / VIEW_WIDTH;
+  if (lastDrawn) draw(lastDrawn.state, lastDrawn.alpha);
+}
+
+/**
+ * Draw the game world to the canvas. Moving objects are drawn between their
+ * previous and current simulated positions so motion looks smooth even when
+ * the display refresh rate does not match the simulation rate.
+ * @param {object} state - game state from ForgeVaporCore
+ * @param {number} [alpha=1] - how far (0–1) we are between the last step and the next
+ */
+function draw(state, alpha = 1) {
+  lastDrawn = { state: state, alpha: alpha };
+  const twoPlayers = state.players.length > 1;
+  // Clear canvas
+  ctx.setTransform(canvasPixelRatio, 0, 0, canvasPixelRatio, 0, 0);
+  ctx.clearRect(0, 0, VIEW_WIDTH, VIEW_HEIGHT);
+  // Draw the theme's background (the forge) scaled to the playfield
+  if (themeAssets.background) {
+    ctx.drawImage(themeAssets.background, 0, 0, VIEW_WIDTH, VIEW_HEIGHT);
+  }
+  // High contrast blacks out most of the busy background
+  if (renderOptions.highContrast) {
+    ctx.fillStyle = `rgba(0, 0, 0, ${HIGH_CONTRAST_DIM})`;
+    ctx.fillRect(0, 0, VIEW_WIDTH, VIEW_HEIGHT);
+  }
+  // Draw falling bars, bosses separately
+  state.bars.forEach((bar) => {
+    const barY = lerp(bar.prevY, bar.y, alpha);
+    const barX = lerp(bar.prevX, bar.x, alpha);
+    if (bar.type === 'boss') {
+      drawBoss(bar, barX, barY);
+    } else {
+      drawBar(bar, barX, barY);
+    }
+  });
+
+  // Draw phpstan bullets in the theme's colour and shape, or in two‑player
+  // games in their player's colour. Charged ones glow.
+  const bulletStyle = renderTheme.bullet;
+  state.bullets.forEach((bullet) => {
+    const cx = lerp(bullet.prevX, bullet.x, alpha) + bullet.width / 2;
+    const cy = lerp(bullet.prevY, bullet.y, alpha) + bullet.height / 2;
+    ctx.fillStyle = twoPlayers ? PLAYER_COLORS[bullet.owner] : bulletStyle.color;
+    if (bullet.charged) {
+      ctx.globalAlpha = 0.35;
+      drawBullet(cx, cy, (bullet.width / 2) * CHARGED_HALO_SCALE, bulletStyle.shape);
+      ctx.globalAlpha = 1;
+    }
+    drawBullet(cx, cy, bullet.width / 2, bulletStyle.shape);
+  });
+
+  // Draw particles
+  particles.forEach((p) => {
+    ctx.fillStyle = `rgba(${p.r},${p.g},${p.b},${p.alpha.toFixed(2)})`;
+    ctx.beginPath();
+    ctx.arc(lerp(p.prevX, p.x, alpha), lerp(p.prevY, p.y, alpha), p.radius, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  // Draw the players (vapor characters); knocked out ones leave the field
+  state.players.forEach((player, index) => {
+    if (!player.out) drawPlayer(player, lerp(player.prevX, player.x, alpha), index, twoPlayers ? index : null);
+  });
+
+  // Draw floating texts. Use bold colours to stand out: kill messages in
+  // yellow, fix in cyan, power‑ups in white. The alpha channel controls opacity.
+  floatingTexts.forEach((ft) => {
+    ctx.font = 'bold 16px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = `rgba(${ft.color}, ${ft.alpha.toFixed(2)})`;
+    ctx.fillText(ft.text, ft.x, lerp(ft.prevY, ft.y, alpha));
+  });
+
+  // If the instruction timer is active, overlay a small banner at the top
+  // explaining how to interact with the bars. This helps clarify which
+  // bars should be caught versus shot. The banner fades out as the timer
+  // approaches zero.
+  if (instructionTimer > 0) {
+    // Compute opacity based on remaining time. The banner fades during the last
+    // two seconds of its lifetime.
+    const bannerAlpha = Math.min(1, instructionTimer / 2000);
+    const bannerHeight = 42;
+    const bannerY = VIEW_HEIGHT - bannerHeight; // position at bottom
+    ctx.fillStyle = `rgba(0, 0, 0, ${0.7 * bannerAlpha})`;
+    ctx.fillRect(0, bannerY, VIEW_WIDTH, bannerHeight);
+    ctx.fillStyle = `rgba(255, 255, 255, ${bannerAlpha})`;
+    ctx.font = 'bold 16px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(bannerText, VIEW_WIDTH / 2, bannerY + bannerHeight / 2);
+    // Restore defaults
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+  }
+
+  toasts.forEach((toast, index) => drawToast(toast, index));
+}
+
+/**
+ * Fill a bullet's shape around its centre.
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} radius - half the bullet's width
+ * @param {'circle'|'square'|'diamond'} shape
+ */
+function drawBullet(cx, cy, radius, shape) {
+  ctx.beginPath();
+  if (shape === 'square') {
+    ctx.rect(cx - radius, cy - radius, radius * 2, radius * 2);
+  } else if (shape === 'diamond') {
+    ctx.moveTo(cx, cy - radius);
+    ctx.lineTo(cx + radius, cy);
+    ctx.lineTo(cx, cy + radius);
+    ctx.lineTo(cx - radius, cy);
+    ctx.closePath();
+  } else {
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+  }
+  ctx.fill();
+}
+
+/**
+ * Draw a toast: a dark card with a trophy, a title and a text. It drops in
+ * from above (or, with reduced motion, simply appears) and fades out at the
+ * end of its time. Several toasts stack downwards.
+ * @param {object} toast
+ * @param {number} index - position in the stack
+ */
+function drawToast(toast, index) {
+  const slide = renderOptions.reducedMotion ? 1 : Math.min(1, toast.age / TOAST_SLIDE_TIME);
+  const fade = Math.min(1, (TOAST_DURATION - toast.age) / TOAST_FADE_TIME);
+  const toastAlpha = Math.min(slide, fade);
+  const x = (VIEW_WIDTH - TOAST_WIDTH) / 2;
+  const y = TOAST_TOP + index * (TOAST_HEIGHT + 8) - (1 - slide) * 30;
+  ctx.fillStyle = `rgba(20, 20, 30, ${0.85 * toastAlpha})`;
+  ctx.fillRect(x, y, TOAST_WIDTH, TOAST_HEIGHT);
+  ctx.strokeStyle = `rgba(241, 196, 15, ${toastAlpha})`;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(x, y, TOAST_WIDTH, TOAST_HEIGHT);
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'center';
+  ctx.font = '28px Arial';
+  ctx.fillStyle = `rgba(255, 255, 255, ${toastAlpha})`;
+  ctx.fillText('🏆', x + 30, y + TOAST_HEIGHT / 2);
+  ctx.textAlign = 'left';
+  ctx.font = 'bold 13px Arial';
+  ctx.fillStyle = `rgba(241, 196, 15, ${toastAlpha})`;
+  ctx.fillText(toast.title, x + 58, y + 18);
+  ctx.font = 'bold 17px Arial';
+  ctx.fillStyle = `rgba(255, 255, 255, ${toastAlpha})`;
+  ctx.fillText(toast.text, x + 58, y + 38);
+  ctx.textBaseline = 'alphabetic';
+}
+
+/**
+ * Draw a falling bar with a simple pseudo‑3D effect: bars start smaller and
+ * darker near the top and grow as they fall, giving a sense of depth. Good
+ * and bad bars take their colours from the palette, power‑ups their own
+ * colour; good bars glow and bugs flicker now and then, unless motion is
+ * reduced. A theme's bar sprites replace the plain bars in the standard
+ * palette. With distinct shapes the bars keep their full size, good bars are
+ * rounded and bugs get jagged, hatched edges; high contrast drops the depth
+ * shading and outlines every bar.
+ * @param {object} bar
+ * @param {number} x - interpolated position
+ * @param {number} y
+ */
+function drawBar(bar, x, y) {
+  const palette = barPalette();
+  const { shapes, highContrast } = renderOptions;
+  const scale = shapes ? 1 : 0.5 + (y / VIEW_HEIGHT) * 0.5;
+  const w = bar.width * scale;
+  const h = bar.height * scale;
+  const drawX = x + (bar.width - w) / 2;
+  const drawY = y + (bar.height - h) / 2;
+  // The glow, the flicker and sprites would blur what the accessibility
+  // options set out to make clear
+  const plain = !shapes && !highContrast;
+  const lively = plain && !renderOptions.reducedMotion;
+  let lighten = highContrast ? 1 : 0.4 + (y / VIEW_HEIGHT) * 0.6;
+  if (lively && bar.type === 'bad' && bugFlickers(bar)) lighten *= BUG_FLICKER_DIM;
+  let hex;
+  if (bar.type === 'bad') {
+    hex = palette.bad;
+  } else if (bar.type === 'good') {
+    hex = palette.good;
+  } else {
+    hex = POWER_UP_STYLES[bar.type].color;
+  }
+  const r = Math.min(255, Math.floor(parseInt(hex.substring(1, 3), 16) * lighten));
+  const g = Math.min(255, Math.floor(parseInt(hex.substring(3, 5), 16) * lighten));
+  const b = Math.min(255, Math.floor(parseInt(hex.substring(5, 7), 16) * lighten));
+
+  if (plain && bar.type === 'good') {
+    // A soft halo that pulses, out of step with the other bars
+    const pulse = lively ? 0.5 + 0.5 * Math.sin(effectsClock * BAR_GLOW_RATE + bar.baseX) : 0.5;
+    ctx.fillStyle = `rgba(${r},${g},${b},${(0.15 + 0.25 * pulse).toFixed(2)})`;
+    ctx.fillRect(drawX - BAR_GLOW_SIZE, drawY - BAR_GLOW_SIZE, w + BAR_GLOW_SIZE * 2, h + BAR_GLOW_SIZE * 2);
+  }
+  ctx.fillStyle = `rgb(${r},${g},${b})`;
+
+  const sprite = plain && renderOptions.palette === 'standard'
+    ? { good: themeAssets.goodBar, bad: themeAssets.badBar }[bar.type]
+    : null;
+  if (sprite) {
+    drawSprite(sprite, 'idle', lively ? effectsClock : 0, drawX, drawY, w, h);
+  } else if (shapes && bar.type === 'bad') {
+    // A bug: zigzag top and bottom edges and diagonal hatching
+    barOutlinePath(drawX, drawY, w, h, 'jagged');
+    ctx.fill();
+    ctx.save();
+    ctx.clip();
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    for (let stripe = -h; stripe < w; stripe += 10) {
+      ctx.moveTo(drawX + stripe, drawY + h);
+      ctx.lineTo(drawX + stripe + h, drawY);
+    }
+    ctx.stroke();
+    ctx.restore();
+  } else if (shapes && bar.type === 'good') {
+    // A star: a smooth, rounded pill
+    barOutlinePath(drawX, drawY, w, h, 'round');
+    ctx.fill();
+  } else {
+    barOutlinePath(drawX, drawY, w, h, 'rect');
+    ctx.fill();
+  }
+  if (highContrast) {
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+
+  // Overlay a symbol to help the player distinguish between good and bad bars.
+  // Good bars display a plus sign (catch), bad bars display a cross (avoid).
+  ctx.strokeStyle = highContrast ? '#000000' : 'rgba(255,255,255,0.8)';
+  ctx.lineWidth = shapes ? 4 : 2;
+  const centerX = drawX + w / 2;
+  const centerY = drawY + h / 2;
+  const size = Math.min(w, h) * (shapes ? 0.8 : 0.5); // relative size of symbol
+  if (POWER_UP_STYLES[bar.type]) {
+    // Power‑ups show their icon
+    ctx.font = `${Math.round(h * 0.9)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(POWER_UP_STYLES[bar.type].icon, centerX, centerY);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+  } else if (bar.type === 'bad') {
+    // Draw a cross
+    ctx.beginPath();
+    ctx.moveTo(centerX - size / 2, centerY - size / 2);
+    ctx.lineTo(centerX + size / 2, centerY + size / 2);
+    ctx.moveTo(centerX + size / 2, centerY - size / 2);
+    ctx.lineTo(centerX - size / 2, centerY + size / 2);
+    ctx.stroke();
+  } else {
+    // Draw a plus
+    ctx.beginPath();
+    ctx.moveTo(centerX - size / 2, centerY);
+    ctx.lineTo(centerX + size / 2, centerY);
+    ctx.moveTo(centerX, centerY - size / 2);
+    ctx.lineTo(centerX, centerY + size / 2);
+    ctx.stroke();
+  }
+}
+
+/**
+ * Whether a bug is dimmed by its flicker right now. Each bug flickers at
+ * its own moments, about one tick in seven.
+ * @param {object} bar
+ * @returns {boolean}
+ */
+function bugFlickers(bar) {
+  const tick = Math.floor(effectsClock * BUG_FLICKER_RATE);
+  return ((Math.imul(tick, 2654435761) ^ Math.floor(bar.baseX)) >>> 0) % 7 === 0;
+}
+
+/**
+ * Start a path around a bar: a plain rectangle, a pill with round ends or a
+ * rectangle with zigzag top and bottom edges.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} w
+ * @param {number} h
+ * @param {'rect'|'round'|'jagged'} shape
+ */
+function barOutlinePath(x, y, w, h, shape) {
+  ctx.beginPath();
+  if (shape === 'round') {
+    const radius = h / 2;
+    ctx.moveTo(x + radius, y);
+    ctx.lineTo(x + w - radius, y);
+    ctx.arc(x + w - radius, y + radius, radius, -Math.PI / 2, Math.PI / 2);
+    ctx.lineTo(x + radius, y + h);
+    ctx.arc(x + radius, y + radius, radius, Math.PI / 2, Math.PI * 1.5);
+  } else if (shape === 'jagged') {
+    const teeth = 5;
+    const tooth = w / teeth;
+    const depth = h * 0.25;
+    ctx.moveTo(x, y);
+    for (let i = 0; i < teeth; i++) {
+      ctx.lineTo(x + (i + 0.5) * tooth, y + depth);
+      ctx.lineTo(x + (i + 1) * tooth, y);
+    }
+    ctx.lineTo(x + w, y + h);
+    for (let i = teeth - 1; i >= 0; i--) {
+      ctx.lineTo(x + (i + 0.5) * tooth, y + h - depth);
+      ctx.lineTo(x + i * tooth, y + h);
+    }
+  } else {
+    ctx.rect(x, y, w, h);
+  }
+  ctx.closePath();
+}
+
+/**
+ * Draw a boss bug: a large bar in a darker shade of the bug colour with its name and a pip for every
+ * hit it can still take.
+ * @param {object} boss - the boss bar
+ * @param {number} x - interpolated position
+ * @param {number} y
+ */
+function drawBoss(boss, x, y) {
+  const palette = barPalette();
+  ctx.fillStyle = palette.boss;
+  ctx.fillRect(x, y, boss.width, boss.height);
+  ctx.strokeStyle = renderOptions.highContrast ? '#ffffff' : palette.bad;
+  ctx.lineWidth = 3;
+  ctx.strokeRect(x, y, boss.width, boss.height);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 14px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`× ${boss.name}`, x + boss.width / 2, y + boss.height / 2 - 5);
+  // Remaining hits along the bottom edge
+  const pip = Math.min(10, (boss.width - 10) / boss.maxHits);
+  const pipsX = x + (boss.width - pip * boss.maxHits) / 2;
+  for (let i = 0; i < boss.maxHits; i++) {
+    ctx.fillStyle = i < boss.hits ? '#f1c40f' : 'rgba(255, 255, 255, 0.25)';
+    ctx.fillRect(pipsX + i * pip + 1, y + boss.height - 9, pip - 2, 5);
+  }
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+}
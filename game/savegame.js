@@ -0,0 +1,195 @@
+/*
+ * Saving and resuming the game in progress for the Forge & Vapor mini‑game.
+ *
+ * A live game is written to localStorage every few seconds, whenever it is
+ * paused and when the page is left, together with its recording and the
+ * achievement, statistics and Daily Challenge tallies of the run, so
+ * closing or reloading the tab no longer loses it. The start screen then
+ * offers to resume it; it comes back paused (see restoreSavedGame() in
+ * script.js). Saves carry a version of their own and the replay version of
+ * the rules that made them: anything else is discarded with a note instead
+ * of being played by rules it wasn't made for. A recording too long to save
+ * is given up, so the game can still be saved but no longer replayed, and
+ * a game that can't be saved at all is not offered later from an older
+ * save; the pause screen says so. Finishing, quitting or starting another
+ * game forgets the save. Replays, stress tests and games changed from the
+ * debug console are never saved. Loaded after debug.js and before
+ * script.js, which shows the option once it has loaded (see
+ * renderSavedGame()).
+ */
+
+const SAVED_GAME_STORAGE_KEY = 'forgeVaporSavedGame';
+const SAVED_GAME_VERSION = 3;
+// How often a game in progress is saved (ms of real time)
+const AUTOSAVE_INTERVAL = 5000;
+// Longest save written (characters). A recording grows by about 0.7 KB per
+// second of play; beyond this its steps are dropped, which keeps saves well
+// within the roughly 5 MB browsers allow localStorage.
+const SAVED_GAME_MAX_LENGTH = 1000000;
+
+const resumeSavedBtn = document.getElementById('resume-saved-btn');
+const savedGameStatusEl = document.getElementById('saved-game-status');
+const saveStatusEl = document.getElementById('save-status');
+
+// The checked save offered on the start screen, from readSavedGame()
+let savedGame = null;
+let lastAutosaveTime = 0;
+
+/**
+ * Whether the game on screen is one to save: a live game in progress that
+ * is still being recorded.
+ * @returns {boolean}
+ */
+function isGameSavable() {
+  return gameRunning && !replay && currentRecording !== null;
+}
+
+/**
+ * The game in progress as it is saved.
+ * @returns {string} JSON
+ */
+function serializeCurrentGame() {
+  return JSON.stringify({
+    version: SAVED_GAME_VERSION,
+    replayVersion: REPLAY_VERSION,
+    savedAt: new Date().toISOString(),
+    game: game,
+    recording: currentRecording,
+    stats: runStats,
+    achievements: achievementRun,
+    daily: dailyRun,
+  });
+}
+
+/**
+ * Write the game in progress to localStorage, if it is one to save. Once
+ * the save grows past SAVED_GAME_MAX_LENGTH the recording is cut short (see
+ * partial in script.js): the game stays saved and scored but can't be
+ * replayed. When the storage refuses the save, the previous one is removed
+ * rather than offered later, and the player is told on the pause screen.
+ */
+function saveCurrentGame() {
+  if (!isGameSavable()) return;
+  lastAutosaveTime = performance.now();
+  let data = serializeCurrentGame();
+  if (data.length > SAVED_GAME_MAX_LENGTH) {
+    currentRecording.partial = true;
+    currentRecording.steps.length = 0;
+    data = serializeCurrentGame();
+  }
+  try {
+    localStorage.setItem(SAVED_GAME_STORAGE_KEY, data);
+  } catch (err) {
+    localStorage.removeItem(SAVED_GAME_STORAGE_KEY);
+    showSaveStatus(t('savedGame.saveFailed'));
+    return;
+  }
+  showSaveStatus(currentRecording.partial ? t('savedGame.noReplay') : '');
+}
+
+/**
+ * Say on the pause screen how saving went, reading out anything new.
+ * @param {string} text - empty when all is well
+ */
+function showSaveStatus(text) {
+  if (text && text !== saveStatusEl.textContent) announce(text);
+  saveStatusEl.textContent = text;
+}
+
+/**
+ * Save the game in progress once AUTOSAVE_INTERVAL has passed since the last
+ * save. Called every frame.
+ * @param {DOMHighResTimeStamp} now
+ */
+function autosaveGame(now) {
+  if (now - lastAutosaveTime >= AUTOSAVE_INTERVAL) saveCurrentGame();
+}
+
+/**
+ * Forget the saved game.
+ */
+function clearSavedGame() {
+  savedGame = null;
+  localStorage.removeItem(SAVED_GAME_STORAGE_KEY);
+  showSaveStatus('');
+}
+
+/**
+ * Read the saved game and check that this version of the game can carry on
+ * with it. One that can't is removed.
+ * @returns {{saved: object|null, problem: string|null}} the save with its
+ *   game restored by ForgeVaporCore.restoreGame(), or why it was discarded
+ */
+function readSavedGame() {
+  let data;
+  try {
+    data = JSON.parse(localStorage.getItem(SAVED_GAME_STORAGE_KEY));
+  } catch (err) {
+    data = undefined;
+  }
+  if (data === null) return { saved: null, problem: null };
+  let problem = null;
+  if (!data || typeof data !== 'object') {
+    problem = t('savedGame.damaged');
+  } else if (data.version !== SAVED_GAME_VERSION || data.replayVersion !== REPLAY_VERSION) {
+    problem = t('savedGame.incompatible');
+  } else {
+    data.game = ForgeVaporCore.restoreGame(data.game);
+    // The recording has to cover exactly the steps played so far, unless it
+    // was cut short
+    const recordingOk = validateRecording(data.recording) === null &&
+      data.recording.version === REPLAY_VERSION &&
+      data.game !== null &&
+      (data.recording.partial === true
+        ? data.recording.steps.length <= data.game.steps
+        : data.recording.steps.length === data.game.steps);
+    if (!recordingOk) problem = t('savedGame.damaged');
+  }
+  if (problem) {
+    localStorage.removeItem(SAVED_GAME_STORAGE_KEY);
+    return { saved: null, problem: problem };
+  }
+  return { saved: data, problem: null };
+}
+
+/**
+ * Offer the saved game on the start screen, described by where it stood,
+ * or explain why a save had to be discarded.
+ */
+function renderSavedGame() {
+  const { saved, problem } = readSavedGame();
+  savedGame = saved;
+  resumeSavedBtn.classList.toggle('hidden', !saved);
+  resumeSavedBtn.disabled = !assetsReady();
+  if (!saved) {
+    savedGameStatusEl.textContent = problem || '';
+    return;
+  }
+  const state = saved.game;
+  savedGameStatusEl.textContent = t('savedGame.summary', {
+    mode: gameModeLabel(state.mode),
+    level: state.level,
+    count: state.score,
+    date: new Date(saved.savedAt).toLocaleString(currentLocale(), { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' }),
+  });
+}
+
+/**
+ * Hook up saving on leaving the page and the resume button.
+ */
+function initSavedGames() {
+  // pagehide also covers mobile browsers, which may skip beforeunload
+  window.addEventListener('beforeunload', saveCurrentGame);
+  window.addEventListener('pagehide', saveCurrentGame);
+  resumeSavedBtn.addEventListener('click', () => {
+    if (savedGame) restoreSavedGame(savedGame);
+  });
+  onAssetsChange(() => {
+    resumeSavedBtn.disabled = !assetsReady();
+  });
+  onLocaleChange(() => {
+    if (!startScreen.classList.contains('hidden')) renderSavedGame();
+  });
+}
+
+initSavedGames();
@@ -3,11 +3,13 @@
  * trying to catch glowing metal bars that fall from a friendly forge.
  * The game runs for 60 seconds, and each missed bar costs a life.
  * Catch as many bars as you can to set a high score!
+ *
+ * This file wires the page together: it turns mouse and keyboard input into
+ * steps of the rules in core.js, hands the results to renderer.js and keeps
+ * the HUD, overlays, replays and high scores up to date.
  */
 
-// Obtain references to DOM elements
-const canvas = document.getElementById('gameCanvas');
-const ctx = canvas.getContext('2d');
+// Obtain references to DOM elements. The canvas itself is owned by renderer.js.
 const startBtn = document.getElementById('start-btn');
 const restartBtn = document.getElementById('restart-btn');
 const startScreen = document.getElementById('start-screen');
@@ -18,43 +20,36 @@ const timeEl = document.getElementById('time');
 const livesEl = document.getElementById('lives');
 const playerNameEl = document.getElementById('player-name');
 const gameOverHeadingEl = document.getElementById('game-over-heading');
-const highScoresListEl = document.getElementById('high-scores-list');
 const levelEl = document.getElementById('level');
+const powerUpsEl = document.getElementById('power-ups');
+const weaponLabelEl = document.getElementById('weapon-label');
+const weaponEl = document.getElementById('weapon');
+const heatMeterEl = document.getElementById('heat-meter');
 const helpBtn = document.getElementById('help-btn');
 const helpScreen = document.getElementById('help-screen');
 const closeHelpBtn = document.getElementById('close-help-btn');
-
-// Load high scores from localStorage
-let highScores = [];
-try {
-  const stored = localStorage.getItem('forgeVaporHighScores');
-  if (stored) highScores = JSON.parse(stored);
-} catch (err) {
-  highScores = [];
-}
-
-/**
- * Save the current high scores to localStorage for persistence across sessions.
- */
-function saveHighScores() {
-  localStorage.setItem('forgeVaporHighScores', JSON.stringify(highScores));
-}
-
-/**
- * Render the list of high scores into the start screen.
- */
-function renderHighScores() {
-  if (!highScoresListEl) return;
-  highScoresListEl.innerHTML = '';
-  highScores.forEach(({ name, score }) => {
-    const li = document.createElement('li');
-    li.textContent = `${name}: ${score} stars`;
-    highScoresListEl.appendChild(li);
-  });
-}
-
-// Initial render of high scores
-renderHighScores();
+const pauseBtn = document.getElementById('pause-btn');
+const pauseScreen = document.getElementById('pause-screen');
+const resumeBtn = document.getElementById('resume-btn');
+const pauseRestartBtn = document.getElementById('pause-restart-btn');
+const quitBtn = document.getElementById('quit-btn');
+const watchReplayBtn = document.getElementById('watch-replay-btn');
+const exportReplayBtn = document.getElementById('export-replay-btn');
+const importReplayBtn = document.getElementById('import-replay-btn');
+const replayFileInput = document.getElementById('replay-file-input');
+const replayStatusEl = document.getElementById('replay-status');
+const replayIndicatorEl = document.getElementById('replay-indicator');
+const settingsSummaryEl = document.getElementById('game-settings-summary');
+const nameEntryForm = document.getElementById('name-entry');
+const playerNameInput = document.getElementById('player-name-input');
+const nameEntryStatusEl = document.getElementById('name-entry-status');
+const levelsStatusEl = document.getElementById('levels-status');
+const levelsProblemsEl = document.getElementById('levels-problems');
+const playerLabelEl = document.getElementById('player-label');
+const scoreLabelEl = document.getElementById('score-label');
+const livesLabelEl = document.getElementById('lives-label');
+const playerPanelsEl = document.getElementById('player-panels');
+const playerPanelEls = Array.from(document.querySelectorAll('.player-panel'));
 
 // Toggle help screen from the start screen
 helpBtn.addEventListener('click', () => {
@@ -63,209 +58,120 @@ helpBtn.addEventListener('click', () => {
 });
 
 closeHelpBtn.addEventListener('click', () => {
-  helpScreen.classList.add('hidden');
-  startScreen.classList.remove('hidden');
+  closeHelp();
 });
 
 // Also hide the help screen when the user clicks anywhere on it (including
 // the darkened backdrop). This provides a reliable way to exit the help
 // overlay if the button is not reachable for some reason.
 helpScreen.addEventListener('click', (e) => {
-  // Only close if the user clicked outside the paragraph content or on the button
-  if (e.target === helpScreen || e.target.tagName === 'BUTTON') {
-    helpScreen.classList.add('hidden');
-    startScreen.classList.remove('hidden');
+  // Only close if the user clicked outside the content or on the Back button;
+  // the settings panel has controls of its own.
+  if (e.target === helpScreen || e.target === closeHelpBtn) {
+    closeHelp();
   }
 });
 
-// Configuration for phpstan bullets
-const bullets = [];
-// Scale bullet dimensions and speed up for the larger canvas (1.25×)
-const BULLET_WIDTH = 15;
-const BULLET_HEIGHT = 15;
-const BULLET_SPEED = 10;
-
-// Probability that a falling bar is "bad". Bad bars grant an extra life when
-// shot with a phpstan bullet, but will consume a life if caught by the player.
-const BAD_BAR_PROBABILITY = 0.2;
-
-// Score threshold required to win the game. If the player collects this many
-// git stars before time runs out, the game ends in victory instead of defeat.
-const WIN_SCORE = 20;
-
-// Possible Laravel‑related player names. These are all inspired by official tools or
-// famous concepts from the Laravel ecosystem.
-const PLAYER_NAMES = [
-  'Taylor',    // after Taylor Otwell, creator of Laravel
-  'Artisan',   // Laravel’s CLI tool
-  'Lambo',     // a tool for rapid Laravel project creation
-  'Eloquent',  // the ORM
-  'Nova',      // administration panel
-  'Sail',      // Docker environment
-  'Jetstream', // application starter kit
-  'Breeze',    // lightweight auth scaffolding
-  'Valet'      // local development environment
-];
-
-// Currently selected player name
-let currentPlayerName = '';
-
-// Timer (in milliseconds) for displaying on‑screen instructions at the
-// beginning of each game. While this timer is > 0, a small banner
-// explaining how to distinguish good (catch) and bad (shoot) bars will appear.
-let instructionTimer = 0;
-
-// Particle system for simple explosion effects when catching or shooting bars
-const particles = [];
-
-// Floating text messages. These display fun feedback when killing or fixing bugs.
-const floatingTexts = [];
-
-// Messages to show when a bad bar (bug) is destroyed by a projectile. The words
-// are playful and emphasise squashing bugs.
-const KILL_MESSAGES = [
-  'KaBuug!',
-  'BugSmack!',
-  'Squashed!',
-  'Bug Blast!',
-  'Squish!'
-];
-
-// Messages to show when the player accidentally catches a bug. These highlight
-// the tongue‑in‑cheek notion that fixing a bug often spawns more. Feel free
-// to expand this array with additional humorous lines.
-const FIX_MESSAGES = [
-  '1 bug down – 2 new spawned!',
-  'Fixed? … oh no!',
-  'Bug patched!',
-  'Another bug bites the dust?',
-  'One squashed, more to go!'
-];
+// Escape leaves the help screen as well
+window.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && !helpScreen.classList.contains('hidden')) closeHelp();
+});
 
 /**
- * Spawn a floating text at the given position. The text will float upward
- * and fade out over time. A random message is chosen based on the type.
- * @param {number} x - x position where the text starts
- * @param {number} y - y position where the text starts
- * @param {'kill'|'fix'} type - whether this is for killing or fixing a bug
- */
-function spawnFloatingText(x, y, type) {
-  const messages = type === 'kill' ? KILL_MESSAGES : FIX_MESSAGES;
-  const text = messages[Math.floor(Math.random() * messages.length)];
-  floatingTexts.push({ x: x, y: y, text: text, alpha: 1, vy: 0.5 });
+ * Leave the help screen for the start screen.
+ */
+function closeHelp() {
+  helpScreen.classList.add('hidden');
+  startScreen.classList.remove('hidden');
 }
 
-/**
- * Create a burst of particles at a given position and colour. Particles
- * gradually fade out and shrink as they move.
- * @param {number} x
- * @param {number} y
- * @param {string} color - Base colour in hex (e.g. '#e74c3c')
- * @param {number} count - Number of particles to spawn
- */
-function createParticles(x, y, color, count = 8) {
-  // Convert hex colour to RGB
-  const hex = color.replace('#', '');
-  const r = parseInt(hex.substring(0, 2), 16);
-  const g = parseInt(hex.substring(2, 4), 16);
-  const b = parseInt(hex.substring(4, 6), 16);
-  for (let i = 0; i < count; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const speed = 1 + Math.random() * 2;
-    particles.push({
-      x: x,
-      y: y,
-      vx: Math.cos(angle) * speed,
-      vy: Math.sin(angle) * speed,
-      alpha: 1,
-      radius: 4 + Math.random() * 3,
-      r: r,
-      g: g,
-      b: b,
-    });
-  }
-}
+// Numbers and units in the HUD follow the language too
+onLocaleChange(() => {
+  if (game) renderHud(game);
+});
+
+// Longest frame the loop will try to catch up on. Anything longer (a debugger
+// breakpoint, a stalled tab) is treated as this long to avoid a spiral of
+// back‑to‑back simulation steps.
+const MAX_FRAME_DELTA = 250;
 
-// Load images
-const forgeImg = new Image();
-forgeImg.src = 'forge.jpg';
-const vaporImg = new Image();
-vaporImg.src = 'vapor.jpg';
-
-// Game constants
-const GAME_DURATION = 60; // seconds
-const BAR_SPAWN_INTERVAL = 1000; // base spawn interval in ms
-// Player dimensions scaled for the larger canvas (approximately 1.25×). Speed
-// is also increased to keep movement responsive relative to the new canvas size.
-const PLAYER_WIDTH = 90;
-const PLAYER_HEIGHT = 112;
-const PLAYER_SPEED = 8;
-// Bar dimensions scaled up for improved visibility
-const BAR_WIDTH = 50;
-const BAR_HEIGHT = 20;
-const INITIAL_LIVES = 3;
-
-// Game state variables
-let score;
-let timeLeft;
-let lives;
-let bars;
-let lastSpawn;
+// State of the game in progress, created by ForgeVaporCore.createGame(). All
+// rules live in core.js; this file only feeds it input and shows the result.
+let game = null;
 let lastTime;
+// Milliseconds of real time not yet consumed by fixed simulation steps
+let accumulator = 0;
 let gameRunning = false;
-let keyState = {};
-const player = {
-  x: canvas.width / 2 - PLAYER_WIDTH / 2,
-  y: canvas.height - PLAYER_HEIGHT - 20,
-  width: PLAYER_WIDTH,
-  height: PLAYER_HEIGHT,
-};
-
-// Current game level and dynamic spawn interval. Both are reset on each game
-// start. As the player collects stars, the level increases and the spawn
-// interval decreases, making the game progressively harder.
-let level;
-let currentSpawnInterval;
-
-// Listen for keyboard input to move the player (legacy). Retained for optional
-// keyboard support but primary control is now via mouse.
+// A paused game is still running (its state is kept) but the loop is halted
+// until it is resumed.
+let gamePaused = false;
+// Handle of the pending animation frame so a restart or resume never ends up
+// with two loops driving the game at once.
+let animationFrameId = null;
+// Replay format version. Bump whenever the simulation changes in a way that
+// would make older recordings play back differently.
+const REPLAY_VERSION = 8;
+// Bit flags used to pack held movement and fire keys into a recorded step
+const INPUT_LEFT = 1;
+const INPUT_RIGHT = 2;
+const INPUT_FIRE = 4;
+
+// Level definitions from levels.json, checked by ForgeVaporCore.validateLevels().
+// Until they have loaded, or if they can't be, games use the classic levels.
+let levelDefinitions = null;
+
+// Recording of the game in progress: its seed, settings, modes and levels plus one
+// [pointerX, keys, shots] entry per simulation step, followed by [keys, shots]
+// for player 2 in two-player games. Kept after the game ends so it can be watched
+// again or exported, unless it is partial: cut short by savegame.js to keep
+// the save small enough.
+let currentRecording = null;
+let lastRecording = null;
+// Playback state while watching a replay, or null during normal play
+let replay = null;
+
+// Input from mouse, touch, keyboard and gamepads is collected by input.js and
+// read once per simulation step in nextInput().
+
+// Toggle the pause screen with P or Escape while a game is in progress.
 window.addEventListener('keydown', (e) => {
-  keyState[e.key] = true;
-});
-window.addEventListener('keyup', (e) => {
-  keyState[e.key] = false;
+  if (!gameRunning || e.repeat) return;
+  if (e.key === 'p' || e.key === 'P' || e.key === 'Escape') {
+    e.preventDefault();
+    if (gamePaused) {
+      resumeGame();
+    } else {
+      pauseGame();
+    }
+  }
 });
 
-// Listen for mouse movement over the canvas to control the player. The
-// player's horizontal position follows the mouse cursor, giving direct
-// control. The Y coordinate remains fixed.
-canvas.addEventListener('mousemove', (e) => {
-  const rect = canvas.getBoundingClientRect();
-  const x = e.clientX - rect.left;
-  // Center the player under the cursor
-  player.x = x - player.width / 2;
-  // Clamp within canvas bounds
-  if (player.x < 0) player.x = 0;
-  if (player.x + player.width > canvas.width) player.x = canvas.width - player.width;
+// Pause automatically whenever the player switches away from the game, so a
+// hidden tab or an unfocused window never costs them time or lives.
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) pauseGame();
 });
-
-// Listen for mouse clicks on the canvas to fire phpstan bullets. The bullet
-// originates from the top centre of the player sprite. Only fire when the
-// game is running (ignores clicks during start/game over screens).
-canvas.addEventListener('click', () => {
-  if (!gameRunning) return;
-  shootBullet();
+window.addEventListener('blur', () => {
+  pauseGame();
 });
 
-// Optional: allow shooting with the spacebar.
-window.addEventListener('keydown', (e) => {
+// The Start button on a gamepad toggles pause just like P does
+onGamepadPause(() => {
   if (!gameRunning) return;
-  if (e.code === 'Space') {
-    e.preventDefault();
-    shootBullet();
+  if (gamePaused) {
+    resumeGame();
+  } else {
+    pauseGame();
   }
 });
 
+// Games only start once the theme's images and levels.json are in (see
+// assets.js)
+onAssetsChange(() => {
+  startBtn.disabled = !assetsReady();
+});
+startBtn.disabled = !assetsReady();
+
 // Start and restart button handlers
 startBtn.addEventListener('click', () => {
   startGame();
@@ -274,389 +180,518 @@ restartBtn.addEventListener('click', () => {
   startGame();
 });
 
+// Pause screen button handlers
+pauseBtn.addEventListener('click', () => {
+  // Drop focus so a later spacebar press shoots instead of re-clicking
+  pauseBtn.blur();
+  pauseGame();
+});
+resumeBtn.addEventListener('click', () => {
+  resumeGame();
+});
+pauseRestartBtn.addEventListener('click', () => {
+  // Restarting while watching a replay starts that replay over
+  startGame(replay ? replay.recording : null);
+});
+quitBtn.addEventListener('click', () => {
+  quitToStartScreen();
+});
+
+// Let the player put their own name on the score they just set. The name is
+// remembered for the next game.
+nameEntryForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const name = renameLastHighScore(playerNameInput.value);
+  playerNameInput.value = name;
+  if (lastRecording) lastRecording.playerName = name;
+  nameEntryStatusEl.textContent = t('gameOver.saved');
+});
+
+// Replay button handlers on the game over screen
+watchReplayBtn.addEventListener('click', () => {
+  if (lastRecording) startReplay(lastRecording);
+});
+exportReplayBtn.addEventListener('click', () => {
+  if (lastRecording) exportReplay(lastRecording);
+});
+importReplayBtn.addEventListener('click', () => {
+  replayFileInput.click();
+});
+replayFileInput.addEventListener('change', () => {
+  const file = replayFileInput.files[0];
+  // Reset so choosing the same file again still fires a change event
+  replayFileInput.value = '';
+  if (file) importReplay(file);
+});
+
 /**
  * Initialise and begin a new game.
+ * @param {object|null} [recording=null] - replay to play back instead of live input
+ */
+function startGame(recording = null) {
+  // Live games record their seed and settings so the run can be reproduced;
+  // replays reuse the recorded ones. Stress tests (see stress.js) are
+  // neither recorded nor scored. Today's Daily Challenge comes with a seed
+  // and settings of its own, the same for everyone (see daily.js).
+  const stress = !recording && stressTarget !== null;
+  if (stress) {
+    game = ForgeVaporCore.createGame(stressGameOptions());
+  } else {
+    game = recording
+      ? ForgeVaporCore.createGame({
+        seed: recording.seed,
+        config: ForgeVaporCore.normalizeConfig(recording.config),
+        playerName: typeof recording.playerName === 'string' ? recording.playerName : undefined,
+        playerNames: recording.playerNames,
+        levels: recording.levels,
+        mode: recording.mode,
+        playerMode: recording.playerMode,
+        weaponSystem: recording.weaponSystem,
+      })
+      : ForgeVaporCore.createGame(Object.assign({
+        config: currentGameConfig(),
+        playerName: rememberedPlayerName(),
+        playerNames: currentPlayerNames(),
+        levels: levelDefinitions,
+        mode: currentGameMode(),
+        playerMode: currentPlayerMode(),
+      }, currentGameMode() === 'daily' ? dailyGameOptions(dailyChallengeDay()) : {}));
+  }
+  replay = recording ? { recording: recording, step: 0 } : null;
+  currentRecording = recording || stress
+    ? null
+    : {
+      version: REPLAY_VERSION,
+      seed: game.seed,
+      config: game.config,
+      mode: game.mode,
+      playerMode: game.playerMode,
+      // The theme's names, so player 2 is named the same on playback
+      playerNames: currentPlayerNames(),
+      levels: game.levels,
+      steps: [],
+    };
+  // A new live game takes the place of any saved one (see savegame.js)
+  if (currentRecording) clearSavedGame();
+  startAchievementRun(game, !recording && !stress);
+  startRunStats(game, !recording && !stress);
+  startDailyRun(game, !recording && !stress);
+  showNewGame();
+  startMusic(game.level);
+  pauseScreen.classList.add('hidden');
+  gameRunning = true;
+  gamePaused = false;
+  syncInputEnabled();
+  // Kick off the game loop
+  scheduleFrame();
+}
+
+/**
+ * Carry on with a game saved by savegame.js, with its recording and the
+ * achievement, statistics and Daily Challenge tallies it had so far. It
+ * comes back paused, so the player can get ready before anything falls.
+ * @param {object} saved - a save from readSavedGame()
  */
-function startGame() {
-  // Reset game state variables
-  score = 0;
-  timeLeft = GAME_DURATION;
-  lives = INITIAL_LIVES;
-  bars = [];
-  lastSpawn = 0;
+function restoreSavedGame(saved) {
+  game = saved.game;
+  replay = null;
+  currentRecording = saved.recording;
+  startAchievementRun(game, true, saved.achievements);
+  startRunStats(game, true, saved.stats);
+  startDailyRun(game, true, saved.daily);
+  showNewGame();
+  gameRunning = true;
+  gamePaused = true;
+  syncInputEnabled();
+  showSaveStatus(currentRecording.partial ? t('savedGame.noReplay') : '');
+  pauseScreen.classList.remove('hidden');
+  draw(game);
+}
+
+/**
+ * Set the page up for the game that was just started or restored: reset
+ * the clock, effects and HUD and get the overlays out of the way.
+ */
+function showNewGame() {
+  replayIndicatorEl.classList.toggle('hidden', !replay);
+  replayStatusEl.textContent = '';
   lastTime = performance.now();
-  player.x = canvas.width / 2 - PLAYER_WIDTH / 2;
-  // Pick a random name for this session
-  currentPlayerName = PLAYER_NAMES[Math.floor(Math.random() * PLAYER_NAMES.length)];
-  playerNameEl.textContent = currentPlayerName;
-  // Reset level and spawn interval
-  level = 1;
-  currentSpawnInterval = BAR_SPAWN_INTERVAL;
-  levelEl.textContent = level;
-  // Show instructions for the first few seconds of play to remind
-  // the player how to distinguish between good (red) bars and bad (green) bars.
-  instructionTimer = 4000; // milliseconds
+  accumulator = 0;
+  resetDebugTimeScale();
+  resetEffects(game.seed);
+  setPlayerCount(game.players.length);
   // Update UI
-  scoreEl.textContent = score;
-  timeEl.textContent = timeLeft;
-  livesEl.textContent = lives;
+  renderHud(game);
+  // Starting a game is always a user gesture, which lets audio begin
+  ensureAudio();
   startScreen.classList.add('hidden');
   gameOverScreen.classList.add('hidden');
-  gameRunning = true;
-  // Kick off the game loop
-  requestAnimationFrame(gameLoop);
 }
 
 /**
- * Main game loop. Uses requestAnimationFrame for smooth animation.
+ * Request the next animation frame, cancelling any frame that is already
+ * pending so only a single loop is ever active.
+ */
+function scheduleFrame() {
+  if (animationFrameId !== null) cancelAnimationFrame(animationFrameId);
+  animationFrameId = requestAnimationFrame(gameLoop);
+}
+
+/**
+ * Main game loop. Uses requestAnimationFrame for smooth animation. Real
+ * elapsed time is collected in an accumulator and consumed in fixed
+ * simulation steps, so the game plays identically at 60 Hz and 144 Hz.
  * @param {DOMHighResTimeStamp} timestamp
  */
 function gameLoop(timestamp) {
-  if (!gameRunning) return;
-  const delta = timestamp - lastTime;
+  animationFrameId = null;
+  if (!gameRunning || gamePaused) return;
+  // The first frame after a (re)start may carry a timestamp slightly older
+  // than lastTime, so never feed a negative delta into the simulation.
+  const delta = Math.min(MAX_FRAME_DELTA, Math.max(0, timestamp - lastTime));
   lastTime = timestamp;
-  // Update game state
-  update(delta);
-  // Draw everything to the canvas
-  draw();
+  // The debug console can speed the game up or slow it down
+  accumulator += delta * debugTimeScale;
+  const updateStart = performance.now();
+  let steps = 0;
+  // Update game state in fixed steps, stopping as soon as the game ends
+  while (accumulator >= ForgeVaporCore.FIXED_STEP && gameRunning) {
+    update(ForgeVaporCore.FIXED_STEP);
+    accumulator -= ForgeVaporCore.FIXED_STEP;
+    steps++;
+  }
+  const drawStart = performance.now();
+  // Draw everything to the canvas, blending between the last two steps
+  draw(game, accumulator / ForgeVaporCore.FIXED_STEP);
+  drawDebugHitboxes(game, accumulator / ForgeVaporCore.FIXED_STEP);
+  if (stressTarget !== null && !replay) {
+    recordStressFrame(game, delta, drawStart - updateStart, performance.now() - drawStart, steps);
+  }
+  recordDebugFrame(game, delta, drawStart - updateStart, performance.now() - drawStart);
   // Continue the loop
   if (gameRunning) {
-    requestAnimationFrame(gameLoop);
+    autosaveGame(timestamp);
+    scheduleFrame();
   }
 }
 
 /**
- * Update the positions of all objects and handle game logic.
- * @param {number} delta - time elapsed since last update (ms)
+ * Suspend the running game and show the pause screen. The loop stops
+ * entirely, so neither the timer nor any bar advances while paused.
  */
-function update(delta) {
-  // Move player based on key presses
-  if (keyState['ArrowLeft'] || keyState['a']) {
-    player.x -= PLAYER_SPEED;
-  }
-  if (keyState['ArrowRight'] || keyState['d']) {
-    player.x += PLAYER_SPEED;
-  }
-  // Keep player within canvas bounds
-  if (player.x < 0) player.x = 0;
-  if (player.x + player.width > canvas.width) player.x = canvas.width - player.width;
-
-  // Spawn new bars at an interval that decreases with level
-  lastSpawn += delta;
-  if (lastSpawn >= currentSpawnInterval) {
-    spawnBar();
-    lastSpawn = 0;
-  }
-
-  // Move bars and check for collisions
-  for (let i = bars.length - 1; i >= 0; i--) {
-    const bar = bars[i];
-    bar.y += bar.speed;
-    // Check for collision with player
-    if (
-      bar.x < player.x + player.width &&
-      bar.x + bar.width > player.x &&
-      bar.y < player.y + player.height &&
-      bar.y + bar.height > player.y
-    ) {
-      // Collision detected: remove bar and increment score
-      bars.splice(i, 1);
-      if (bar.isBad) {
-        // Catching a bad bar costs a life
-        lives--;
-        livesEl.textContent = lives;
-        // Purple explosion for penalty
-        createParticles(player.x + player.width / 2, player.y + player.height / 2, '#8e44ad');
-        // Floating text effect for accidentally fixing a bug
-        spawnFloatingText(player.x + player.width / 2, player.y, 'fix');
-        if (lives <= 0) {
-          endGame();
-          return;
-        }
-      } else {
-        // Catching a good bar awards a git star
-        score++;
-        scoreEl.textContent = score;
-        // Red explosion for successful catch
-        createParticles(player.x + player.width / 2, player.y + player.height / 2, '#e74c3c');
-        // Check win condition
-        if (score >= WIN_SCORE) {
-          winGame();
-          return;
-        }
-        // Level progression: increase level every 5 stars
-        if (score % 5 === 0) {
-          level++;
-          levelEl.textContent = level;
-          // Reduce spawn interval but do not go below a threshold
-          currentSpawnInterval = Math.max(300, BAR_SPAWN_INTERVAL - (level - 1) * 100);
-        }
-      }
-      continue;
-    }
-    // If bar falls off the bottom, remove it and decrease lives
-    if (bar.y > canvas.height) {
-      bars.splice(i, 1);
-      lives--;
-      livesEl.textContent = lives;
-      // End game if no lives remain
-      if (lives <= 0) {
-        endGame();
-        return;
-      }
-    }
+function pauseGame() {
+  if (!gameRunning || gamePaused) return;
+  gamePaused = true;
+  syncInputEnabled();
+  saveCurrentGame();
+  stopMusic();
+  if (animationFrameId !== null) {
+    cancelAnimationFrame(animationFrameId);
+    animationFrameId = null;
   }
+  pauseScreen.classList.remove('hidden');
+}
 
-  // Decrease instruction timer if active
-  if (instructionTimer > 0) {
-    instructionTimer -= delta;
-    if (instructionTimer < 0) instructionTimer = 0;
-  }
+/**
+ * Leave the pause screen and continue the current game. lastTime is reset to
+ * now so the time spent paused is not counted as one huge frame.
+ */
+function resumeGame() {
+  if (!gameRunning || !gamePaused) return;
+  gamePaused = false;
+  syncInputEnabled();
+  pauseScreen.classList.add('hidden');
+  startMusic(game.level);
+  lastTime = performance.now();
+  scheduleFrame();
+}
 
-  // Move bullets upwards and handle collisions with bars
-  for (let bi = bullets.length - 1; bi >= 0; bi--) {
-    const bullet = bullets[bi];
-    bullet.y -= BULLET_SPEED;
-    // Remove bullets that leave the top of the screen
-    if (bullet.y + bullet.height < 0) {
-      bullets.splice(bi, 1);
-      continue;
-    }
-    // Check collision with each bar
-    let bulletRemoved = false;
-    for (let i = bars.length - 1; i >= 0; i--) {
-      const bar = bars[i];
-      if (
-        bullet.x < bar.x + bar.width &&
-        bullet.x + bullet.width > bar.x &&
-        bullet.y < bar.y + bar.height &&
-        bullet.y + bullet.height > bar.y
-      ) {
-        // Bullet hits a bar
-        bars.splice(i, 1);
-        bullets.splice(bi, 1);
-        bulletRemoved = true;
-        if (bar.isBad) {
-          // Destroying a bad bar with a bullet grants an extra life
-          lives++;
-          livesEl.textContent = lives;
-          // Green explosion for good hit
-          createParticles(bar.x + bar.width / 2, bar.y + bar.height / 2, '#2ecc71');
-          // Floating text effect for bug kill
-          spawnFloatingText(bar.x + bar.width / 2, bar.y + bar.height / 2, 'kill');
-        } else {
-          // Shooting a good bar simply removes it with a grey burst
-          createParticles(bar.x + bar.width / 2, bar.y + bar.height / 2, '#bdc3c7');
-        }
-        // Do not award stars for shooting good bars
-        break;
-      }
-    }
-    if (bulletRemoved) {
-      continue;
-    }
-  }
+/**
+ * Stop a live game from counting once the debug console has changed it
+ * (see debug.js): it can no longer be reproduced from its recording, so it
+ * keeps none, and it is neither scored nor counted for achievements, the
+ * run history and the Daily Challenge.
+ */
+function disqualifyGame() {
+  if (replay) return;
+  if (currentRecording) clearSavedGame();
+  currentRecording = null;
+  startAchievementRun(game, false);
+  startDailyRun(game, false);
+  stopRunStats();
+}
 
-  // Update particles: move, fade and remove when invisible
-  for (let pi = particles.length - 1; pi >= 0; pi--) {
-    const p = particles[pi];
-    p.x += p.vx;
-    p.y += p.vy;
-    p.alpha -= 0.02;
-    p.radius *= 0.96;
-    if (p.alpha <= 0 || p.radius <= 0.5) {
-      particles.splice(pi, 1);
-    }
-  }
+/**
+ * Only accept live input while a live game is actually being played.
+ */
+function syncInputEnabled() {
+  setInputEnabled(gameRunning && !gamePaused && !replay);
+}
 
-  // Update floating texts: move upward and fade out. Remove when invisible.
-  for (let fi = floatingTexts.length - 1; fi >= 0; fi--) {
-    const ft = floatingTexts[fi];
-    ft.y -= ft.vy;
-    ft.alpha -= 0.02;
-    if (ft.alpha <= 0) {
-      floatingTexts.splice(fi, 1);
-    }
+/**
+ * Abandon the current game without recording a score and return to the
+ * start screen. A live game is not kept for resuming either.
+ */
+function quitToStartScreen() {
+  if (gameRunning && currentRecording) clearSavedGame();
+  gameRunning = false;
+  gamePaused = false;
+  syncInputEnabled();
+  stopMusic();
+  if (animationFrameId !== null) {
+    cancelAnimationFrame(animationFrameId);
+    animationFrameId = null;
   }
+  pauseScreen.classList.add('hidden');
+  gameOverScreen.classList.add('hidden');
+  startScreen.classList.remove('hidden');
+  renderHighScores();
+  renderSavedGame();
+  renderDailyStatus();
+}
 
-  // Decrease the timer
-  timeLeft -= delta / 1000;
-  if (timeLeft <= 0) {
-    timeLeft = 0;
+/**
+ * Advance the game by one fixed step: feed this step's input to the rules,
+ * then let the renderer and HUD react to what happened.
+ * @param {number} delta - step length (ms)
+ */
+function update(delta) {
+  if (stressTarget !== null && !replay) driveStressTest(game);
+  // Collect this step's input, either live or from the replay being watched
+  const input = nextInput();
+  if (!input) {
+    // The recording ran out before the game ended on its own
     endGame();
     return;
   }
-  timeEl.textContent = Math.ceil(timeLeft);
+  const events = ForgeVaporCore.step(game, input, delta);
+  handleRenderEvents(game, events);
+  handleAudioEvents(events);
+  handleAchievementEvents(events);
+  handleStatsEvents(game, events);
+  handleDailyEvents(game, events);
+  updateEffects(delta, game);
+  renderHud(game);
+  const ended = events.find((event) => event.type === 'gameEnded');
+  if (ended) {
+    if (ended.outcome === 'won') {
+      winGame();
+    } else {
+      endGame();
+    }
+  }
 }
 
 /**
- * Draw the game world to the canvas.
- */
-function draw() {
-  // Clear canvas
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  // Draw forge background scaled to canvas size
-  if (forgeImg.complete) {
-    ctx.drawImage(forgeImg, 0, 0, canvas.width, canvas.height);
+ * Show the current score, time, lives, level, weapon and player name in the
+ * HUD. Fields are only written when their text actually changes. Modes
+ * without a timer show ∞ for the time. In two‑player games each player gets
+ * a panel of their own with their heat meter; shared stars and errors stay
+ * in the HUD, while in versus they move to the panels. Screen readers are
+ * told of the changes too.
+ * @param {object} state - game state from ForgeVaporCore
+ */
+function renderHud(state) {
+  const twoPlayers = state.players.length > 1;
+  const shared = ForgeVaporCore.PLAYER_MODES[state.playerMode].shared;
+  playerLabelEl.classList.toggle('hidden', twoPlayers);
+  powerUpsEl.classList.toggle('hidden', twoPlayers);
+  weaponLabelEl.classList.toggle('hidden', !state.weaponSystem);
+  heatMeterEl.classList.toggle('hidden', twoPlayers);
+  scoreLabelEl.classList.toggle('hidden', !shared);
+  livesLabelEl.classList.toggle('hidden', !shared);
+  playerPanelsEl.classList.toggle('hidden', !twoPlayers);
+  setText(playerNameEl, state.playerName);
+  setText(scoreEl, formatNumber(state.score));
+  setText(timeEl, ForgeVaporCore.GAME_MODES[state.mode].timed ? t('unit.seconds', { value: Math.ceil(state.timeLeft) }) : '∞');
+  setText(livesEl, state.lives === null ? '' : formatNumber(state.lives));
+  setText(levelEl, formatNumber(state.level));
+  setText(powerUpsEl, describePowerUps(state.players[0]));
+  setText(weaponEl, describeWeapon(state, twoPlayers ? null : state.players[0]));
+  showHeat(heatMeterEl, state.players[0]);
+  if (twoPlayers) {
+    state.players.forEach((player, index) => {
+      const panel = playerPanelEls[index];
+      panel.classList.toggle('out', player.out);
+      panel.querySelector('.panel-lives-label').classList.toggle('hidden', shared);
+      setText(panel.querySelector('.panel-name'), player.name);
+      setText(panel.querySelector('.panel-score'), formatNumber(player.score));
+      setText(panel.querySelector('.panel-lives'), shared ? '' : (player.out ? t('hud.out') : formatNumber(player.lives)));
+      setText(panel.querySelector('.panel-power-ups'), describePowerUps(player));
+      panel.querySelector('.panel-heat').classList.toggle('hidden', !state.weaponSystem);
+      showHeat(panel.querySelector('.panel-heat'), player);
+    });
   }
-  // Draw falling bars with a simple pseudo‑3D effect. Bars start smaller near
-  // the top and grow larger as they fall, giving a sense of depth. Good bars
-  // are rendered in a red gradient, bad bars in a green gradient.
-  bars.forEach((bar) => {
-    const scale = 0.5 + (bar.y / canvas.height) * 0.5;
-    const w = bar.width * scale;
-    const h = bar.height * scale;
-    const drawX = bar.x + (bar.width - w) / 2;
-    const drawY = bar.y + (bar.height - h) / 2;
-    const lighten = 0.4 + (bar.y / canvas.height) * 0.6;
-    let baseR, baseG, baseB;
-    if (bar.isBad) {
-      // Bad bars use a green palette
-      baseR = 46; baseG = 204; baseB = 113; // 2ecc71
-    } else {
-      // Good bars use a red palette
-      baseR = 231; baseG = 76; baseB = 60; // e74c3c
-    }
-    const r = Math.min(255, Math.floor(baseR * lighten));
-    const g = Math.min(255, Math.floor(baseG * lighten));
-    const b = Math.min(255, Math.floor(baseB * lighten));
-    ctx.fillStyle = `rgb(${r},${g},${b})`;
-    ctx.fillRect(drawX, drawY, w, h);
-
-    // Overlay a symbol to help the player distinguish between good and bad bars.
-    // Good bars display a plus sign (catch), bad bars display a cross (avoid).
-    ctx.strokeStyle = 'rgba(255,255,255,0.8)';
-    ctx.lineWidth = 2;
-    const centerX = drawX + w / 2;
-    const centerY = drawY + h / 2;
-    const size = Math.min(w, h) * 0.5; // relative size of symbol
-    if (bar.isBad) {
-      // Draw a cross
-      ctx.beginPath();
-      ctx.moveTo(centerX - size / 2, centerY - size / 2);
-      ctx.lineTo(centerX + size / 2, centerY + size / 2);
-      ctx.moveTo(centerX + size / 2, centerY - size / 2);
-      ctx.lineTo(centerX - size / 2, centerY + size / 2);
-      ctx.stroke();
-    } else {
-      // Draw a plus
-      ctx.beginPath();
-      ctx.moveTo(centerX - size / 2, centerY);
-      ctx.lineTo(centerX + size / 2, centerY);
-      ctx.moveTo(centerX, centerY - size / 2);
-      ctx.lineTo(centerX, centerY + size / 2);
-      ctx.stroke();
-    }
-  });
+  announceGameState(state);
+}
 
-  // Draw phpstan bullets as blue circles
-  bullets.forEach((bullet) => {
-    ctx.fillStyle = '#3498db'; // blue
-    ctx.beginPath();
-    ctx.arc(
-      bullet.x + bullet.width / 2,
-      bullet.y + bullet.height / 2,
-      bullet.width / 2,
-      0,
-      Math.PI * 2
-    );
-    ctx.fill();
-  });
+/**
+ * List a player's active power‑ups for the HUD, e.g. "🛡 Shield  ⚡ Multi‑shot 6s".
+ * @param {object} player - a player from the game state
+ * @returns {string}
+ */
+function describePowerUps(player) {
+  return Object.keys(player.powerUps)
+    .filter((name) => player.powerUps[name] > 0)
+    .map((name) => {
+      const label = `${POWER_UP_STYLES[name].icon} ${t(`powerUp.${name}`)}`;
+      // The shield holds charges rather than time
+      if (name === 'shield') return label;
+      return `${label} ${t('unit.seconds', { value: Math.ceil(player.powerUps[name] / 1000) })}`;
+    })
+    .join('  ');
+}
 
-  // Draw particles
-  particles.forEach((p) => {
-    ctx.fillStyle = `rgba(${p.r},${p.g},${p.b},${p.alpha.toFixed(2)})`;
-    ctx.beginPath();
-    ctx.arc(p.x, p.y, p.radius, 0, Math.PI * 2);
-    ctx.fill();
-  });
-  // Draw player (vapor character) scaled
-  if (vaporImg.complete) {
-    ctx.drawImage(
-      vaporImg,
-      player.x,
-      player.y,
-      player.width,
-      player.height
-    );
-  }
+/**
+ * Describe the weapon for the HUD, e.g. "PHPStan 6 · Spread", or say that
+ * it has overheated.
+ * @param {object} state - game state from ForgeVaporCore
+ * @param {object|null} player - whose weapon may have overheated; null when
+ *   each player's heat is shown in their panel
+ * @returns {string}
+ */
+function describeWeapon(state, player) {
+  if (player && player.weapon.overheated) return t('hud.overheated');
+  const weapon = ForgeVaporCore.weaponLevel(state);
+  return t('hud.weapon', { level: weapon.ruleLevel, pattern: t(`weapon.${weapon.pattern}`) });
+}
 
-  // Draw floating texts. Use bold white or yellow to stand out. The alpha
-  // channel controls opacity.
-  floatingTexts.forEach((ft) => {
-    ctx.font = 'bold 16px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    // Alternate colours for variety: kill messages in yellow, fix in cyan
-    const isKill = KILL_MESSAGES.includes(ft.text);
-    const color = isKill ? '255, 223, 0' : '0, 255, 255';
-    ctx.fillStyle = `rgba(${color}, ${ft.alpha.toFixed(2)})`;
-    ctx.fillText(ft.text, ft.x, ft.y);
-  });
+/**
+ * Fill a heat meter from a player's weapon, marking it while the weapon
+ * has overheated.
+ * @param {HTMLMeterElement} meter
+ * @param {object} player - a player from the game state
+ */
+function showHeat(meter, player) {
+  if (meter.value !== player.weapon.heat) meter.value = player.weapon.heat;
+  meter.classList.toggle('overheated', player.weapon.overheated);
+}
+
+/**
+ * Set an element's text content if it differs from the current text.
+ * @param {HTMLElement} el
+ * @param {string|number} value
+ */
+function setText(el, value) {
+  const text = String(value);
+  if (el.textContent !== text) el.textContent = text;
+}
 
-  // If the instruction timer is active, overlay a small banner at the top
-  // explaining how to interact with the bars. This helps clarify which
-  // bars should be caught versus shot. The banner fades out as the timer
-  // approaches zero.
-  if (instructionTimer > 0) {
-    // Compute opacity based on remaining time. The banner fades during the last
-    // two seconds of its lifetime.
-    const alpha = Math.min(1, instructionTimer / 2000);
-    const bannerHeight = 42;
-    const bannerY = canvas.height - bannerHeight; // position at bottom
-    ctx.fillStyle = `rgba(0, 0, 0, ${0.7 * alpha})`;
-    ctx.fillRect(0, bannerY, canvas.width, bannerHeight);
-    ctx.fillStyle = `rgba(255, 255, 255, ${alpha})`;
-    ctx.font = 'bold 16px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('Catch the red bars (+) and shoot the green bars (×)', canvas.width / 2, bannerY + bannerHeight / 2);
-    // Restore defaults
-    ctx.textAlign = 'left';
-    ctx.textBaseline = 'alphabetic';
+/**
+ * Produce the input for the next simulation step. During normal play this
+ * reads the unified live input and appends it to the recording;
+ * during a replay it reads the next recorded step instead.
+ * @returns {{pointerX: number|null, left: boolean, right: boolean, shots: number, firing: boolean}[]|null}
+ *   one input per player, or null when a replay has no steps left
+ */
+function nextInput() {
+  let entry;
+  if (replay) {
+    entry = replay.recording.steps[replay.step++];
+    if (!entry) return null;
+  } else {
+    const live = readInput();
+    entry = [live[0].pointerX, packKeys(live[0]), live[0].shots];
+    // Player 2 only ever uses keys and gamepads
+    if (live.length > 1) entry.push(packKeys(live[1]), live[1].shots);
+    if (currentRecording) currentRecording.steps.push(entry);
   }
+  const inputs = [unpackKeys(entry[0], entry[1], entry[2])];
+  if (entry.length > 3) inputs.push(unpackKeys(null, entry[3], entry[4]));
+  return inputs;
 }
 
 /**
- * Spawn a new glowing bar at a random x position at the top of the screen.
- * The falling speed increases slightly with score to add difficulty over time.
- */
-function spawnBar() {
-  const speed = 2 + Math.min(score * 0.1, 5); // cap speed increase
-  const x = Math.random() * (canvas.width - BAR_WIDTH);
-  // Determine if this bar is a "bad" bar with a chance. Bad bars are drawn
-  // differently and grant an extra life if destroyed by a bullet. If caught
-  // by the player they will consume a life instead of granting a star.
-  const isBad = Math.random() < BAD_BAR_PROBABILITY;
-  bars.push({ x: x, y: -BAR_HEIGHT, width: BAR_WIDTH, height: BAR_HEIGHT, speed: speed, isBad });
+ * Pack the held movement and fire keys of an input into bit flags for the
+ * recording.
+ * @param {{left: boolean, right: boolean, firing: boolean}} input
+ * @returns {number}
+ */
+function packKeys(input) {
+  let keys = 0;
+  if (input.left) keys |= INPUT_LEFT;
+  if (input.right) keys |= INPUT_RIGHT;
+  if (input.firing) keys |= INPUT_FIRE;
+  return keys;
 }
 
 /**
- * Spawn a phpstan bullet at the player's current position. Bullets travel
- * upwards and can destroy falling bars. Destroying a bad bar with a bullet
- * grants an extra life. Shooting good bars simply removes them without
- * awarding points.
- */
-function shootBullet() {
-  const bulletX = player.x + player.width / 2 - BULLET_WIDTH / 2;
-  const bulletY = player.y - BULLET_HEIGHT;
-  bullets.push({ x: bulletX, y: bulletY, width: BULLET_WIDTH, height: BULLET_HEIGHT });
+ * Rebuild a player's input from a recorded step.
+ * @param {number|null} pointerX
+ * @param {number} keys - bit flags from packKeys()
+ * @param {number} shots
+ * @returns {{pointerX: number|null, left: boolean, right: boolean, shots: number, firing: boolean}}
+ */
+function unpackKeys(pointerX, keys, shots) {
+  return {
+    pointerX: pointerX,
+    left: (keys & INPUT_LEFT) !== 0,
+    right: (keys & INPUT_RIGHT) !== 0,
+    shots: shots,
+    firing: (keys & INPUT_FIRE) !== 0,
+  };
 }
 
 /**
- * Stop the game and show the game over screen.
+ * Stop the game and show the game over screen. Time Attack games that last
+ * until the timer runs out finish rather than being lost, and Endless games
+ * are summed up by how long the player survived.
  */
 function endGame() {
   gameRunning = false;
-  // Update heading for a loss
-  gameOverHeadingEl.textContent = 'Game Over!';
-  // Construct a summary of the collected git stars with pluralisation.
-  const starLabel = score === 1 ? 'git star' : 'git stars';
-  finalScoreEl.textContent = `You collected ${score} ${starLabel}!`;
-  gameOverScreen.classList.remove('hidden');
+  if (game.playerMode === 'versus') {
+    showVersusResult();
+    return;
+  }
+  const finished = game.status === 'finished';
+  const suddenDeath = game.mode === 'suddenDeath' && game.lives === 0;
+  if (replay) {
+    gameOverHeadingEl.textContent = t('result.replayOver');
+  } else if (finished) {
+    gameOverHeadingEl.textContent = t('result.timesUp');
+  } else if (suddenDeath) {
+    gameOverHeadingEl.textContent = t('result.suddenDeath');
+  } else {
+    gameOverHeadingEl.textContent = t('result.gameOver');
+  }
+  // Summarise the collected git stars; the catalogue knows the plural forms
+  const count = game.score;
+  if (game.mode === 'endless') {
+    finalScoreEl.textContent = t('result.survived', { time: formatPlayTime(Math.round(game.elapsed)), count: count });
+  } else if (suddenDeath) {
+    finalScoreEl.textContent = t('result.suddenDeathScore', { count: count });
+  } else {
+    finalScoreEl.textContent = t('result.collected', { count: count });
+  }
+  finalScoreEl.textContent += describeTeamScores();
+  showGameOverScreen();
+}
+
+/**
+ * Announce the winner of a versus game, or a draw.
+ */
+function showVersusResult() {
+  const winner = game.winner === null ? null : game.players[game.winner];
+  if (replay) {
+    gameOverHeadingEl.textContent = t('result.replayOver');
+  } else {
+    gameOverHeadingEl.textContent = winner ? t('result.playerWins', { name: winner.name }) : t('result.draw');
+  }
+  const scores = game.players.map((player) => `${player.name} ${formatNumber(player.score)}`).join(' – ');
+  finalScoreEl.textContent = winner
+    ? t('result.versusWin', { winner: winner.name, loser: game.players.find((player) => player !== winner).name, scores: scores })
+    : t('result.versusDraw', { scores: scores });
+  showGameOverScreen();
+}
 
-  // Update high scores list
-  updateHighScores(score, currentPlayerName);
+/**
+ * Who caught what in a co‑op game, e.g. " (Nova 8, Sail 5)". Empty with a
+ * single player.
+ * @returns {string}
+ */
+function describeTeamScores() {
+  if (game.players.length === 1) return '';
+  return ` (${game.players.map((player) => `${player.name} ${formatNumber(player.score)}`).join(', ')})`;
 }
 
 /**
@@ -666,30 +701,210 @@ function endGame() {
  */
 function winGame() {
   gameRunning = false;
-  gameOverHeadingEl.textContent = 'You Win!';
-  const starLabel = score === 1 ? 'git star' : 'git stars';
-  finalScoreEl.textContent = `You collected ${score} ${starLabel} and won!`;
+  gameOverHeadingEl.textContent = replay ? t('result.replayWon') : t('result.win');
+  finalScoreEl.textContent = game.mode === 'suddenDeath'
+    ? t('result.flawless', { count: game.score })
+    : t('result.won', { count: game.score });
+  finalScoreEl.textContent += describeTeamScores();
+  showGameOverScreen();
+}
+
+/**
+ * Show the game over screen and wrap up the finished run. Live runs keep
+ * their recording for replay/export and one‑player runs are entered into
+ * the high scores; watching a replay never touches the high score list.
+ */
+function showGameOverScreen() {
+  syncInputEnabled();
+  // Also covers a replay that ran out before the game was decided
+  stopMusic();
+  settingsSummaryEl.textContent = t('gameOver.summary', {
+    mode: gameModeLabel(game.mode),
+    players: playerModeLabel(game.playerMode),
+    difficulty: describeSettings(game.config),
+  });
+  finishRunStats(game);
+  finishDailyRun(game);
+  // Games changed from the debug console have no recording (see
+  // disqualifyGame()), and daily.js keeps the Daily Challenge results
+  const scored = currentRecording !== null && game.players.length === 1 && game.mode !== 'daily';
+  if (!replay) {
+    if (currentRecording) {
+      // A finished game can't be resumed
+      clearSavedGame();
+      currentRecording.playerName = game.playerName;
+      currentRecording.score = game.score;
+    }
+    lastRecording = currentRecording && !currentRecording.partial ? currentRecording : null;
+    currentRecording = null;
+  }
+  if (scored) {
+    // Update high scores list
+    updateHighScores(game);
+    playerNameInput.value = game.playerName;
+    nameEntryStatusEl.textContent = '';
+  }
+  // Replays, two‑player games and the Daily Challenge never add a score, so
+  // there is nothing to name
+  nameEntryForm.classList.toggle('hidden', !scored);
+  watchReplayBtn.disabled = !lastRecording;
+  exportReplayBtn.disabled = !lastRecording;
   gameOverScreen.classList.remove('hidden');
+}
 
-  // Update high scores list
-  updateHighScores(score, currentPlayerName);
+/**
+ * Play a recorded run back from the start.
+ * @param {object} recording - a recording as produced by a live game
+ */
+function startReplay(recording) {
+  startGame(recording);
 }
 
 /**
- * Insert a new score into the high scores list, keep the list sorted
- * descending, and trim it to the top 5. Then save and render.
- * @param {number} newScore
- * @param {string} playerName
- */
-function updateHighScores(newScore, playerName) {
-  // Add new entry
-  highScores.push({ name: playerName, score: newScore });
-  // Sort descending by score
-  highScores.sort((a, b) => b.score - a.score);
-  // Keep only top 5
-  if (highScores.length > 5) highScores = highScores.slice(0, 5);
-  // Persist
-  saveHighScores();
-  // Update the visible list
-  renderHighScores();
-}
\ No newline at end of file
+ * Download a recording as a JSON file.
+ * @param {object} recording
+ */
+function exportReplay(recording) {
+  const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `forge-vapor-replay-${recording.seed}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a replay JSON file chosen by the player, validate it and play it.
+ * Problems are reported on the game over screen rather than thrown.
+ * @param {File} file
+ */
+function importReplay(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    let recording;
+    try {
+      recording = JSON.parse(reader.result);
+    } catch (err) {
+      replayStatusEl.textContent = t('replay.invalidJson');
+      return;
+    }
+    const error = validateRecording(recording);
+    if (error) {
+      replayStatusEl.textContent = error;
+      return;
+    }
+    upgradeRecording(recording);
+    lastRecording = recording;
+    startReplay(recording);
+  };
+  reader.onerror = () => {
+    replayStatusEl.textContent = t('replay.unreadable');
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Check that an imported object looks like a recording this version of the
+ * game can play back.
+ * @param {*} recording
+ * @returns {string|null} a human readable problem, or null if it is usable
+ */
+function validateRecording(recording) {
+  if (!recording || typeof recording !== 'object') return t('replay.notReplay');
+  // Daily Challenge waves kept pace with the player before version 8, and
+  // those rules are gone
+  const oldDaily = recording.version === 7 && recording.mode === 'daily';
+  if (![2, 3, 4, 5, 6, 7, REPLAY_VERSION].includes(recording.version) || oldDaily) {
+    return t('replay.unsupportedVersion', { version: String(recording.version), expected: String(REPLAY_VERSION) });
+  }
+  if (!Number.isInteger(recording.seed) || recording.seed < 0) return t('replay.noSeed');
+  if (!Array.isArray(recording.steps)) return t('replay.noSteps');
+  // Recordings made before themes existed have no names and use the default ones
+  if (recording.playerNames !== undefined && (
+    !Array.isArray(recording.playerNames) || recording.playerNames.length === 0 ||
+    recording.playerNames.some((name) => typeof name !== 'string')
+  )) {
+    return t('replay.malformed');
+  }
+  const playerMode = recording.version >= 6 ? recording.playerMode : 'single';
+  if (!Object.prototype.hasOwnProperty.call(ForgeVaporCore.PLAYER_MODES, playerMode)) {
+    return t('replay.unknownPlayers');
+  }
+  // Each step holds [pointerX, keys, shots], then [keys, shots] for player 2
+  const stepLength = 1 + 2 * ForgeVaporCore.PLAYER_MODES[playerMode].count;
+  const badStep = recording.steps.some((step) => (
+    !Array.isArray(step) ||
+    step.length !== stepLength ||
+    (step[0] !== null && typeof step[0] !== 'number') ||
+    step.slice(1).some((value) => !Number.isInteger(value) || value < 0)
+  ));
+  if (badStep) return t('replay.malformed');
+  if (recording.version >= 5 && !Object.prototype.hasOwnProperty.call(ForgeVaporCore.GAME_MODES, recording.mode)) {
+    return t('replay.unknownMode');
+  }
+  if (recording.version >= 4 && recording.levels !== null) {
+    const levels = ForgeVaporCore.validateLevels({ version: ForgeVaporCore.LEVELS_VERSION, levels: recording.levels });
+    // The problems found by core.js are only available in English
+    if (levels.errors.length > 0) return t('replay.invalidLevels', { error: levels.errors[0] });
+  }
+  return null;
+}
+
+/**
+ * Bring a valid recording from an older version up to the current one, so
+ * it plays back exactly as it was recorded. Version 2 predates power‑ups,
+ * so those games are played back without any; versions 2 and 3 predate
+ * level definitions and use the classic levels, everything before
+ * version 5 was played in the classic mode, everything before version 6
+ * by a single player and everything before version 7 with the classic
+ * weapon. Version 8 only changed the Daily Challenge, whose older
+ * recordings validateRecording() turns away.
+ * @param {object} recording - mutated in place
+ */
+function upgradeRecording(recording) {
+  if (recording.version === 2) {
+    recording.config = Object.assign({}, recording.config, { powerUpProbability: 0 });
+  }
+  if (recording.version < 4) recording.levels = null;
+  if (recording.version < 5) recording.mode = 'classic';
+  if (recording.version < 6) recording.playerMode = 'single';
+  if (recording.version < 7) recording.weaponSystem = false;
+  // Fill in the defaults of any level values the file leaves out
+  if (recording.levels) {
+    recording.levels = ForgeVaporCore.validateLevels({ version: ForgeVaporCore.LEVELS_VERSION, levels: recording.levels }).levels;
+  }
+  recording.version = REPLAY_VERSION;
+}
+
+/**
+ * Load and check levels.json before the first game can start. Problems are
+ * shown on the start screen and the classic levels are used instead.
+ */
+function loadLevelDefinitions() {
+  const loading = fetch('levels.json')
+    .then((response) => {
+      if (!response.ok) throw new Error(`the server answered ${response.status}`);
+      return response.json();
+    })
+    .then((data) => {
+      const result = ForgeVaporCore.validateLevels(data);
+      if (result.errors.length > 0) {
+        levelsStatusEl.textContent = t('levels.problems', { count: result.errors.length });
+        renderProblemList(levelsProblemsEl, result.errors);
+        return;
+      }
+      levelDefinitions = result.levels;
+    })
+    .catch((err) => {
+      // Opening the game straight from disk (file://) ends up here too
+      levelsStatusEl.textContent = t('levels.unavailable', { error: err.message });
+    });
+  // Problems are already reported above
+  trackAsset(loading, null);
+}
+
+loadLevelDefinitions();
+renderSavedGame();
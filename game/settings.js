@@ -0,0 +1,245 @@
+/*
+ * Difficulty settings for the Forge & Vapor mini‑game.
+ *
+ * Builds the settings panel on the Help & Settings screen: a difficulty
+ * preset picker plus one slider per tunable rule from core.js. The game mode
+ * and the number of players are picked on the start screen. The chosen
+ * settings are kept in localStorage and handed to createGame() by script.js
+ * whenever a game starts. All names come from the message catalogues (see
+ * i18n.js), and are redone when the language changes. Loaded after i18n.js
+ * and before script.js.
+ */
+
+const SETTINGS_STORAGE_KEY = 'forgeVaporSettings';
+
+// The difficulty presets in picker order, plus 'custom' for hand tuned values
+const DIFFICULTIES = ['easy', 'normal', 'hard', 'insane', 'custom'];
+
+// One slider per config value, in the order they appear in the panel and
+// named 'setting.<key>' in the catalogues. The format function turns a
+// value into the short text shown next to it.
+const SETTING_FIELDS = [
+  { key: 'gameDuration', format: (v) => t('unit.seconds', { value: v }) },
+  { key: 'initialLives', format: (v) => formatNumber(v) },
+  { key: 'winScore', format: (v) => formatNumber(v) },
+  { key: 'badBarProbability', format: (v) => formatNumber(v, { style: 'percent' }) },
+  { key: 'barSpawnInterval', format: (v) => t('unit.milliseconds', { value: v }) },
+  { key: 'bulletSpeed', format: (v) => t('unit.pixelsPerSecond', { value: v }) },
+  { key: 'powerUpProbability', format: (v) => formatNumber(v, { style: 'percent' }) },
+];
+
+const difficultySelect = document.getElementById('difficulty-select');
+const settingsFieldsEl = document.getElementById('settings-fields');
+const modeSelect = document.getElementById('mode-select');
+const modeDescriptionEl = document.getElementById('mode-description');
+const playerModeSelect = document.getElementById('player-mode-select');
+
+// Current settings: the preset name (or 'custom'), the full config, the
+// game mode and the player mode
+let settings = loadSettings();
+
+/**
+ * Read the saved settings from localStorage, falling back to Normal when
+ * nothing (or nothing valid) is stored. Values added to the presets since
+ * the settings were saved are taken from the saved preset, so it still
+ * matches.
+ * @returns {{preset: string, config: object}}
+ */
+function loadSettings() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+  } catch (err) {
+    stored = null;
+  }
+  const preset = stored && ForgeVaporCore.DIFFICULTY_PRESETS[stored.preset];
+  const config = ForgeVaporCore.normalizeConfig(Object.assign({}, preset, stored && stored.config));
+  const mode = stored && ForgeVaporCore.GAME_MODES[stored.mode] ? stored.mode : 'classic';
+  const playerMode = stored && ForgeVaporCore.PLAYER_MODES[stored.playerMode] ? stored.playerMode : 'single';
+  return { preset: ForgeVaporCore.findPreset(config) || 'custom', config: config, mode: mode, playerMode: playerMode };
+}
+
+/**
+ * Persist the current settings to localStorage.
+ */
+function saveSettings() {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * The config the next game should be played with.
+ * @returns {object}
+ */
+function currentGameConfig() {
+  return Object.assign({}, settings.config);
+}
+
+/**
+ * The mode the next game should be played in.
+ * @returns {string} a key of ForgeVaporCore.GAME_MODES
+ */
+function currentGameMode() {
+  return settings.mode;
+}
+
+/**
+ * Whether the next game is for one player or two, and how two play.
+ * @returns {string} a key of ForgeVaporCore.PLAYER_MODES
+ */
+function currentPlayerMode() {
+  return settings.playerMode;
+}
+
+/**
+ * Display name of a difficulty preset or 'custom'.
+ * @param {string} difficulty
+ * @returns {string}
+ */
+function difficultyLabel(difficulty) {
+  return t(`difficulty.${difficulty}`);
+}
+
+/**
+ * Display name of a game mode.
+ * @param {string} mode - a key of ForgeVaporCore.GAME_MODES
+ * @returns {string}
+ */
+function gameModeLabel(mode) {
+  return t(`mode.${mode}`);
+}
+
+/**
+ * Display name of a player mode.
+ * @param {string} playerMode - a key of ForgeVaporCore.PLAYER_MODES
+ * @returns {string}
+ */
+function playerModeLabel(playerMode) {
+  return t(`playerMode.${playerMode}`);
+}
+
+/**
+ * Describe a config in one line: just the preset name ("Hard") when it
+ * matches one, otherwise every value ("Custom – Uptime: 90s, …").
+ * @param {object} config
+ * @returns {string}
+ */
+function describeSettings(config) {
+  const preset = ForgeVaporCore.findPreset(config);
+  if (preset) return difficultyLabel(preset);
+  const details = SETTING_FIELDS
+    .map((field) => `${t(`setting.${field.key}`)}: ${field.format(config[field.key])}`)
+    .join(', ');
+  return `${difficultyLabel('custom')} – ${details}`;
+}
+
+/**
+ * Build the preset picker, sliders and mode and player pickers and wire
+ * them to the settings.
+ */
+function initSettingsPanel() {
+  DIFFICULTIES.forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    difficultySelect.appendChild(option);
+  });
+  difficultySelect.addEventListener('change', () => {
+    const preset = ForgeVaporCore.DIFFICULTY_PRESETS[difficultySelect.value];
+    // Choosing Custom keeps the current values as a starting point
+    if (preset) settings.config = Object.assign({}, preset);
+    settings.preset = difficultySelect.value;
+    saveSettings();
+    renderSettingsPanel();
+  });
+
+  SETTING_FIELDS.forEach((field) => {
+    const limits = ForgeVaporCore.CONFIG_LIMITS[field.key];
+    const row = document.createElement('label');
+    row.className = 'setting-row';
+    const name = document.createElement('span');
+    name.id = `setting-${field.key}-label`;
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.id = `setting-${field.key}`;
+    slider.min = limits.min;
+    slider.max = limits.max;
+    slider.step = limits.step;
+    const value = document.createElement('output');
+    value.id = `setting-${field.key}-value`;
+    slider.addEventListener('input', () => {
+      settings.config = ForgeVaporCore.normalizeConfig(
+        Object.assign({}, settings.config, { [field.key]: slider.value })
+      );
+      settings.preset = ForgeVaporCore.findPreset(settings.config) || 'custom';
+      saveSettings();
+      renderSettingsPanel();
+    });
+    row.appendChild(name);
+    row.appendChild(slider);
+    row.appendChild(value);
+    settingsFieldsEl.appendChild(row);
+  });
+
+  Object.keys(ForgeVaporCore.GAME_MODES).forEach((mode) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    modeSelect.appendChild(option);
+  });
+  modeSelect.addEventListener('change', () => {
+    settings.mode = modeSelect.value;
+    saveSettings();
+    renderSettingsPanel();
+  });
+  Object.keys(ForgeVaporCore.PLAYER_MODES).forEach((playerMode) => {
+    const option = document.createElement('option');
+    option.value = playerMode;
+    playerModeSelect.appendChild(option);
+  });
+  playerModeSelect.addEventListener('change', () => {
+    settings.playerMode = playerModeSelect.value;
+    saveSettings();
+  });
+  onLocaleChange(() => {
+    labelSettingsPanel();
+    renderSettingsPanel();
+  });
+
+  labelSettingsPanel();
+  renderSettingsPanel();
+}
+
+/**
+ * Name the options and sliders in the current language.
+ */
+function labelSettingsPanel() {
+  Array.from(difficultySelect.options).forEach((option) => {
+    option.textContent = difficultyLabel(option.value);
+  });
+  Array.from(modeSelect.options).forEach((option) => {
+    option.textContent = gameModeLabel(option.value);
+  });
+  Array.from(playerModeSelect.options).forEach((option) => {
+    option.textContent = playerModeLabel(option.value);
+  });
+  SETTING_FIELDS.forEach((field) => {
+    document.getElementById(`setting-${field.key}-label`).textContent = t(`setting.${field.key}`);
+  });
+}
+
+/**
+ * Show the current settings in the preset picker and sliders.
+ */
+function renderSettingsPanel() {
+  difficultySelect.value = settings.preset;
+  modeSelect.value = settings.mode;
+  playerModeSelect.value = settings.playerMode;
+  // The Daily Challenge is always played alone
+  playerModeSelect.disabled = settings.mode === 'daily';
+  modeDescriptionEl.textContent = t(`modeDescription.${settings.mode}`);
+  SETTING_FIELDS.forEach((field) => {
+    const value = settings.config[field.key];
+    document.getElementById(`setting-${field.key}`).value = value;
+    document.getElementById(`setting-${field.key}-value`).textContent = field.format(value);
+  });
+}
+
+initSettingsPanel();
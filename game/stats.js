@@ -0,0 +1,370 @@
+/*
+ * Post‑game statistics for the Forge & Vapor mini‑game.
+ *
+ * While a game runs, the events returned by ForgeVaporCore.step() are
+ * tallied into the run's statistics (shots, accuracy, bugs, misses, peak
+ * level, longest catch streak) and the score is sampled once a second. The
+ * game over screen shows them next to a chart of the score over time, along
+ * with the recent runs kept in localStorage so trends across sessions can
+ * be seen. Replays show their statistics but are never added to the
+ * history. Loaded after achievements.js and before script.js.
+ */
+
+const RUN_HISTORY_STORAGE_KEY = 'forgeVaporRunHistory';
+const RUN_HISTORY_VERSION = 1;
+// Runs kept in the history, newest first
+const RUN_HISTORY_LIMIT = 20;
+// Runs a new one is compared with for the trend
+const RUN_TREND_COUNT = 5;
+
+// Game time (seconds) between two samples of the score for the chart
+const SCORE_SAMPLE_INTERVAL = 1;
+
+// The statistics listed on the game over screen, named 'stats.<key>' in the
+// message catalogues
+const RUN_STAT_FIELDS = [
+  { key: 'shots', format: (stats) => formatNumber(stats.shots) },
+  { key: 'accuracy', format: (stats) => formatAccuracy(runAccuracy(stats)) },
+  { key: 'bugsKilled', format: (stats) => formatNumber(stats.bugsKilled) },
+  { key: 'bugsCaught', format: (stats) => formatNumber(stats.bugsCaught) },
+  { key: 'goodBarsShot', format: (stats) => formatNumber(stats.goodBarsShot) },
+  { key: 'barsMissed', format: (stats) => formatNumber(stats.barsMissed) },
+  { key: 'peakLevel', format: (stats) => formatNumber(stats.peakLevel) },
+  { key: 'longestStreak', format: (stats) => formatNumber(stats.longestStreak) },
+  { key: 'timeSurvived', format: (stats) => formatPlayTime(Math.round(stats.timeSurvived)) },
+];
+
+// Chart layout (px) and the colour of each line: one per player in versus,
+// a single one for the shared score otherwise
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 150;
+const CHART_PADDING = { top: 14, right: 12, bottom: 22, left: 36 };
+const CHART_LINE_COLORS = ['#ffd700', '#ff9ff3'];
+
+const runStatsListEl = document.getElementById('run-stats-list');
+const scoreChartCanvas = document.getElementById('score-chart');
+const scoreChartCtx = scoreChartCanvas.getContext('2d');
+const runTrendEl = document.getElementById('run-trend');
+const runHistoryBody = document.getElementById('run-history-body');
+
+let runHistory = loadRunHistory();
+
+// Statistics of the game in progress (or last finished), and whether it is
+// a live game that goes into the history
+let runStats = null;
+let runStatsLive = false;
+
+/**
+ * Read the saved run history, newest first.
+ * @returns {object[]}
+ */
+function loadRunHistory() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RUN_HISTORY_STORAGE_KEY));
+    if (stored && stored.version === RUN_HISTORY_VERSION && Array.isArray(stored.runs)) {
+      return stored.runs.filter((run) => run && typeof run === 'object' && Number.isFinite(run.score));
+    }
+  } catch (err) {
+    // Start with an empty history
+  }
+  return [];
+}
+
+/**
+ * Persist the run history to localStorage.
+ */
+function saveRunHistory() {
+  localStorage.setItem(RUN_HISTORY_STORAGE_KEY, JSON.stringify({ version: RUN_HISTORY_VERSION, runs: runHistory }));
+}
+
+/**
+ * Start collecting statistics for a new game, or carry on for a resumed one.
+ * @param {object} state - the game state from ForgeVaporCore
+ * @param {boolean} live - false while watching a replay, which stays out of the history
+ * @param {object|null} [saved] - runStats as saved with a resumed game (see
+ *   savegame.js); fresh statistics if missing or malformed
+ */
+function startRunStats(state, live, saved = null) {
+  runStatsLive = live;
+  runStats = {
+    shots: 0,
+    hits: 0,
+    bugsKilled: 0,
+    bugsCaught: 0,
+    goodBarsShot: 0,
+    barsMissed: 0,
+    peakLevel: state.level,
+    streak: 0,
+    longestStreak: 0,
+    timeSurvived: 0,
+    samples: [scoreSample(state)],
+  };
+  const resumed = saved && typeof saved === 'object' &&
+    Object.keys(runStats).every((key) => typeof saved[key] === typeof runStats[key]) &&
+    Array.isArray(saved.samples);
+  if (resumed) runStats = saved;
+}
+
+/**
+ * Keep the game in progress out of the run history from now on. Its
+ * statistics are still collected and shown when it ends.
+ */
+function stopRunStats() {
+  runStatsLive = false;
+}
+
+/**
+ * The score(s) plotted on the chart: each player's in versus, otherwise
+ * the shared one.
+ * @param {object} state
+ * @returns {number[]}
+ */
+function scoreSample(state) {
+  return state.lives === null ? state.players.map((player) => player.score) : [state.score];
+}
+
+/**
+ * Tally one step's events into the run's statistics and sample the score
+ * whenever another SCORE_SAMPLE_INTERVAL of game time has passed.
+ * @param {object} state - game state after the step
+ * @param {object[]} events - events returned by ForgeVaporCore.step()
+ */
+function handleStatsEvents(state, events) {
+  if (!runStats) return;
+  const stats = runStats;
+  events.forEach((event) => {
+    switch (event.type) {
+      case 'shot':
+        stats.shots++;
+        break;
+      case 'bugKilled':
+        stats.hits++;
+        stats.bugsKilled++;
+        break;
+      case 'bossHit':
+      case 'bossDefeated':
+        stats.hits++;
+        break;
+      case 'goodBarShot':
+        // Power‑ups count as hits, but only stars are shot by mistake
+        stats.hits++;
+        if (event.bar.type === 'good') {
+          stats.goodBarsShot++;
+          stats.streak = 0;
+        }
+        break;
+      case 'barCaught':
+        stats.streak++;
+        stats.longestStreak = Math.max(stats.longestStreak, stats.streak);
+        break;
+      case 'bugCaught':
+        stats.bugsCaught++;
+        stats.streak = 0;
+        break;
+      case 'barMissed':
+        stats.barsMissed++;
+        if (event.bar.type === 'good') stats.streak = 0;
+        break;
+      case 'levelUp':
+        stats.peakLevel = Math.max(stats.peakLevel, event.level);
+        break;
+    }
+  });
+  stats.timeSurvived = state.elapsed;
+  if (state.elapsed >= stats.samples.length * SCORE_SAMPLE_INTERVAL) {
+    stats.samples.push(scoreSample(state));
+  }
+}
+
+/**
+ * Share of shots that hit something.
+ * @param {{shots: number, hits: number}} stats
+ * @returns {number|null} between 0 and 1; null if nothing was fired
+ */
+function runAccuracy(stats) {
+  return stats.shots > 0 ? Math.min(stats.hits / stats.shots, 1) : null;
+}
+
+/**
+ * Format an accuracy as a percentage, or a dash if nothing was fired.
+ * @param {number|null} accuracy
+ * @returns {string}
+ */
+function formatAccuracy(accuracy) {
+  return accuracy === null ? '–' : formatNumber(accuracy, { style: 'percent' });
+}
+
+/**
+ * Wrap up the run that just ended: show its statistics and chart on the
+ * game over screen and, for a live game, add it to the history.
+ * @param {object} state - the finished game state
+ */
+function finishRunStats(state) {
+  if (!runStats) return;
+  runStats.timeSurvived = state.elapsed;
+  runStats.samples.push(scoreSample(state));
+  if (runStatsLive) {
+    runHistory.unshift({
+      date: new Date().toISOString(),
+      mode: state.mode,
+      playerMode: state.playerMode,
+      score: state.score,
+      accuracy: runAccuracy(runStats),
+      peakLevel: runStats.peakLevel,
+      timeSurvived: Math.round(state.elapsed),
+    });
+    runHistory = runHistory.slice(0, RUN_HISTORY_LIMIT);
+    saveRunHistory();
+  }
+  renderRunStats();
+}
+
+/**
+ * Fill the statistics panel, chart, trend and history on the game over
+ * screen from the last run.
+ */
+function renderRunStats() {
+  if (!runStats) return;
+  runStatsListEl.innerHTML = '';
+  RUN_STAT_FIELDS.forEach((field) => {
+    const term = document.createElement('dt');
+    term.textContent = t(`stats.${field.key}`);
+    const value = document.createElement('dd');
+    value.textContent = field.format(runStats);
+    runStatsListEl.appendChild(term);
+    runStatsListEl.appendChild(value);
+  });
+  drawScoreChart(runStats.samples, runStats.timeSurvived);
+  renderRunTrend();
+  renderRunHistory();
+}
+
+/**
+ * Plot the sampled score against game time.
+ * @param {number[][]} samples - one sample per SCORE_SAMPLE_INTERVAL, the
+ *   last one taken when the game ended
+ * @param {number} duration - game time (seconds)
+ */
+function drawScoreChart(samples, duration) {
+  const width = CHART_WIDTH;
+  const height = CHART_HEIGHT;
+  // As sharp as the game canvas at the size the game is shown
+  scoreChartCanvas.width = Math.round(width * displayPixelRatio);
+  scoreChartCanvas.height = Math.round(height * displayPixelRatio);
+  scoreChartCtx.setTransform(scoreChartCanvas.width / width, 0, 0, scoreChartCanvas.height / height, 0, 0);
+  const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+  const maxScore = Math.max(1, ...samples.map((sample) => Math.max(...sample)));
+  const maxTime = Math.max(duration, SCORE_SAMPLE_INTERVAL);
+  // The samples are evenly spaced except for the final one
+  const timeOf = (index) => (index === samples.length - 1 ? duration : index * SCORE_SAMPLE_INTERVAL);
+  const xOf = (time) => CHART_PADDING.left + (Math.min(time, maxTime) / maxTime) * plotWidth;
+  const yOf = (score) => CHART_PADDING.top + plotHeight - (score / maxScore) * plotHeight;
+
+  scoreChartCtx.clearRect(0, 0, width, height);
+  scoreChartCtx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+  scoreChartCtx.fillRect(0, 0, width, height);
+  // Axes
+  scoreChartCtx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+  scoreChartCtx.lineWidth = 1;
+  scoreChartCtx.beginPath();
+  scoreChartCtx.moveTo(CHART_PADDING.left, CHART_PADDING.top);
+  scoreChartCtx.lineTo(CHART_PADDING.left, CHART_PADDING.top + plotHeight);
+  scoreChartCtx.lineTo(CHART_PADDING.left + plotWidth, CHART_PADDING.top + plotHeight);
+  scoreChartCtx.stroke();
+  // Axis labels: the top score and the length of the game
+  scoreChartCtx.fillStyle = '#ffffff';
+  scoreChartCtx.font = '11px sans-serif';
+  scoreChartCtx.textAlign = 'right';
+  scoreChartCtx.textBaseline = 'middle';
+  scoreChartCtx.fillText(formatNumber(maxScore), CHART_PADDING.left - 6, CHART_PADDING.top);
+  scoreChartCtx.fillText(formatNumber(0), CHART_PADDING.left - 6, CHART_PADDING.top + plotHeight);
+  scoreChartCtx.textBaseline = 'top';
+  scoreChartCtx.fillText(formatPlayTime(Math.round(duration)), CHART_PADDING.left + plotWidth, CHART_PADDING.top + plotHeight + 6);
+  scoreChartCtx.textAlign = 'left';
+  scoreChartCtx.fillText(t('stats.chartTitle'), CHART_PADDING.left + 6, 2);
+  // One line per series
+  samples[0].forEach((_, series) => {
+    scoreChartCtx.strokeStyle = CHART_LINE_COLORS[series];
+    scoreChartCtx.lineWidth = 2;
+    scoreChartCtx.beginPath();
+    samples.forEach((sample, index) => {
+      const x = xOf(timeOf(index));
+      const y = yOf(sample[series]);
+      if (index === 0) {
+        scoreChartCtx.moveTo(x, y);
+      } else {
+        scoreChartCtx.lineTo(x, y);
+      }
+    });
+    scoreChartCtx.stroke();
+  });
+  scoreChartCanvas.setAttribute('aria-label', t('stats.chartLabel', {
+    score: Math.max(...samples[samples.length - 1]),
+    time: formatPlayTime(Math.round(duration)),
+  }));
+}
+
+/**
+ * Compare the last live run with the average of the runs before it in the
+ * same mode, e.g. "12 more stars than your average of the last 5 runs".
+ */
+function renderRunTrend() {
+  runTrendEl.textContent = '';
+  if (!runStatsLive || runHistory.length === 0) return;
+  const [latest, ...earlier] = runHistory;
+  const previous = earlier
+    .filter((run) => run.mode === latest.mode && run.playerMode === latest.playerMode)
+    .slice(0, RUN_TREND_COUNT);
+  if (previous.length === 0) return;
+  const average = previous.reduce((sum, run) => sum + run.score, 0) / previous.length;
+  const difference = Math.round(latest.score - average);
+  const params = { count: previous.length, average: Math.round(average), difference: Math.abs(difference) };
+  if (difference > 0) {
+    runTrendEl.textContent = t('stats.trendUp', params);
+  } else if (difference < 0) {
+    runTrendEl.textContent = t('stats.trendDown', params);
+  } else {
+    runTrendEl.textContent = t('stats.trendSame', params);
+  }
+}
+
+/**
+ * List the recent runs, newest first, the last live one highlighted.
+ */
+function renderRunHistory() {
+  runHistoryBody.innerHTML = '';
+  if (runHistory.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.textContent = t('stats.noHistory');
+    row.appendChild(cell);
+    runHistoryBody.appendChild(row);
+    return;
+  }
+  runHistory.forEach((run, index) => {
+    const row = document.createElement('tr');
+    if (index === 0 && runStatsLive) row.className = 'latest';
+    const date = new Date(run.date).toLocaleDateString(currentLocale(), { day: 'numeric', month: 'short' });
+    const mode = run.playerMode === 'single'
+      ? gameModeLabel(run.mode)
+      : `${gameModeLabel(run.mode)}, ${playerModeLabel(run.playerMode)}`;
+    [
+      date,
+      mode,
+      formatNumber(run.score),
+      formatAccuracy(run.accuracy),
+      formatNumber(run.peakLevel),
+      formatPlayTime(run.timeSurvived),
+    ].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    runHistoryBody.appendChild(row);
+  });
+}
+
+// The panel's labels and numbers follow the language
+onLocaleChange(renderRunStats);
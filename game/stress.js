@@ -0,0 +1,135 @@
+/*
+ * Stress test for the Forge & Vapor mini‑game, for checking performance
+ * with far more on screen than any level produces.
+ *
+ * Opening the game with ?stress (or ?stress=<count>, 2000 by default) turns
+ * the Start button into a stress test: an Endless game that cannot be lost,
+ * kept topped up with that many bars and particles while the player sweeps
+ * across the field firing on its own. A panel in the corner reports frame
+ * rate, how long the simulation steps and drawing take and how many
+ * entities there are. Stress games are never recorded or scored; quit them
+ * from the pause screen. Loaded after stats.js and before script.js.
+ */
+
+const STRESS_PARAM = 'stress';
+const STRESS_DEFAULT_COUNT = 2000;
+const STRESS_MIN_COUNT = 100;
+const STRESS_MAX_COUNT = 20000;
+// Frames the reported times are averaged (and maxed) over
+const STRESS_WINDOW = 120;
+// How often the report is redrawn (ms)
+const STRESS_REPORT_INTERVAL = 500;
+// Bars and particles are topped up gradually, at most this fraction of the
+// target per step, so they don't all arrive in one wave
+const STRESS_FILL_RATE = 1 / 60;
+// Shots fired per second, and how long one sweep across the field takes
+const STRESS_FIRE_RATE = 12;
+const STRESS_SWEEP_TIME = 3; // seconds
+const STRESS_PARTICLE_COLOR = '#f39c12';
+
+const stressReportEl = document.getElementById('stress-report');
+const stressNoteEl = document.getElementById('stress-note');
+
+// Bars and particles to keep on screen, or null when not testing
+const stressTarget = parseStressTarget();
+
+// The latest frames: frame interval, update and draw times (ms) and the
+// simulation steps taken
+const stressFrames = [];
+let stressReportTime = 0;
+
+/**
+ * Read the stress test size from the page URL.
+ * @returns {number|null} null without ?stress
+ */
+function parseStressTarget() {
+  const value = new URLSearchParams(window.location.search).get(STRESS_PARAM);
+  if (value === null) return null;
+  const count = parseInt(value, 10);
+  if (!Number.isFinite(count)) return STRESS_DEFAULT_COUNT;
+  return Math.min(STRESS_MAX_COUNT, Math.max(STRESS_MIN_COUNT, count));
+}
+
+/**
+ * Options for ForgeVaporCore.createGame() that start a stress game: Endless
+ * with errors that never run out, and the classic weapon so cooldown and
+ * overheating don't thin out the autopilot's bullets.
+ * @returns {object}
+ */
+function stressGameOptions() {
+  return {
+    config: Object.assign({}, ForgeVaporCore.DEFAULT_CONFIG, { initialLives: Infinity }),
+    mode: 'endless',
+    playerMode: 'single',
+    weaponSystem: false,
+  };
+}
+
+/**
+ * Get a stress game ready for its next step: top up the bars and particles
+ * and queue the autopilot's movement and shots.
+ * @param {object} state - the stress game
+ */
+function driveStressTest(state) {
+  const perStep = Math.ceil(stressTarget * STRESS_FILL_RATE);
+  const missingBars = stressTarget - state.bars.length;
+  if (missingBars > 0) ForgeVaporCore.dropBars(state, Math.min(perStep, missingBars));
+  for (let added = 0; particles.length < stressTarget && added < perStep; added += 8) {
+    createParticles(
+      Math.random() * ForgeVaporCore.WORLD_WIDTH,
+      Math.random() * ForgeVaporCore.WORLD_HEIGHT,
+      STRESS_PARTICLE_COLOR
+    );
+  }
+  // Sweep back and forth across the field, firing steadily
+  const sweep = (state.elapsed % (STRESS_SWEEP_TIME * 2)) / STRESS_SWEEP_TIME;
+  pendingPointerX = (sweep < 1 ? sweep : 2 - sweep) * ForgeVaporCore.WORLD_WIDTH;
+  const stepsPerShot = Math.max(1, Math.round(1000 / (ForgeVaporCore.FIXED_STEP * STRESS_FIRE_RATE)));
+  if (state.steps % stepsPerShot === 0) pendingShots[0]++;
+}
+
+/**
+ * Note how long a frame took and refresh the report now and then.
+ * @param {object} state - the stress game
+ * @param {number} interval - time since the previous frame (ms)
+ * @param {number} updateTime - time spent in simulation steps (ms)
+ * @param {number} drawTime - time spent drawing (ms)
+ * @param {number} steps - simulation steps taken this frame
+ */
+function recordStressFrame(state, interval, updateTime, drawTime, steps) {
+  stressFrames.push({ interval: interval, updateTime: updateTime, drawTime: drawTime, steps: steps });
+  if (stressFrames.length > STRESS_WINDOW) stressFrames.shift();
+  const now = performance.now();
+  if (now - stressReportTime < STRESS_REPORT_INTERVAL) return;
+  stressReportTime = now;
+  const average = (key) => stressFrames.reduce((sum, frame) => sum + frame[key], 0) / stressFrames.length;
+  const totalSteps = stressFrames.reduce((sum, frame) => sum + frame.steps, 0);
+  const ms = (value) => formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const frameInterval = average('interval');
+  stressReportEl.textContent = t('stress.report', {
+    fps: frameInterval > 0 ? Math.round(1000 / frameInterval) : 0,
+    frame: ms(average('updateTime') + average('drawTime')),
+    frameMax: ms(Math.max(...stressFrames.map((frame) => frame.updateTime + frame.drawTime))),
+    step: ms(totalSteps > 0 ? stressFrames.reduce((sum, frame) => sum + frame.updateTime, 0) / totalSteps : 0),
+    draw: ms(average('drawTime')),
+    bars: state.bars.length,
+    bullets: state.bullets.length,
+    particles: particles.length,
+  });
+}
+
+/**
+ * Show the stress test's note on the start screen and its report in play.
+ */
+function initStressTest() {
+  if (stressTarget === null) return;
+  const describe = () => {
+    stressNoteEl.textContent = t('stress.note', { count: stressTarget });
+  };
+  describe();
+  onLocaleChange(describe);
+  stressNoteEl.classList.remove('hidden');
+  stressReportEl.classList.remove('hidden');
+}
+
+initStressTest();
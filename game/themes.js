@@ -0,0 +1,695 @@
+/*
+ * Theme packs for the Forge & Vapor mini‑game.
+ *
+ * A theme decides the artwork (background, player and bar images, which may
+ * be sprite sheets), the bar colours of the standard palette, how bullets and bursts look, the random
+ * player names and the floating texts, so the game can be reskinned for
+ * another stack. The Laravel look is the built‑in default. Further themes
+ * are loaded on the start screen from a folder or a zip file holding a
+ * theme.json manifest (see validateTheme()) and its images; they are kept
+ * in localStorage, images included, when there is room. The picked theme's
+ * images are preloaded through assets.js and then handed to renderer.js
+ * with the theme through setTheme(); its names go to createGame() by
+ * script.js. Loaded after renderer.js and before accessibility.js and
+ * script.js.
+ */
+
+const THEME_STORAGE_KEY = 'forgeVaporTheme';
+const USER_THEMES_STORAGE_KEY = 'forgeVaporUserThemes';
+// Version of the theme.json format
+const THEME_VERSION = 1;
+const THEME_MANIFEST = 'theme.json';
+// Largest image a theme may carry, in bytes
+const THEME_IMAGE_MAX_SIZE = 2 * 1024 * 1024;
+// Image files a theme may use, by extension
+const THEME_IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+const BULLET_SHAPES = ['circle', 'square', 'diamond'];
+// Images a theme can have; the bars are drawn by hand unless it has them
+const THEME_IMAGES = ['background', 'player', 'goodBar', 'badBar'];
+// Images that can be sprite sheets, and the animations the renderer plays
+// on each (every sheet needs 'idle', which stands in for the others)
+const THEME_SPRITES = {
+  player: ['idle', 'move', 'hit', 'celebrate'],
+  goodBar: ['idle'],
+  badBar: ['idle'],
+};
+
+// The game's own look. Its bars use the standard palette, whose colour names
+// come from the message catalogues, and its floating texts the catalogues'
+// 'effect.kill' and 'effect.fix' lists.
+const DEFAULT_THEME = Object.freeze({
+  id: 'laravel',
+  name: 'Laravel',
+  images: { background: 'forge.jpg', player: 'vapor.jpg' },
+  // The Vapor is a still image, so it gets poses of its own (see
+  // buildPoseSheet())
+  sprites: {},
+  palette: null,
+  bullet: { color: '#3498db', shape: 'circle' },
+  particles: { penalty: '#8e44ad', goodBarShot: '#bdc3c7' },
+  names: ForgeVaporCore.PLAYER_NAMES,
+  messages: { kill: null, fix: null },
+});
+
+const themeSelect = document.getElementById('theme-select');
+const loadThemeBtn = document.getElementById('load-theme-btn');
+const loadThemeFolderBtn = document.getElementById('load-theme-folder-btn');
+const removeThemeBtn = document.getElementById('remove-theme-btn');
+const themeFileInput = document.getElementById('theme-file-input');
+const themeFolderInput = document.getElementById('theme-folder-input');
+const themeStatusEl = document.getElementById('theme-status');
+const themeProblemsEl = document.getElementById('theme-problems');
+
+// Themes loaded by the player, in the order they were added
+let userThemes = loadUserThemes();
+let currentTheme = DEFAULT_THEME;
+
+// Called after another theme is picked
+const themeListeners = [];
+
+/**
+ * Check a parsed theme.json and complete it from the default theme.
+ *
+ * The data is `{ version: 1, name, … }`; everything but the name is
+ * optional:
+ *  - images: { background, player, goodBar, badBar }, paths of image files
+ *    in the pack; bars without images are drawn in the palette colours
+ *  - sprites: { player, goodBar, badBar }, how to cut those images into
+ *    frames: { frameWidth, frameHeight, animations: { idle: { frames,
+ *    fps, loop }, … } } with frames numbered left to right, top to bottom.
+ *    The player can have idle, move, hit and celebrate animations, bars
+ *    idle only; idle is required. A player image without a sheet is posed
+ *    automatically
+ *  - palette: { good, bad, boss, goodName, badName }, bar colours as
+ *    '#rrggbb' plus the colour names used in the instructions banner
+ *  - bullet: { color, shape }, shape being 'circle', 'square' or 'diamond'
+ *  - particles: { penalty, goodBarShot }, burst colours for catching a bug
+ *    and for shooting a star
+ *  - names: at least two random player names
+ *  - messages: { kill, fix }, lists of floating texts for shooting and for
+ *    catching a bug
+ * The image paths are left for readThemePack() to resolve.
+ * @param {*} data
+ * @returns {{theme: object|null, errors: string[]}} the completed theme, or
+ *   null with a list of problems
+ */
+function validateTheme(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object') {
+    return { theme: null, errors: ['The theme must be a JSON object.'] };
+  }
+  if (data.version !== THEME_VERSION) errors.push(`Unsupported theme format version ${data.version}; expected ${THEME_VERSION}.`);
+  if (typeof data.name !== 'string' || !data.name.trim() || data.name.length > 40) {
+    errors.push('name must be a text of 1 to 40 characters.');
+  }
+  const theme = {
+    id: `user:${String(data.name).trim().toLowerCase()}`,
+    name: String(data.name).trim(),
+    images: Object.assign({}, DEFAULT_THEME.images),
+    sprites: {},
+    palette: null,
+    bullet: Object.assign({}, DEFAULT_THEME.bullet),
+    particles: Object.assign({}, DEFAULT_THEME.particles),
+    names: DEFAULT_THEME.names,
+    messages: Object.assign({}, DEFAULT_THEME.messages),
+  };
+  checkThemeSection(data.images, 'images', errors, (images) => {
+    THEME_IMAGES.forEach((key) => {
+      if (images[key] === undefined) return;
+      if (typeof images[key] !== 'string' || !images[key]) {
+        errors.push(`images.${key} must be the path of an image file.`);
+      } else if (!THEME_IMAGE_TYPES[fileExtension(images[key])]) {
+        errors.push(`images.${key} must be one of: ${Object.keys(THEME_IMAGE_TYPES).join(', ')}.`);
+      } else {
+        theme.images[key] = images[key];
+      }
+    });
+  });
+  checkThemeSection(data.sprites, 'sprites', errors, (sprites) => {
+    Object.keys(sprites).forEach((key) => {
+      if (!THEME_SPRITES[key]) {
+        errors.push(`sprites.${key} is not an image that can be animated.`);
+      } else if (!data.images || data.images[key] === undefined) {
+        errors.push(`sprites.${key} needs an image in images.${key}.`);
+      } else {
+        theme.sprites[key] = checkSpriteSheet(sprites[key], `sprites.${key}`, THEME_SPRITES[key], errors);
+      }
+    });
+  });
+  checkThemeSection(data.palette, 'palette', errors, (palette) => {
+    const good = checkColor(palette.good, 'palette.good', errors);
+    const bad = checkColor(palette.bad, 'palette.bad', errors);
+    theme.palette = {
+      good: good,
+      bad: bad,
+      // Bosses default to the bug colour
+      boss: palette.boss === undefined ? bad : checkColor(palette.boss, 'palette.boss', errors),
+      goodName: checkText(palette.goodName, 'palette.goodName', errors),
+      badName: checkText(palette.badName, 'palette.badName', errors),
+    };
+  });
+  checkThemeSection(data.bullet, 'bullet', errors, (bullet) => {
+    if (bullet.color !== undefined) theme.bullet.color = checkColor(bullet.color, 'bullet.color', errors);
+    if (bullet.shape !== undefined) {
+      if (BULLET_SHAPES.indexOf(bullet.shape) === -1) {
+        errors.push(`bullet.shape must be one of: ${BULLET_SHAPES.join(', ')}.`);
+      } else {
+        theme.bullet.shape = bullet.shape;
+      }
+    }
+  });
+  checkThemeSection(data.particles, 'particles', errors, (particles) => {
+    ['penalty', 'goodBarShot'].forEach((key) => {
+      if (particles[key] !== undefined) theme.particles[key] = checkColor(particles[key], `particles.${key}`, errors);
+    });
+  });
+  if (data.names !== undefined) {
+    theme.names = checkTextList(data.names, 'names', 2, 20, errors);
+  }
+  checkThemeSection(data.messages, 'messages', errors, (messages) => {
+    ['kill', 'fix'].forEach((key) => {
+      if (messages[key] !== undefined) theme.messages[key] = checkTextList(messages[key], `messages.${key}`, 1, 60, errors);
+    });
+  });
+  return errors.length > 0 ? { theme: null, errors: errors } : { theme: theme, errors: [] };
+}
+
+/**
+ * Check an optional object of a theme and hand it on when it is one.
+ * @param {*} section
+ * @param {string} path - for error messages
+ * @param {string[]} errors
+ * @param {(section: object) => void} check
+ */
+function checkThemeSection(section, path, errors, check) {
+  if (section === undefined) return;
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    errors.push(`${path} must be an object.`);
+    return;
+  }
+  check(section);
+}
+
+/**
+ * Check how a theme image is cut into frames and animated. Whether the
+ * frames exist is only known once the image has loaded (see createSprite()).
+ * @param {*} sheet
+ * @param {string} path - for error messages
+ * @param {string[]} animations - the animations allowed
+ * @param {string[]} errors
+ * @returns {object}
+ */
+function checkSpriteSheet(sheet, path, animations, errors) {
+  const result = { animations: {} };
+  checkThemeSection(sheet, path, errors, () => {
+    result.frameWidth = checkThemeNumber(sheet.frameWidth, `${path}.frameWidth`, 1, 4096, errors);
+    result.frameHeight = checkThemeNumber(sheet.frameHeight, `${path}.frameHeight`, 1, 4096, errors);
+    checkThemeSection(sheet.animations, `${path}.animations`, errors, (list) => {
+      if (!list.idle) errors.push(`${path}.animations needs an idle animation.`);
+      Object.keys(list).forEach((name) => {
+        const animationPath = `${path}.animations.${name}`;
+        if (animations.indexOf(name) === -1) {
+          errors.push(`${animationPath} is not one of: ${animations.join(', ')}.`);
+          return;
+        }
+        const animation = list[name] || {};
+        const frames = animation.frames;
+        if (!Array.isArray(frames) || frames.length === 0 || frames.length > 64 ||
+          !frames.every((frame) => Number.isInteger(frame) && frame >= 0 && frame < 1024)) {
+          errors.push(`${animationPath}.frames must be a list of 1 to 64 frame numbers from 0 to 1023.`);
+        }
+        if (animation.loop !== undefined && typeof animation.loop !== 'boolean') {
+          errors.push(`${animationPath}.loop must be true or false.`);
+        }
+        result.animations[name] = {
+          frames: Array.isArray(frames) ? frames : [0],
+          fps: animation.fps === undefined ? 8 : checkThemeNumber(animation.fps, `${animationPath}.fps`, 0.1, 60, errors),
+          // Being hit and celebrating play once; idling and moving go on
+          loop: typeof animation.loop === 'boolean' ? animation.loop : name === 'idle' || name === 'move',
+        };
+      });
+    });
+  });
+  if (sheet && sheet.animations === undefined) errors.push(`${path}.animations is required.`);
+  return result;
+}
+
+/**
+ * Check a number in a theme.
+ * @param {*} value
+ * @param {string} path - for error messages
+ * @param {number} min
+ * @param {number} max
+ * @param {string[]} errors
+ * @returns {number}
+ */
+function checkThemeNumber(value, path, min, max, errors) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    errors.push(`${path} must be a number from ${min} to ${max}.`);
+    return min;
+  }
+  return value;
+}
+
+/**
+ * Check a colour in a theme.
+ * @param {*} value
+ * @param {string} path - for error messages
+ * @param {string[]} errors
+ * @returns {string} the colour, in lower case
+ */
+function checkColor(value, path, errors) {
+  if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+    errors.push(`${path} must be a colour written as #rrggbb.`);
+    return '#000000';
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * Check an optional short text in a theme.
+ * @param {*} value
+ * @param {string} path - for error messages
+ * @param {string[]} errors
+ * @returns {string|null}
+ */
+function checkText(value, path, errors) {
+  if (value === undefined) return null;
+  if (typeof value !== 'string' || !value.trim() || value.length > 30) {
+    errors.push(`${path} must be a text of 1 to 30 characters.`);
+    return null;
+  }
+  return value.trim();
+}
+
+/**
+ * Check a list of texts in a theme.
+ * @param {*} list
+ * @param {string} path - for error messages
+ * @param {number} minLength - fewest entries allowed
+ * @param {number} maxTextLength - longest entry allowed
+ * @param {string[]} errors
+ * @returns {string[]}
+ */
+function checkTextList(list, path, minLength, maxTextLength, errors) {
+  const valid = Array.isArray(list) && list.length >= minLength && list.length <= 50 &&
+    list.every((text) => typeof text === 'string' && text.trim() && text.length <= maxTextLength);
+  if (!valid) {
+    errors.push(`${path} must be a list of ${minLength} to 50 texts of up to ${maxTextLength} characters.`);
+    return [];
+  }
+  return list.map((text) => text.trim());
+}
+
+/**
+ * The lower‑case extension of a file name, e.g. 'png'.
+ * @param {string} path
+ * @returns {string}
+ */
+function fileExtension(path) {
+  const match = /\.([^./]+)$/.exec(path);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Read a theme from the files of a pack: the folder or zip contents, or a
+ * lone theme.json. The manifest is the theme.json closest to the top and
+ * image paths are relative to it. Images are turned into data URLs so the
+ * theme can be stored.
+ * @param {{path: string, blob: Blob}[]} files
+ * @returns {Promise<object>} the theme; rejects with an Error whose
+ *   `problems` list what is wrong with it
+ */
+function readThemePack(files) {
+  const manifests = files
+    .filter((file) => file.path === THEME_MANIFEST || file.path.endsWith(`/${THEME_MANIFEST}`) || files.length === 1)
+    .sort((a, b) => a.path.split('/').length - b.path.split('/').length);
+  if (manifests.length === 0) return Promise.reject(themeProblems([`The pack has no ${THEME_MANIFEST}.`]));
+  const manifest = manifests[0];
+  const base = manifest.path.slice(0, manifest.path.lastIndexOf('/') + 1);
+  return manifest.blob.text()
+    .then((text) => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        throw themeProblems([`${THEME_MANIFEST} is not valid JSON.`]);
+      }
+      const result = validateTheme(data);
+      if (result.errors.length > 0) throw themeProblems(result.errors);
+      const theme = result.theme;
+      // Images the manifest doesn't name stay the default theme's
+      const keys = Object.keys(theme.images).filter((key) => data.images && data.images[key] !== undefined);
+      const problems = [];
+      return Promise.all(keys.map((key) => {
+        const path = base + theme.images[key].replace(/^\.\//, '');
+        const file = files.find((candidate) => candidate.path === path);
+        if (!file) {
+          problems.push(`images.${key}: the pack has no file ${theme.images[key]}.`);
+          return null;
+        }
+        if (file.blob.size > THEME_IMAGE_MAX_SIZE) {
+          problems.push(`images.${key}: ${theme.images[key]} is larger than ${THEME_IMAGE_MAX_SIZE / 1024 / 1024} MB.`);
+          return null;
+        }
+        const typed = new Blob([file.blob], { type: THEME_IMAGE_TYPES[fileExtension(path)] });
+        return blobToDataUrl(typed).then((url) => {
+          theme.images[key] = url;
+        });
+      })).then(() => {
+        if (problems.length > 0) throw themeProblems(problems);
+        return theme;
+      });
+    });
+}
+
+/**
+ * An Error carrying the problems found in a theme.
+ * @param {string[]} problems
+ * @returns {Error}
+ */
+function themeProblems(problems) {
+  const error = new Error(problems[0]);
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Read a blob into a data URL.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * List the files in a zip archive. Stored and deflated entries are
+ * supported, which covers what the usual zip tools write; Zip64 and
+ * encrypted archives are not.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<{path: string, blob: Blob}[]>}
+ */
+function readZip(buffer) {
+  const view = new DataView(buffer);
+  const entries = [];
+  try {
+    // The end of central directory record closes the file, followed only by
+    // a comment of up to 64 KiB
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) throw new Error('not a zip file');
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('damaged zip file');
+      const method = view.getUint16(offset + 10, true);
+      const size = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+      // Folders, and the resource forks macOS adds, hold nothing of interest
+      if (path.endsWith('/') || path.startsWith('__MACOSX/')) continue;
+      // The local header's name and extra field may differ in length from
+      // the central directory's
+      const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      entries.push({ path: path, method: method, data: new Uint8Array(buffer, start, size) });
+    }
+  } catch (err) {
+    return Promise.reject(err instanceof RangeError ? new Error('damaged zip file') : err);
+  }
+  return Promise.all(entries.map((entry) => {
+    if (entry.method === 0) return { path: entry.path, blob: new Blob([entry.data]) };
+    if (entry.method !== 8) return Promise.reject(new Error(`${entry.path} uses an unsupported compression`));
+    const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).blob().then((blob) => ({ path: entry.path, blob: blob }));
+  }));
+}
+
+/**
+ * Read the themes the player loaded earlier.
+ * @returns {object[]}
+ */
+function loadUserThemes() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(USER_THEMES_STORAGE_KEY));
+    if (!Array.isArray(stored)) return [];
+    // Themes kept before sprites existed have none
+    return stored
+      .map((theme) => (theme && theme.sprites === undefined ? Object.assign({}, theme, { sprites: {} }) : theme))
+      .filter(isStoredTheme);
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Whether a stored entry still looks like a theme this version can draw.
+ * Themes are checked when they are loaded, so this only guards against
+ * hand edited or outdated storage.
+ * @param {*} theme
+ * @returns {boolean}
+ */
+function isStoredTheme(theme) {
+  const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/.test(value);
+  return Boolean(theme) && typeof theme.id === 'string' && theme.id.startsWith('user:') && typeof theme.name === 'string' &&
+    Boolean(theme.images) && ['background', 'player'].every((key) => typeof theme.images[key] === 'string') &&
+    Boolean(theme.sprites) && typeof theme.sprites === 'object' &&
+    Object.keys(theme.sprites).every((key) => THEME_SPRITES[key] && typeof theme.images[key] === 'string') &&
+    (theme.palette === null || (Boolean(theme.palette) && ['good', 'bad', 'boss'].every((key) => isColor(theme.palette[key])))) &&
+    Boolean(theme.bullet) && isColor(theme.bullet.color) && BULLET_SHAPES.indexOf(theme.bullet.shape) !== -1 &&
+    Boolean(theme.particles) && isColor(theme.particles.penalty) && isColor(theme.particles.goodBarShot) &&
+    Array.isArray(theme.names) && theme.names.length >= 2 &&
+    Boolean(theme.messages) && ['kill', 'fix'].every((key) => theme.messages[key] === null || Array.isArray(theme.messages[key]));
+}
+
+/**
+ * Persist the player's themes to localStorage.
+ * @returns {boolean} false when they don't fit
+ */
+function saveUserThemes() {
+  try {
+    localStorage.setItem(USER_THEMES_STORAGE_KEY, JSON.stringify(userThemes));
+    return true;
+  } catch (err) {
+    // Usually the storage quota; the themes still last until the page closes
+    return false;
+  }
+}
+
+/**
+ * The theme in use.
+ * @returns {object}
+ */
+function activeTheme() {
+  return currentTheme;
+}
+
+/**
+ * The random player names of the theme in use, for createGame().
+ * @returns {string[]}
+ */
+function currentPlayerNames() {
+  return currentTheme.names;
+}
+
+/**
+ * Display name of a theme; the built‑in one is named in the catalogues.
+ * @param {object} theme
+ * @returns {string}
+ */
+function themeLabel(theme) {
+  return theme === DEFAULT_THEME ? t('theme.default') : theme.name;
+}
+
+/**
+ * Register a function to call whenever another theme is picked.
+ * @param {() => void} listener
+ */
+function onThemeChange(listener) {
+  themeListeners.push(listener);
+}
+
+/**
+ * Load a theme's images and cut them into sprites. Images that fail are
+ * listed by assets.js and come back as null, which the renderer draws
+ * without.
+ * @param {object} theme
+ * @returns {Promise<{background: HTMLImageElement|null, player: object|null,
+ *   goodBar: object|null, badBar: object|null}>} the images, the player and
+ *   bars as sprites
+ */
+function loadThemeAssets(theme) {
+  const assets = {};
+  return Promise.all(THEME_IMAGES.map((key) => {
+    const src = theme.images[key];
+    if (!src) {
+      assets[key] = null;
+      return null;
+    }
+    const sheet = theme.sprites[key];
+    const loading = loadImage(src).then((image) => {
+      if (key === 'background') return image;
+      if (sheet) return createSprite(image, sheet);
+      // Bars are only drawn from sheets; a still player gets poses
+      return key === 'player' ? buildPoseSheet(image) : createSprite(image, {
+        frameWidth: image.naturalWidth,
+        frameHeight: image.naturalHeight,
+        animations: { idle: { frames: [0], fps: 1, loop: true } },
+      });
+    });
+    // Packed images are data URLs, so they are named after the theme
+    const name = src.startsWith('data:') ? `${theme.name}: images.${key}` : src;
+    return trackAsset(loading, name).then(
+      (asset) => {
+        assets[key] = asset;
+      },
+      () => {
+        assets[key] = null;
+      }
+    );
+  })).then(() => assets);
+}
+
+/**
+ * Switch to a theme and remember the choice. The renderer keeps drawing the
+ * previous theme until the new one's images have loaded. An unknown id
+ * picks the default theme.
+ * @param {string} id
+ */
+function applyTheme(id) {
+  currentTheme = userThemes.find((theme) => theme.id === id) || DEFAULT_THEME;
+  try {
+    localStorage.setItem(THEME_STORAGE_KEY, currentTheme.id);
+  } catch (err) {
+    // The choice simply isn't remembered
+  }
+  const theme = currentTheme;
+  loadThemeAssets(theme).then((assets) => {
+    // Another theme may have been picked in the meantime
+    if (theme === currentTheme) setTheme(theme, assets);
+  });
+  renderThemePicker();
+  themeListeners.forEach((listener) => listener());
+}
+
+/**
+ * Add a freshly read theme, replacing any of the same name, and switch to it.
+ * @param {object} theme
+ */
+function addUserTheme(theme) {
+  userThemes = userThemes.filter((existing) => existing.id !== theme.id).concat(theme);
+  const saved = saveUserThemes();
+  applyTheme(theme.id);
+  themeStatusEl.textContent = t(saved ? 'theme.loaded' : 'theme.notKept', { name: theme.name });
+}
+
+/**
+ * Read a theme from the files the player picked and report how it went on
+ * the start screen.
+ * @param {Promise<{path: string, blob: Blob}[]>} files
+ */
+function importTheme(files) {
+  themeStatusEl.textContent = t('theme.loading');
+  renderProblemList(themeProblemsEl, []);
+  files
+    .then(readThemePack)
+    .then(addUserTheme)
+    .catch((err) => {
+      if (err.problems) {
+        themeStatusEl.textContent = t('theme.problems', { count: err.problems.length });
+        renderProblemList(themeProblemsEl, err.problems);
+      } else {
+        themeStatusEl.textContent = t('theme.unreadable', { error: err.message });
+      }
+    });
+}
+
+/**
+ * Fill the picker with the built‑in and loaded themes and select the one in
+ * use. Only loaded themes can be removed.
+ */
+function renderThemePicker() {
+  themeSelect.textContent = '';
+  [DEFAULT_THEME].concat(userThemes).forEach((theme) => {
+    const option = document.createElement('option');
+    option.value = theme.id;
+    option.textContent = themeLabel(theme);
+    themeSelect.appendChild(option);
+  });
+  themeSelect.value = currentTheme.id;
+  removeThemeBtn.classList.toggle('hidden', currentTheme === DEFAULT_THEME);
+}
+
+/**
+ * Wire up the theme picker and the buttons that load and remove themes,
+ * and apply the remembered theme.
+ */
+function initThemes() {
+  themeSelect.addEventListener('change', () => {
+    themeStatusEl.textContent = '';
+    renderProblemList(themeProblemsEl, []);
+    applyTheme(themeSelect.value);
+  });
+  loadThemeBtn.addEventListener('click', () => {
+    themeFileInput.click();
+  });
+  loadThemeFolderBtn.addEventListener('click', () => {
+    themeFolderInput.click();
+  });
+  themeFileInput.addEventListener('change', () => {
+    const file = themeFileInput.files[0];
+    // Reset so choosing the same file again still fires a change event
+    themeFileInput.value = '';
+    if (!file) return;
+    // A lone theme.json is a pack of one file
+    importTheme(fileExtension(file.name) === 'zip'
+      ? file.arrayBuffer().then(readZip)
+      : Promise.resolve([{ path: file.name, blob: file }]));
+  });
+  themeFolderInput.addEventListener('change', () => {
+    const files = Array.from(themeFolderInput.files).map((file) => ({ path: file.webkitRelativePath || file.name, blob: file }));
+    themeFolderInput.value = '';
+    if (files.length > 0) importTheme(Promise.resolve(files));
+  });
+  removeThemeBtn.addEventListener('click', () => {
+    const removed = currentTheme;
+    userThemes = userThemes.filter((theme) => theme !== removed);
+    saveUserThemes();
+    applyTheme(DEFAULT_THEME.id);
+    themeStatusEl.textContent = t('theme.removed', { name: removed.name });
+    renderProblemList(themeProblemsEl, []);
+  });
+  onLocaleChange(renderThemePicker);
+
+  let stored = null;
+  try {
+    stored = localStorage.getItem(THEME_STORAGE_KEY);
+  } catch (err) {
+    stored = null;
+  }
+  applyTheme(stored);
+}
+
+initThemes();
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+/*
+ * Reference leaderboard server for Forge & Vapor.
+ *
+ *   node server/leaderboard-server.js [port=8080] [dataFile=server/scores.json]
+ *
+ * Implements the protocol game/leaderboard.js speaks:
+ *
+ *   GET  /api/scores/<board>   → 200 { board, scores: [entry, …] }
+ *   POST /api/scores/<board>   body: entry
+ *                              → 201 { board, scores } for a new entry
+ *                              → 200 { board, scores } when an entry with the
+ *                                same id exists (only its name is changed)
+ *                              → 400 / 404 / 413 { error } if refused
+ *
+ * Boards are named '<mode>-<difficulty>': a game mode from core.js other than
+ * the Daily Challenge and one of its difficulty presets or 'custom', e.g.
+ * 'endless-hard'. Entries are checked before they are stored, most
+ * importantly that the score is no higher than a game on that board could
+ * plausibly reach in the time played. Everything else is served from the
+ * game/ folder, so the same server can host the game itself. Boards are kept
+ * in a JSON file; no dependencies beyond Node.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const core = require(path.join(__dirname, '..', 'game', 'core.js'));
+
+const port = parseInt(process.argv[2], 10) || 8080;
+const dataFile = path.resolve(process.argv[3] || path.join(__dirname, 'scores.json'));
+const gameDir = path.join(__dirname, '..', 'game');
+
+// Larger request bodies are refused outright
+const MAX_BODY_SIZE = 4096; // bytes
+const MAX_NAME_LENGTH = 20;
+// How far a client's clock may run ahead before its date is replaced
+const MAX_CLOCK_SKEW = 24 * 60 * 60 * 1000; // ms
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+};
+
+// The config each difficulty's games are played with. Custom games can use
+// any config, so they are checked against the most generous one allowed.
+const DIFFICULTY_CONFIGS = Object.assign({}, core.DIFFICULTY_PRESETS, {
+  custom: {
+    gameDuration: core.CONFIG_LIMITS.gameDuration.max,
+    winScore: core.CONFIG_LIMITS.winScore.max,
+  },
+});
+// Endless games have no time limit; anything longer than this is not believed
+const MAX_ENDLESS_PLAY_TIME = 24 * 60 * 60; // seconds
+// Game modes the game never submits scores for: Daily Challenge results are
+// kept in the browser (see showGameOverScreen() in game/script.js)
+const UNRANKED_MODES = ['daily'];
+
+let boards = loadBoards();
+
+/**
+ * Split a board name into its game mode and difficulty.
+ * @param {string} board
+ * @returns {{mode: string, difficulty: string}|null} null if there is no such board
+ */
+function parseBoard(board) {
+  const match = /^([A-Za-z]+)-([A-Za-z]+)$/.exec(board);
+  if (!match) return null;
+  const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+  if (!has(core.GAME_MODES, match[1]) || UNRANKED_MODES.includes(match[1])) return null;
+  if (!has(DIFFICULTY_CONFIGS, match[2])) return null;
+  return { mode: match[1], difficulty: match[2] };
+}
+
+/**
+ * Read the boards from the data file, starting empty if there is none.
+ * Files written before there were game modes name their boards after the
+ * difficulty alone; those were all classic games. Boards the server doesn't
+ * know and entries that wouldn't be accepted today are left out, so an
+ * edited or damaged file can't break the API.
+ * @returns {Object<string, object[]>}
+ */
+function loadBoards() {
+  try {
+    const stored = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    if (!stored || typeof stored.boards !== 'object') return {};
+    const loaded = {};
+    Object.keys(stored.boards).forEach((name) => {
+      const board = name.includes('-') ? name : `classic-${name}`;
+      const entries = stored.boards[name];
+      if (!parseBoard(board) || !Array.isArray(entries)) {
+        console.warn(`Ignoring board "${name}" in ${dataFile}`);
+        return;
+      }
+      const valid = entries.filter((entry) => isStoredEntry(board, entry));
+      if (valid.length < entries.length) {
+        console.warn(`Ignoring ${entries.length - valid.length} invalid entries on board "${name}" in ${dataFile}`);
+      }
+      loaded[board] = valid;
+    });
+    return loaded;
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`Ignoring unreadable ${dataFile}: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * Write the boards to the data file. A temporary file is renamed into place
+ * so a crash never leaves half a file behind.
+ */
+function saveBoards() {
+  const temp = `${dataFile}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify({ version: 3, boards: boards }, null, 2));
+  fs.renameSync(temp, dataFile);
+}
+
+/**
+ * Check a submitted entry against the rules of its board.
+ * @param {string} board
+ * @param {*} entry
+ * @returns {string|null} why the entry is refused, or null if it is fine
+ */
+function validateEntry(board, entry) {
+  if (!entry || typeof entry !== 'object') return 'The entry must be a JSON object.';
+  if (typeof entry.id !== 'string' || !/^[A-Za-z0-9-]{1,64}$/.test(entry.id)) return 'The entry needs an id.';
+  if (typeof entry.name !== 'string' || !entry.name.trim() || entry.name.trim().length > MAX_NAME_LENGTH) {
+    return `The name must be 1 to ${MAX_NAME_LENGTH} characters.`;
+  }
+  const { mode, difficulty } = parseBoard(board);
+  const rules = core.GAME_MODES[mode];
+  const config = DIFFICULTY_CONFIGS[difficulty];
+  // Time bonuses stretch timed games; core.simulateGame allows ten times their length too
+  const maxPlayTime = rules.timed ? config.gameDuration * 10 : MAX_ENDLESS_PLAY_TIME;
+  // Clients from before game modes send no play time; all their games were classic
+  const legacy = entry.playTime === undefined && mode === 'classic';
+  if (!legacy && (!Number.isInteger(entry.playTime) || entry.playTime < 0 || entry.playTime > maxPlayTime)) {
+    return 'The play time is not valid.';
+  }
+  // The play time is rounded, so allow for the second it may be short by
+  const maxScore = core.maxPlausibleScore(config, mode, legacy ? undefined : entry.playTime + 1);
+  if (!Number.isInteger(entry.score) || entry.score < 0 || entry.score > maxScore) {
+    return `The score must be a whole number from 0 to ${maxScore}.`;
+  }
+  if (!Number.isInteger(entry.level) || entry.level < 1 || entry.level > maxScore + 1) return 'The level is not valid.';
+  if (!Number.isInteger(entry.livesLeft) || entry.livesLeft < 0) return 'The errors left are not valid.';
+  if (rules.timed
+    ? typeof entry.timeLeft !== 'number' || !(entry.timeLeft >= 0 && entry.timeLeft <= config.gameDuration)
+    : entry.timeLeft !== null) {
+    return 'The time left is not valid.';
+  }
+  if (typeof entry.won !== 'boolean') return 'The entry must say whether the game was won.';
+  if (entry.won && !rules.winScore) return 'Games in this mode can not be won.';
+  // Preset games end the moment the win score is reached
+  if (difficulty !== 'custom' && entry.won && entry.score !== config.winScore) return 'A won game must reach the win score.';
+  return null;
+}
+
+/**
+ * Check an entry read from the data file: it must have been valid when it
+ * was submitted and have been given a date.
+ * @param {string} board
+ * @param {*} entry
+ * @returns {boolean}
+ */
+function isStoredEntry(board, entry) {
+  if (!entry || typeof entry !== 'object' || typeof entry.date !== 'string') return false;
+  // storedEntry() keeps a missing play time as null
+  const submitted = Object.assign({}, entry, { playTime: entry.playTime === null ? undefined : entry.playTime });
+  return validateEntry(board, submitted) === null;
+}
+
+/**
+ * The stored form of a valid entry: only known fields, with the server's
+ * time standing in for a missing or implausible date.
+ * @param {object} entry
+ * @returns {object}
+ */
+function storedEntry(entry) {
+  const date = Date.parse(entry.date);
+  const plausibleDate = Number.isFinite(date) && date <= Date.now() + MAX_CLOCK_SKEW;
+  return {
+    id: entry.id,
+    name: entry.name.trim(),
+    score: entry.score,
+    date: plausibleDate ? new Date(date).toISOString() : new Date().toISOString(),
+    level: entry.level,
+    livesLeft: entry.livesLeft,
+    timeLeft: entry.timeLeft,
+    playTime: entry.playTime === undefined ? null : entry.playTime,
+    won: entry.won,
+  };
+}
+
+/**
+ * Send a JSON response. Every API response allows any origin, so a game
+ * hosted elsewhere can use the server.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Collect a request body, giving up once it grows past MAX_BODY_SIZE.
+ * @param {http.IncomingMessage} req
+ * @param {(err: Error|null, body: string) => void} callback
+ */
+function readBody(req, callback) {
+  let body = '';
+  let tooLarge = false;
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    if (tooLarge) return;
+    body += chunk;
+    if (Buffer.byteLength(body) > MAX_BODY_SIZE) tooLarge = true;
+  });
+  req.on('end', () => callback(tooLarge ? new Error('too large') : null, body));
+}
+
+/**
+ * Handle /api/scores/<board>.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} board
+ */
+function handleScores(req, res, board) {
+  if (!parseBoard(board)) {
+    sendJson(res, 404, { error: `There is no board called "${board}".` });
+    return;
+  }
+  if (req.method === 'OPTIONS') {
+    sendJson(res, 204);
+    return;
+  }
+  if (req.method === 'GET') {
+    sendJson(res, 200, { board: board, scores: boards[board] || [] });
+    return;
+  }
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Only GET and POST are supported.' });
+    return;
+  }
+  readBody(req, (err, body) => {
+    if (err) {
+      sendJson(res, 413, { error: 'The entry is too large.' });
+      return;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(body);
+    } catch (parseErr) {
+      sendJson(res, 400, { error: 'The entry is not valid JSON.' });
+      return;
+    }
+    const problem = validateEntry(board, entry);
+    if (problem) {
+      sendJson(res, 400, { error: problem });
+      return;
+    }
+    const entries = boards[board] || [];
+    const existing = entries.find((other) => other.id === entry.id);
+    if (existing) {
+      // A resubmitted entry may only change its name
+      existing.name = entry.name.trim();
+    } else {
+      boards[board] = core.insertHighScore(entries, storedEntry(entry));
+    }
+    saveBoards();
+    sendJson(res, existing ? 200 : 201, { board: board, scores: boards[board] });
+  });
+}
+
+/**
+ * Serve a file from the game folder.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} pathname
+ */
+function serveGameFile(req, res, pathname) {
+  const file = path.join(gameDir, pathname === '/' ? 'index.html' : decodeURIComponent(pathname));
+  // Never serve anything outside the game folder
+  if (!file.startsWith(gameDir + path.sep) || (req.method !== 'GET' && req.method !== 'HEAD')) {
+    res.writeHead(404);
+    res.end();
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(req.method === 'HEAD' ? undefined : data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+  const match = /^\/api\/scores\/([^/]+)\/?$/.exec(pathname);
+  try {
+    if (match) {
+      handleScores(req, res, decodeURIComponent(match[1]));
+    } else {
+      serveGameFile(req, res, pathname);
+    }
+  } catch (err) {
+    // Malformed escapes in the path
+    sendJson(res, 400, { error: 'Bad request.' });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Forge & Vapor leaderboard on http://localhost:${port}/ (scores in ${dataFile})`);
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/*
+ * Run many Forge & Vapor games headlessly with a simple bot and print a
+ * summary, to get a feel for how difficult the current rules are.
+ *
+ *   node tools/simulate.js [games=1000] [firstSeed=1] [levels=game/levels.json] [mode=classic]
+ *
+ * Every game uses its own seed (firstSeed, firstSeed + 1, …) so a run is
+ * fully reproducible. Pass `classic` as the levels file to play the classic
+ * progression instead of level definitions, and a game mode from core.js
+ * (e.g. `timeAttack`) to simulate that mode.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const core = require(path.join(__dirname, '..', 'game', 'core.js'));
+
+const games = parseInt(process.argv[2], 10) || 1000;
+const firstSeed = parseInt(process.argv[3], 10) || 1;
+const levelsFile = process.argv[4] || path.join(__dirname, '..', 'game', 'levels.json');
+const mode = process.argv[5] || 'classic';
+
+if (!Object.prototype.hasOwnProperty.call(core.GAME_MODES, mode)) {
+  console.error(`Unknown mode "${mode}"; use one of ${Object.keys(core.GAME_MODES).join(', ')}.`);
+  process.exit(1);
+}
+
+let levels = null;
+if (levelsFile !== 'classic') {
+  const result = core.validateLevels(JSON.parse(fs.readFileSync(levelsFile, 'utf8')));
+  if (result.errors.length > 0) {
+    console.error(`${levelsFile} is invalid:\n  ${result.errors.join('\n  ')}`);
+    process.exit(1);
+  }
+  levels = result.levels;
+}
+
+/**
+ * A naive player: stand under the lowest good bar and shoot any bug that is
+ * roughly above the player. A boss gets the bot's full attention.
+ * @param {object} state
+ * @returns {object} input for the next step
+ */
+function bot(state) {
+  const input = core.emptyInput();
+  const player = state.players[0];
+  const centre = player.x + player.width / 2;
+  const boss = state.bars.find((bar) => bar.type === 'boss');
+  if (boss) {
+    input.pointerX = boss.x + boss.width / 2;
+    if (state.steps % 8 === 0) input.shots = 1;
+    return input;
+  }
+  let target = null;
+  state.bars.forEach((bar) => {
+    if (bar.type !== 'bad' && (!target || bar.y > target.y)) target = bar;
+    const barCentre = bar.x + bar.width / 2;
+    if (bar.type === 'bad' && Math.abs(barCentre - centre) < bar.width && state.steps % 10 === 0) {
+      input.shots = 1;
+    }
+  });
+  if (target) input.pointerX = target.x + target.width / 2;
+  return input;
+}
+
+const totals = { won: 0, score: 0, level: 0, elapsed: 0 };
+for (let i = 0; i < games; i++) {
+  const state = core.simulateGame({ seed: firstSeed + i, levels: levels, mode: mode, controller: bot });
+  if (state.status === 'won') totals.won++;
+  totals.score += state.score;
+  totals.level += state.level;
+  totals.elapsed += state.elapsed;
+}
+
+console.log(`Games:         ${games}`);
+console.log(`Win rate:      ${((totals.won / games) * 100).toFixed(1)}%`);
+console.log(`Average score: ${(totals.score / games).toFixed(2)}`);
+console.log(`Average level: ${(totals.level / games).toFixed(2)}`);
+console.log(`Average time:  ${(totals.elapsed / games).toFixed(1)}s`);